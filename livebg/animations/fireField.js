@@ -1,98 +1,254 @@
 // animations/fireField.js
 //
+// Two fire solvers, picked with the `solver` param. 'cells' is the classic
+// look: a 4-neighbour average seeded on the bottom row, drawn as blocks.
+// 'fluid' runs ../fluid.js (advection, buoyancy, vorticity, wind) on a finer
+// grid, drawn as one smooth image, and the flames flow around an obstacle
+// mask made from text or an image.
+
+import { buildRamp, sampleStops } from '../palettes.js';
+import { createRandom } from '../random.js';
+import { POINTER_STRIDE } from '../interaction.js';
+import { runAnimation } from '../runtime.js';
+import { createFluid } from '../fluid.js';
+
+// Stops sampled from the original hand-tuned fire curve
+// (r: 30..255, g: 10..180 with gamma, b: 45..5).
+const DEFAULT_PALETTE = {
+  background: 'rgb(4, 3, 10)',
+  stops: ['rgb(30,10,45)', 'rgb(86,21,35)', 'rgb(142,52,25)', 'rgb(199,106,15)', 'rgb(255,180,5)']
+};
+
+// Resolution of the precomputed intensity -> color table.
+const RAMP_SIZE = 64;
+const rampAlpha = (t) => 0.15 + 0.8 * t;
+
+// The fluid grid is finer than the cells, up to this many cells so a step
+// stays affordable on one core (the quality governor scales it further).
+const FLUID_MAX_CELLS = 12000;
+
+// The simulation advances in fixed ticks (each running round(speed * 4)
+// diffusion steps), so a given time is always the same number of steps.
+const SIM_RATE = 60; // ticks per second
+
+// Seeking replays from the nearest checkpoint: a clean run saves its state
+// every CHECKPOINT_TICKS ticks, and past MAX_CHECKPOINTS every other one is
+// dropped and the spacing doubles.
+const CHECKPOINT_TICKS = 60;
+const MAX_CHECKPOINTS = 48;
+
+// density here is a 0..1 cell-size factor, not points per pixel.
+// A diffusion simulation has no way back, so the transport can't play it in
+// reverse: speed <= 0 holds the current frame. Scrubbing and stepping back
+// still work, by replaying from the nearest checkpoint (see seek).
+export const reversible = false;
+
+// The wind, buoyancy, vorticity and obstacle params only apply to the fluid
+// solver, and gaps only to the cells.
+export const params = [
+  { name: 'solver', type: 'select', default: 'cells', label: 'Solver',
+    options: [{ value: 'cells', label: 'Cells (classic)' }, { value: 'fluid', label: 'Fluid' }] },
+  { name: 'density', type: 'range', min: 0, max: 1, step: 0.01, default: 0.3, label: 'Detail' },
+  { name: 'decay', type: 'range', min: 0.95, max: 0.999, step: 0.001, default: 0.985, label: 'Fade' },
+  { name: 'seeds', type: 'range', min: 0.25, max: 3, step: 0.05, default: 1, label: 'Seed amount' },
+  { name: 'heat', type: 'range', min: 30, max: 90, step: 1, default: 60, label: 'Seed heat' },
+  { name: 'gaps', type: 'checkbox', default: true, label: 'Cell gaps' },
+  { name: 'wind', type: 'range', min: -1, max: 1, step: 0.01, default: 0, label: 'Wind' },
+  { name: 'buoyancy', type: 'range', min: 0, max: 3, step: 0.05, default: 1, label: 'Buoyancy' },
+  { name: 'vorticity', type: 'range', min: 0, max: 1, step: 0.01, default: 0.3, label: 'Vorticity' },
+  { name: 'obstacle', type: 'select', default: 'none', label: 'Obstacle',
+    options: [{ value: 'none', label: 'None' }, { value: 'text', label: 'Text' }, { value: 'image', label: 'Image' }] },
+  { name: 'obstacleText', type: 'text', default: 'FIRE', maxLength: 24, label: 'Obstacle text' },
+  { name: 'obstacleImage', type: 'image', default: '', maxSize: 256, label: 'Obstacle image' }
+];
+
+// An OffscreenCanvas (the page and workers both have one), a <canvas>, or
+// null where there is neither (the headless contract checks).
+function createScratchCanvas(width, height) {
+  if (typeof OffscreenCanvas === 'function') return new OffscreenCanvas(width, height);
+  if (typeof document === 'undefined') return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
 
-
-export function createAnimation({ canvas, initialState = {}, onStats }) {
-  const ctx = canvas.getContext('2d', { alpha: true });
-
-  // Make sure any scaling we do stays smooth
-  ctx.imageSmoothingEnabled = true;
-
+export function createAnimation(options) {
   // ==============================================================
-  // 1. CANVAS + GRID STATE
+  // 1. GRID STATE
   // ==============================================================
 
   let W = 0;
   let H = 0;
-  let DPR = 1;
 
-  // density: 0..1-ish from UI. Smaller default than before.
-  let baseDensity =
-    typeof initialState.density === 'number' ? initialState.density : 0.3;
+  // density: 0..1-ish from the Detail slider
+  let baseDensity = 0.3;
 
   let gridW = 0;
   let gridH = 0;
   let gridSize = 0;
   let buffer = new Float32Array(0); // fire intensity buffer
 
-  // ==============================================================
-  // 2. ANIMATION STATE
-  // ==============================================================
-
-  let speed =
-    typeof initialState.speed === 'number' ? initialState.speed : 0.2;
-
-  let zoom =
-    typeof initialState.zoom === 'number' ? initialState.zoom : 1.0;
-
-  let zoomAuto = !!initialState.zoomAuto;
-  let zoomPhase = 0;
-
-  let running = false;
-  let rafId = null;
-  let last = performance.now();
-  let fpsEMA = 60;
+  // The fluid solver's grid instead, when params.solver is 'fluid'
+  let fluid = null;
+
+  // Bottom-row seeding draws from this; restart() rewinds it
+  let fireSeed = null;
+  let rand = null;
+  let ticks = 0; // simulated ticks since the last restart
+  let tickDebt = 0; // fraction of a tick owed to the next frame
+
+  // Saved states by tick, for the knobs in checkpointKey. A run stops being
+  // clean (the same as a replay) when heat is painted or a knob changes
+  // mid-run, and saves nothing more until it restarts.
+  let checkpoints = new Map(); // tick -> { rand, state }
+  let checkpointEvery = CHECKPOINT_TICKS;
+  let checkpointKey = null;
+  let clean = true;
+
+  // Simulation knobs, from the `params` schema above (see sync())
+  let speed = 0;
+  let decay = 0.985;
+  let seedAmount = 1;
+  let seedHeat = 60;
+  let wind = 0;
+  let buoyancy = 1;
+  let vorticity = 0.3;
+
+  // Intensity -> color table for the palette it was built from, as CSS
+  // colors for the cells and as RGBA bytes for the fluid image
+  let ramp = null;
+  let rampBytes = null;
+  let rampPalette = null;
+
+  // Obstacles: the params the mask was last drawn for, and the image
+  // behind an 'image' obstacle once it has loaded
+  let maskKey = null;
+  let maskImage = null; // { url, bitmap, transparent }
+
+  // The fluid's heat as pixels, scaled up smoothly onto the canvas
+  let heatCanvas = null;
+  let heatImage = null;
 
   // ==============================================================
-  // 3. CANVAS FITTING + GRID SETUP
+  // 2. GRID SETUP
   // ==============================================================
 
-  function fitCanvas() {
-    DPR = Math.max(1, Math.min(3, window.devicePixelRatio || 1));
-    W = Math.floor(window.innerWidth);
-    H = Math.floor(window.innerHeight);
-
-    canvas.width = Math.floor(W * DPR);
-    canvas.height = Math.floor(H * DPR);
-    ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
-
-    rebuildGrid();
-  }
+  function rebuildGrid(field) {
+    W = field.width;
+    H = field.height;
+    baseDensity = field.density;
+    if (fireSeed == null) {
+      fireSeed = field.seed;
+      rand = createRandom(fireSeed);
+    }
+    if (field.params.solver === 'fluid') return rebuildFluid(field);
+    fluid = null;
 
-  function rebuildGrid() {
     // Map baseDensity (~0..1) to cell size.
-    // Lower density => BIGGER cells (less dense).
+    // Lower density => BIGGER cells (less dense); the quality governor's
+    // `points` scales the number of cells.
     const d = Math.max(0, Math.min(1, baseDensity));
     // base around 28px cells, shrink a bit as density goes up
-    const cellSize = Math.max(14, 28 - d * 10);
+    const cellSize = Math.max(14, 28 - d * 10) / Math.sqrt(field.quality.points);
+
+    const nextW = Math.max(24, Math.floor(W / cellSize));
+    const nextH = Math.max(18, Math.floor(H / (cellSize * 0.8)));
+
+    if (nextW === gridW && nextH === gridH && buffer.length) return gridSize;
+
+    // Carry the current flames over, anchored to the bottom row where they
+    // are seeded, so a resize doesn't restart the fire from nothing.
+    const prev = buffer;
+    const prevW = gridW;
+    const prevH = gridH;
 
-    gridW = Math.max(24, Math.floor(W / cellSize));
-    gridH = Math.max(18, Math.floor(H / (cellSize * 0.8)));
+    gridW = nextW;
+    gridH = nextH;
     gridSize = gridW * gridH;
 
     buffer = new Float32Array(gridSize + gridW + 1);
     buffer.fill(0);
 
-    if (onStats) onStats({ points: gridSize });
+    const cols = Math.min(prevW, gridW);
+    const rows = Math.min(prevH, gridH);
+    for (let y = 1; y <= rows; y++) {
+      const src = (prevH - y) * prevW;
+      const dst = (gridH - y) * gridW;
+      buffer.set(prev.subarray(src, src + cols), dst);
+    }
+
+    return gridSize;
+  }
+
+  // Square cells of 6..12px by Detail, carried over like the cells above.
+  // Switching solver starts the fire again from nothing.
+  function rebuildFluid(field) {
+    const d = Math.max(0, Math.min(1, baseDensity));
+    const cellSize = Math.max(
+      (12 - d * 6) / Math.sqrt(field.quality.points),
+      Math.sqrt((W * H) / FLUID_MAX_CELLS)
+    );
+    const nextW = Math.max(32, Math.floor(W / cellSize));
+    const nextH = Math.max(24, Math.floor(H / cellSize));
+    if (fluid && fluid.width === nextW && fluid.height === nextH) return fluid.size;
+
+    const next = createFluid(nextW, nextH);
+    if (fluid) next.copyFrom(fluid);
+    fluid = next;
+    maskKey = null;
+
+    buffer = new Float32Array(0);
+    gridW = 0;
+    gridH = 0;
+    gridSize = 0;
+    return fluid.size;
   }
 
   // ==============================================================
-  // 4. FIRE SIMULATION
+  // 3. FIRE SIMULATION
   // ==============================================================
 
+  // Takes the current knobs from the runtime before simulating
+  function sync(frame) {
+    speed = frame.speed;
+    baseDensity = frame.params.density;
+    decay = frame.params.decay;
+    seedAmount = frame.params.seeds;
+    seedHeat = frame.params.heat;
+    wind = frame.params.wind;
+    buoyancy = frame.params.buoyancy;
+    vorticity = frame.params.vorticity;
+    if (fluid) syncMask(frame.params);
+
+    const key = [
+      fireSeed, speed, baseDensity, decay, seedAmount, seedHeat, wind, buoyancy, vorticity,
+      gridW, gridH, fluid?.width, fluid?.height, maskKey
+    ].join('|');
+    if (key !== checkpointKey) {
+      checkpointKey = key;
+      checkpoints = new Map();
+      checkpointEvery = CHECKPOINT_TICKS;
+      if (ticks > 0) clean = false;
+    }
+  }
+
   function stepFire(steps) {
     if (gridSize === 0) return;
 
     // Seed fewer points so it's not a solid wall
     const d = Math.max(0, Math.min(1, baseDensity));
-    const seedCount = Math.max(1, Math.floor(gridW / (6 + 4 * (1 - d))));
+    const seedCount = Math.max(
+      1,
+      Math.floor((gridW / (6 + 4 * (1 - d))) * seedAmount)
+    );
 
     for (let s = 0; s < steps; s++) {
       // Seed bottom row
       for (let i = 0; i < seedCount; i++) {
-        const col = (Math.random() * gridW) | 0;
+        const col = (rand() * gridW) | 0;
         const idx = col + gridW * (gridH - 1);
-        buffer[idx] = 60 + Math.random() * 5; // slightly varied
+        buffer[idx] = seedHeat + rand() * 5; // slightly varied
       }
 
       // Diffuse upwards
@@ -108,70 +264,312 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
 
       // Gentle global fade so it doesn’t saturate
       for (let i = 0; i < gridSize; i++) {
-        buffer[i] *= 0.985;
+        buffer[i] *= decay;
+      }
+    }
+  }
+
+  // One fluid step per tick, as long as speed * 4 cells' worth of motion.
+  // Seeds land on the bottom two rows in the same share of columns as the
+  // cells get.
+  function stepFluid() {
+    const dt = Math.min(3, Math.max(0.25, speed * 4));
+    const { width: fw, height: fh, heat, solid } = fluid;
+    const d = Math.max(0, Math.min(1, baseDensity));
+    const seedCount = Math.floor((fw / (6 + 4 * (1 - d))) * seedAmount * dt + rand());
+
+    for (let i = 0; i < seedCount; i++) {
+      const col = (rand() * fw) | 0;
+      const v = seedHeat + rand() * 5;
+      for (let y = fh - 2; y < fh; y++) {
+        const idx = col + y * fw;
+        if (!solid[idx] && v > heat[idx]) heat[idx] = v;
+      }
+    }
+
+    fluid.step({ dt, buoyancy, wind, vorticity, cooling: decay });
+  }
+
+  function tick() {
+    if (fluid) stepFluid();
+    // Fewer steps per tick to avoid over-blurring / mashing
+    else stepFire(Math.max(1, Math.round(speed * 4)));
+    ticks++;
+    if (clean && ticks % checkpointEvery === 0 && !checkpoints.has(ticks)) saveCheckpoint();
+  }
+
+  function saveCheckpoint() {
+    checkpoints.set(ticks, { rand: rand.state(), state: fluid ? fluid.save() : buffer.slice() });
+    if (checkpoints.size <= MAX_CHECKPOINTS) return;
+    checkpointEvery *= 2;
+    for (const at of checkpoints.keys()) if (at % checkpointEvery) checkpoints.delete(at);
+  }
+
+  function loadCheckpoint(at) {
+    const saved = checkpoints.get(at);
+    if (fluid) fluid.load(saved.state);
+    else buffer.set(saved.state);
+    rand = createRandom(saved.rand);
+    ticks = at;
+    tickDebt = 0;
+    clean = true;
+  }
+
+  // Empty grid, rewound seed: the state at time 0.
+  function restart() {
+    buffer.fill(0);
+    fluid?.clear();
+    rand = createRandom(fireSeed);
+    ticks = 0;
+    tickDebt = 0;
+    clean = true;
+  }
+
+  // Runs the ticks dt has paid for. Rounding keeps 60 Hz displays at
+  // exactly one tick per frame despite timer jitter.
+  function simulate(dt) {
+    tickDebt += dt * SIM_RATE;
+    const due = Math.floor(tickDebt + 0.5);
+    tickDebt -= due;
+    for (let i = 0; i < due; i++) tick();
+  }
+
+  // The simulation keeps its own clock: speed <= 0 holds the fire (see
+  // `reversible`), except for an explicit step(). After a stall the loop
+  // carries on rather than fast-forward the fire.
+  function advance(dt, frame) {
+    sync(frame);
+    if (frame.stepping) simulate(dt);
+    else if (speed > 0) simulate(Math.min(dt, 0.25));
+    return ticks / SIM_RATE;
+  }
+
+  // There's no closed form for a simulation, so seeking replays it with the
+  // same seed at the current speed, up to time * 60 ticks: on from where it
+  // is when that's clean and no further back, else from the last checkpoint
+  // before the target, else from time 0.
+  function seek(time, frame) {
+    sync(frame);
+    const target = Math.round(Math.max(0, time) * SIM_RATE);
+    let from = 0;
+    for (const at of checkpoints.keys()) if (at <= target && at > from) from = at;
+    if (clean && ticks >= from && ticks <= target) tickDebt = 0;
+    else if (from) loadCheckpoint(from);
+    else restart();
+    while (ticks < target) tick();
+  }
+
+  // Pressing paints heat under the pointer and each click leaves a short
+  // burst (see ../interaction.js) into `field`, a cols x rows grid of
+  // either solver; the simulation carries it up from there.
+  // Painted heat isn't part of the replay in seek(); returns whether any
+  // was painted.
+  function paintHeat(touch, field, cols, rows, cellW, cellH) {
+    const d = touch.data;
+    let painted = false;
+    for (let k = 0, o = 0; k < touch.count; k++, o += POINTER_STRIDE) {
+      const impulse = d[o + 7] === 1;
+      if (!impulse && !d[o + 6]) continue;
+      const heat = seedHeat * (impulse ? Math.exp(-d[o + 5] * 4) : 1);
+      if (heat < 1.5) continue;
+      painted = true;
+
+      const col = d[o] / cellW;
+      const row = d[o + 1] / cellH;
+      const rc = Math.max(1, (d[o + 3] * 0.6) / cellW);
+      const rr = Math.max(1, (d[o + 3] * 0.6) / cellH);
+      const y0 = Math.max(0, Math.floor(row - 2 * rr));
+      const y1 = Math.min(rows - 1, Math.ceil(row + 2 * rr));
+      const x0 = Math.max(0, Math.floor(col - 2 * rc));
+      const x1 = Math.min(cols - 1, Math.ceil(col + 2 * rc));
+      for (let y = y0; y <= y1; y++) {
+        const dy = (y + 0.5 - row) / rr;
+        for (let x = x0; x <= x1; x++) {
+          const dx = (x + 0.5 - col) / rc;
+          const v = heat * Math.exp(-0.5 * (dx * dx + dy * dy));
+          const idx = y * cols + x;
+          if (v > field[idx]) field[idx] = v;
+        }
       }
     }
+    return painted;
   }
 
-  // Smooth continuous color mapping instead of harsh buckets
+  // ==============================================================
+  // 4. OBSTACLES (fluid only)
+  // ==============================================================
+
+  // Redraws fluid.solid when the obstacle params or the grid change, or
+  // when the image they name has loaded. Text is set large in the middle;
+  // an image is fitted into the middle 70%, where transparent images block
+  // with their opaque pixels and opaque ones with their dark pixels.
+  function syncMask(p) {
+    let source = '';
+    if (p.obstacle === 'text') source = String(p.obstacleText ?? '').trim();
+    else if (p.obstacle === 'image') source = String(p.obstacleImage ?? '');
+    if (p.obstacle === 'image' && source && maskImage?.url !== source) loadMaskImage(source);
+    const bitmap = p.obstacle === 'image' ? maskImage?.bitmap : null;
+
+    const key = [p.obstacle, source, !!bitmap, fluid.width, fluid.height].join('|');
+    if (key === maskKey) return;
+    maskKey = key;
+
+    fluid.solid.fill(0);
+    if (p.obstacle === 'text' && source) {
+      rasterizeMask((c, fw, fh) => {
+        c.font = 'bold 100px sans-serif';
+        const size = Math.min(fh * 0.45, (fw * 0.8 * 100) / Math.max(1, c.measureText(source).width));
+        c.font = `bold ${size}px sans-serif`;
+        c.textAlign = 'center';
+        c.textBaseline = 'middle';
+        c.fillStyle = '#fff';
+        c.fillText(source, fw / 2, fh * 0.45);
+      }, (r, g, b, a) => a > 127);
+    } else if (bitmap) {
+      rasterizeMask((c, fw, fh) => {
+        const scale = Math.min((fw * 0.7) / bitmap.width, (fh * 0.7) / bitmap.height);
+        const w = bitmap.width * scale;
+        const h = bitmap.height * scale;
+        c.drawImage(bitmap, (fw - w) / 2, (fh - h) / 2, w, h);
+      }, maskImage.transparent
+        ? (r, g, b, a) => a > 127
+        : (r, g, b, a) => a > 127 && 0.299 * r + 0.587 * g + 0.114 * b < 128);
+    }
+  }
+
+  // draw(c, width, height) onto a grid-sized canvas; cells where
+  // blocks(r, g, b, a) holds become solid.
+  function rasterizeMask(draw, blocks) {
+    const { width: fw, height: fh, solid } = fluid;
+    const canvas = createScratchCanvas(fw, fh);
+    if (!canvas) return;
+    const c = canvas.getContext('2d', { willReadFrequently: true });
+    draw(c, fw, fh);
+    const px = c.getImageData(0, 0, fw, fh).data;
+    for (let i = 0, o = 0; i < fluid.size; i++, o += 4) {
+      solid[i] = blocks(px[o], px[o + 1], px[o + 2], px[o + 3]) ? 1 : 0;
+    }
+  }
+
+  // Fetches the image (a data: URL from the control, or any URL) once;
+  // the mask follows on the next frame after it arrives.
+  function loadMaskImage(url) {
+    const job = { url, bitmap: null, transparent: false };
+    maskImage = job;
+    fetch(url)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.blob();
+      })
+      .then((blob) => createImageBitmap(blob))
+      .then((bitmap) => {
+        if (maskImage !== job) return bitmap.close();
+        job.transparent = hasTransparency(bitmap);
+        job.bitmap = bitmap;
+      })
+      .catch((err) => console.warn("Couldn't load the obstacle image", err));
+  }
+
+  function hasTransparency(bitmap) {
+    const canvas = createScratchCanvas(bitmap.width, bitmap.height);
+    if (!canvas) return false;
+    const c = canvas.getContext('2d', { willReadFrequently: true });
+    c.drawImage(bitmap, 0, 0);
+    const px = c.getImageData(0, 0, bitmap.width, bitmap.height).data;
+    for (let o = 3; o < px.length; o += 4) if (px[o] < 128) return true;
+    return false;
+  }
+
+  // Smooth continuous color mapping instead of harsh buckets. The palette
+  // stops are sampled along intensity, alpha ramping 0.15..0.95.
   function intensityToRGBA(v) {
     // v is roughly 0..60
     const t = Math.max(0, Math.min(1, v / 45)); // normalized
-    // Slight gamma for more detail in the lower part
-    const g = t * t;
-
-    const r = 30 + 225 * t;      // 30..255
-    const gCol = 10 + 170 * g;   // 10..~180
-    const b = 5 + 40 * (1 - t);  // 45..5
-    const a = 0.15 + 0.8 * t;    // 0.15..0.95
+    return ramp[Math.round(t * (RAMP_SIZE - 1))];
+  }
 
-    return `rgba(${r | 0},${gCol | 0},${b | 0},${a.toFixed(3)})`;
+  // The same ramp as RGBA bytes, for ImageData
+  function buildRampBytes(palette) {
+    const bytes = new Uint8ClampedArray(RAMP_SIZE * 4);
+    for (let k = 0; k < RAMP_SIZE; k++) {
+      const t = k / (RAMP_SIZE - 1);
+      const c = sampleStops(palette, t);
+      bytes.set([c.r, c.g, c.b, 255 * rampAlpha(t) * palette.alpha], k * 4);
+    }
+    return bytes;
   }
 
   // ==============================================================
-  // 5. MAIN RENDER LOOP
+  // 5. RENDER
   // ==============================================================
 
-  function loop(now) {
-    if (!running) return;
+  // One pixel per fluid cell, faint heat fading out rather than cut off,
+  // then drawn over the whole canvas with smoothing. Obstacles stay empty.
+  function renderFluid(ctx, frame) {
+    const { width: fw, height: fh, heat } = fluid;
+    const cellW = W / fw;
+    const cellH = (H / fh) * frame.zoom;
 
-    const dt = Math.max(0.0001, (now - last) / 1000);
-    last = now;
+    const touch = frame.touch;
+    if (touch?.count && paintHeat(touch, heat, fw, fh, cellW, cellH)) clean = false;
 
-    const fps = 1 / dt;
-    fpsEMA = fpsEMA * 0.9 + fps * 0.1;
+    if (heatCanvas?.width !== fw || heatCanvas?.height !== fh) {
+      heatCanvas = createScratchCanvas(fw, fh);
+      heatImage = heatCanvas?.getContext('2d').createImageData(fw, fh);
+    }
 
-    // Fewer steps per frame to avoid over-blurring / mashing
-    const steps = Math.max(1, Math.round(speed * 4));
-    stepFire(steps);
+    if (!heatImage) {
+      // No canvas to scale through: plain cells
+      for (let i = 0; i < fluid.size; i++) {
+        if (heat[i] < 1.5) continue;
+        ctx.fillStyle = intensityToRGBA(heat[i]);
+        ctx.fillRect((i % fw) * cellW, Math.floor(i / fw) * cellH, cellW, cellH);
+      }
+      return;
+    }
 
-    let z = zoom;
-    if (zoomAuto) {
-      zoomPhase += dt;
-      const amp = 0.07;
-      const hz = 0.07;
-      z = zoom * (1 + amp * Math.sin(2 * Math.PI * hz * zoomPhase));
+    const px = heatImage.data;
+    for (let i = 0, o = 0; i < fluid.size; i++, o += 4) {
+      const v = heat[i];
+      const k = Math.round(Math.max(0, Math.min(1, v / 45)) * (RAMP_SIZE - 1)) * 4;
+      px[o] = rampBytes[k];
+      px[o + 1] = rampBytes[k + 1];
+      px[o + 2] = rampBytes[k + 2];
+      px[o + 3] = rampBytes[k + 3] * Math.max(0, Math.min(1, (v - 0.5) / 3));
     }
+    heatCanvas.getContext('2d').putImageData(heatImage, 0, 0);
 
-    if (onStats) onStats({ fps: fpsEMA, speed, zoom: z });
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(heatCanvas, 0, 0, W, fh * cellH);
+  }
+
+  function render(ctx, frame) {
+    const { palette, zoom: z } = frame;
+    if (palette !== rampPalette) {
+      ramp = buildRamp(palette, RAMP_SIZE, rampAlpha);
+      rampBytes = buildRampBytes(palette);
+      rampPalette = palette;
+    }
 
     ctx.clearRect(0, 0, W, H);
 
-    // Slight vignette background
-    ctx.fillStyle = 'rgb(4, 3, 10)';
+    // Flat background (a vignette is one of the post effects, see post.js)
+    ctx.fillStyle = palette.background;
     ctx.fillRect(0, 0, W, H);
 
-    if (!gridSize) {
-      rafId = requestAnimationFrame(loop);
-      return;
-    }
+    if (fluid) return renderFluid(ctx, frame);
+    if (!gridSize) return;
 
     const cellW = W / gridW;
     const cellH = (H / gridH) * z;
 
+    const touch = frame.touch;
+    if (touch?.count && paintHeat(touch, buffer, gridW, gridH, cellW, cellH)) clean = false;
+
     // Tiny gap between cells so it doesn't look like a solid pixel block
-    const gapX = Math.max(0.4, cellW * 0.08);
-    const gapY = Math.max(0.4, cellH * 0.08);
+    const gaps = frame.params.gaps;
+    const gapX = gaps ? Math.max(0.4, cellW * 0.08) : 0;
+    const gapY = gaps ? Math.max(0.4, cellH * 0.08) : 0;
 
     for (let y = 0; y < gridH; y++) {
       const rowOffset = y * gridW;
@@ -197,75 +595,23 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
         );
       }
     }
-
-    rafId = requestAnimationFrame(loop);
   }
 
   // ==============================================================
-  // 6. PUBLIC API
+  // 6. RUNTIME (clock, sizing, params; see ../runtime.js)
   // ==============================================================
 
-  function play() {
-    if (running) return;
-    running = true;
-    last = performance.now();
-    rafId = requestAnimationFrame(loop);
-  }
-
-  function pause() {
-    running = false;
-    if (rafId != null) {
-      cancelAnimationFrame(rafId);
-      rafId = null;
-    }
-  }
-
-  function reset() {
-    if (buffer && buffer.length) buffer.fill(0);
-    zoomPhase = 0;
-  }
-
-  function setParams(params) {
-    if (!params) return;
-
-    if (params.speed != null) {
-      speed = params.speed;
-      if (onStats) onStats({ speed });
-    }
-
-    if (params.density != null) {
-      baseDensity = params.density;
-      rebuildGrid();
-    }
-
-    if (params.zoom != null) {
-      zoom = params.zoom;
-      if (onStats) onStats({ zoom });
-    }
-
-    if (params.zoomAuto != null) {
-      zoomAuto = !!params.zoomAuto;
-      if (!zoomAuto) zoomPhase = 0;
-    }
-  }
-
-  function destroy() {
-    pause();
-    window.removeEventListener('resize', fitCanvas);
-  }
-
-  // ==============================================================
-  // 7. INITIALIZATION
-  // ==============================================================
-
-  window.addEventListener('resize', fitCanvas);
-  fitCanvas();
-  setParams(initialState || {});
-
-  if (initialState.running !== false) {
-    play();
-  }
-
-  return { play, pause, reset, setParams, destroy };
+  return runAnimation(options, {
+    params,
+    palette: DEFAULT_PALETTE,
+    speed: 0.2,
+    pulse: { amp: 0.07, hz: 0.07 },
+    reversible,
+    rebuildOn: ['density', 'solver'],
+    init: rebuildGrid,
+    advance,
+    seek,
+    reset: restart,
+    render
+  });
 }
-
@@ -1,90 +1,96 @@
 // animations/orbitField.js
 
-export function createAnimation({ canvas, initialState, onStats }) {
-  const ctx = canvas.getContext('2d', { alpha: true });
+import { parseColor, rgba } from '../palettes.js';
+import { bendPoint } from '../interaction.js';
+import { runAnimation } from '../runtime.js';
+
+const DEFAULT_PALETTE = {
+  background: '#0a0a0a',
+  foreground: '#ffffff'
+};
+
+export const params = [
+  { name: 'density', type: 'range', min: 0.002, max: 0.06, step: 0.001, default: 0.005, label: 'Density (points/px)' },
+  { name: 'ripple', type: 'range', min: 0, max: 10, step: 0.1, default: 4, label: 'Ripple' },
+  { name: 'drift', type: 'range', min: 0, max: 4, step: 0.05, default: 1, label: 'Drift' }
+];
+
+// Opts in to the WebGL2 point renderer (see ../gl.js).
+export const renderers = ['webgl2', '2d'];
+
+// The orbit formula in GLSL. Bounds still come from the CPU (on a subsample),
+// and time enters as phases wrapped to [0, 2π) to keep float32 sin() stable.
+const GLSL_POINTS = `
+uniform float u_ripple;
+uniform float u_ripplePhase;
+uniform float u_driftPhase;
+uniform float u_scale;
+uniform vec2 u_offset;
+
+vec3 pointPosition(vec2 b, float i) {
+  float k = 5.0 * cos(b.x / 14.0) * cos(b.y / 30.0);
+  float e = b.y / 8.0 - 13.0;
+  float d = (k * k + e * e) / 59.0 + 4.0;
+  float q = 60.0 - 3.0 * sin(atan(k, e) * e) +
+            k * (3.0 + (u_ripple / d) * sin(d * d - u_ripplePhase));
+  float c = d / 2.0 + e / 99.0 - u_driftPhase;
+  vec2 m = vec2(q * sin(c), (q + d * 9.0) * cos(c));
+  return vec3(m * u_scale + u_offset, 1.0);
+}
+`;
+
+const TAU = Math.PI * 2;
 
-  let W = 0;
-  let H = 0;
-  let DPR = 1;
+// Points sampled for the GPU path's bounds; plenty for a stable fit.
+const BOUNDS_SAMPLES = 4096;
 
-  let baseDensity =
-    typeof initialState.density === 'number' ? initialState.density : 0.005;
+export function createAnimation(options) {
   const minPoints = 6000;
   const maxPoints = 120000;
 
   let N = 0;
   let xVals = new Float32Array(0);
   let yVals = new Float32Array(0);
+  // Formula output per point, so the 2D path evaluates it once per frame
+  let mxVals = new Float32Array(0);
+  let myVals = new Float32Array(0);
 
-  let t = 0;
-  let speed =
-    typeof initialState.speed === 'number' ? initialState.speed : 0.05;
-  let running = false;
-  let last = performance.now();
-  let fpsEMA = 60;
-
-  let zoom =
-    typeof initialState.zoom === 'number' ? initialState.zoom : 1.0;
-  let zoomAuto = !!initialState.zoomAuto;
-  let zoomPhase = 0;
-
-  let rafId = null;
-
-  function fitCanvas() {
-    DPR = Math.max(1, Math.min(3, window.devicePixelRatio || 1));
-    W = Math.floor(window.innerWidth);
-    H = Math.floor(window.innerHeight);
-    canvas.width = Math.floor(W * DPR);
-    canvas.height = Math.floor(H * DPR);
-    ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
-    rebuildPointField();
-  }
+  const targetRate = (Math.PI / 20) * 60; // rad/sec
 
-  function rebuildPointField() {
-    const target = Math.min(
-      maxPoints,
-      Math.max(minPoints, Math.floor(baseDensity * W * H))
-    );
-    if (target === N) return;
+  const bent = [0, 0]; // bendPoint() output
+
+  function rebuildPointField(field) {
+    const target = field.points(minPoints, maxPoints);
+    if (target === N) return N;
     N = target;
     xVals = new Float32Array(N);
     yVals = new Float32Array(N);
+    mxVals = new Float32Array(N);
+    myVals = new Float32Array(N);
     for (let i = 0; i < N; i++) {
       const ii = i + 1;
       xVals[i] = ii % 200;
       yVals[i] = ii / 43;
     }
-    onStats?.({ points: N });
+    field.gpu?.setPoints(xVals, yVals);
+    return N;
   }
 
-  function loop(now) {
-    if (!running) return;
-
-    const dt = Math.max(0.0001, (now - last) / 1000);
-    last = now;
-
-    // FPS
-    const fps = 1 / dt;
-    fpsEMA = fpsEMA * 0.9 + fps * 0.1;
-    onStats?.({ fps: fpsEMA, speed, zoom });
+  function render(ctx, frame) {
+    const { width: W, height: H, palette, gpu } = frame;
+    const { ripple, drift } = frame.params;
+    const t = frame.time * targetRate;
 
-    const targetRate = (Math.PI / 20) * 60; // rad/sec
-    t += targetRate * dt * speed;
-
-    let zoomNow = zoom;
-    if (zoomAuto) {
-      zoomPhase += dt;
-      const amp = 0.06;
-      const hz = 0.08;
-      zoomNow = zoom * (1 + amp * Math.sin(2 * Math.PI * hz * zoomPhase));
-    }
+    // Evaluate every point for the 2D path (cached for drawing), or just a
+    // subsample for the GPU path, which only needs the bounds from us.
+    const stride = gpu ? Math.max(1, Math.floor(N / BOUNDS_SAMPLES)) : 1;
 
     let minX = Infinity,
       maxX = -Infinity;
     let minY = Infinity,
       maxY = -Infinity;
 
-    for (let i = 0; i < N; i++) {
+    for (let i = 0; i < N; i += stride) {
       const xv = xVals[i];
       const yv = yVals[i];
 
@@ -95,12 +101,14 @@ export function createAnimation({ canvas, initialState, onStats }) {
       const q =
         60 -
         3 * Math.sin(Math.atan2(k, e) * e) +
-        k * (3 + (4 / d) * Math.sin(d * d - t * 2));
+        k * (3 + (ripple / d) * Math.sin(d * d - t * 2));
 
-      const c = d / 2 + e / 99 - t / 18;
+      const c = d / 2 + e / 99 - (t * drift) / 18;
 
       const mx = q * Math.sin(c);
       const my = (q + d * 9) * Math.cos(c);
+      mxVals[i] = mx;
+      myVals[i] = my;
 
       if (mx < minX) minX = mx;
       if (mx > maxX) maxX = mx;
@@ -112,7 +120,7 @@ export function createAnimation({ canvas, initialState, onStats }) {
     const bh = maxY - minY || 1;
     const margin = 0.92;
     const baseScale = Math.min((W * margin) / bw, (H * margin) / bh);
-    const scale = baseScale * zoomNow;
+    const scale = baseScale * frame.zoom;
 
     const cx = W * 0.5,
       cy = H * 0.5;
@@ -121,91 +129,54 @@ export function createAnimation({ canvas, initialState, onStats }) {
     const offX = cx - midX * scale;
     const offY = cy - midY * scale;
 
+    // Points bend around the pointer after the fit (see ../interaction.js)
+    const touch = frame.touch;
+
+    if (gpu) {
+      gpu.clear(parseColor(palette.background));
+      gpu.draw(
+        N,
+        {
+          u_ripple: ripple,
+          u_ripplePhase: (t * 2) % TAU,
+          u_driftPhase: ((t * drift) / 18) % TAU,
+          u_scale: scale,
+          u_offset: [offX, offY]
+        },
+        { color: parseColor(palette.foreground), alpha: 0.376 * palette.alpha, pointer: touch }
+      );
+      return;
+    }
+
     ctx.clearRect(0, 0, W, H);
-    ctx.fillStyle = '#0a0a0a';
+    ctx.fillStyle = palette.background;
     ctx.fillRect(0, 0, W, H);
 
-    ctx.fillStyle = 'rgba(255,255,255,0.376)';
+    ctx.fillStyle = rgba(palette.foreground, 0.376 * palette.alpha);
     for (let i = 0; i < N; i++) {
-      const xv = xVals[i];
-      const yv = yVals[i];
-
-      const k = 5 * Math.cos(xv / 14) * Math.cos(yv / 30);
-      const e = yv / 8 - 13;
-      const d = (k * k + e * e) / 59 + 4;
-
-      const q =
-        60 -
-        3 * Math.sin(Math.atan2(k, e) * e) +
-        k * (3 + (4 / d) * Math.sin(d * d - t * 2));
-
-      const c = d / 2 + e / 99 - t / 18;
-
-      const mx = q * Math.sin(c);
-      const my = (q + d * 9) * Math.cos(c);
-
-      const x = mx * scale + offX;
-      const y = my * scale + offY;
+      let x = mxVals[i] * scale + offX;
+      let y = myVals[i] * scale + offY;
+      if (touch?.count) {
+        bendPoint(touch, x, y, bent);
+        x = bent[0];
+        y = bent[1];
+      }
 
       if (x >= 0 && x < W && y >= 0 && y < H) {
         ctx.fillRect(x, y, 1, 1);
       }
     }
-
-    rafId = requestAnimationFrame(loop);
-  }
-
-  // Public API expected by main.js
-  function play() {
-    if (running) return;
-    running = true;
-    last = performance.now();
-    rafId = requestAnimationFrame(loop);
-  }
-
-  function pause() {
-    running = false;
-    if (rafId != null) {
-      cancelAnimationFrame(rafId);
-      rafId = null;
-    }
-  }
-
-  function reset() {
-    t = 0;
-  }
-
-  function setParams(params) {
-    if (params.speed != null) {
-      speed = params.speed;
-      onStats?.({ speed });
-    }
-    if (params.density != null) {
-      baseDensity = params.density;
-      rebuildPointField();
-    }
-    if (params.zoom != null) {
-      zoom = params.zoom;
-      onStats?.({ zoom });
-    }
-    if (params.zoomAuto != null) {
-      zoomAuto = !!params.zoomAuto;
-      if (!zoomAuto) zoomPhase = 0;
-    }
-  }
-
-  function destroy() {
-    pause();
-    window.removeEventListener('resize', fitCanvas);
-  }
-
-  window.addEventListener('resize', fitCanvas);
-  fitCanvas();
-  setParams(initialState || {});
-
-  if (initialState?.running !== false) {
-    play();
   }
 
-  return { play, pause, reset, setParams, destroy };
+  // The field is a pure function of time (no randomness), so the
+  // runtime's default renderAt() seeks for free.
+  return runAnimation(options, {
+    params,
+    palette: DEFAULT_PALETTE,
+    speed: 0.05,
+    pulse: { amp: 0.06, hz: 0.08 },
+    glsl: GLSL_POINTS,
+    init: rebuildPointField,
+    render
+  });
 }
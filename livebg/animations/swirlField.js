@@ -9,21 +9,28 @@
 //   - Swirling motion around the axis, with subtle bend and wobble.
 //   - Motion trails via partial clears + additive blending.
 
-export function createAnimation({ canvas, initialState = {}, onStats }) {
-  const ctx = canvas.getContext('2d', { alpha: true });
-
+import { rgba } from '../palettes.js';
+import { bendPoint } from '../interaction.js';
+import { runAnimation } from '../runtime.js';
+
+const DEFAULT_PALETTE = {
+  background: 'rgb(3, 1, 10)',
+  foreground: 'rgb(160, 220, 255)'
+};
+
+export const params = [
+  { name: 'density', type: 'range', min: 0.001, max: 0.03, step: 0.0005, default: 0.0045, label: 'Density (points/px)' },
+  { name: 'swirl', type: 'range', min: 0, max: 3, step: 0.05, default: 1, label: 'Swirl strength' },
+  { name: 'wobble', type: 'range', min: 0, max: 0.6, step: 0.01, default: 0.18, label: 'Wobble' },
+  { name: 'bend', type: 'range', min: 0, max: 2, step: 0.05, default: 1, label: 'Bend' },
+  { name: 'trails', type: 'range', min: 0.05, max: 1, step: 0.01, default: 0.28, label: 'Trail fade' }
+];
+
+export function createAnimation(options) {
   // ==============================================================
-  // 1. CANVAS + DENSITY STATE
+  // 1. FIELD STATE
   // ==============================================================
 
-  let W = 0;
-  let H = 0;
-  let DPR = 1;
-
-  // "points per pixel" from UI
-  let baseDensity =
-    typeof initialState.density === 'number' ? initialState.density : 0.0045;
-
   const minPoints = 3000;
   const maxPoints = 90000;
 
@@ -38,54 +45,21 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
   let theta0Vals = new Float32Array(0);
   let radiusVals = new Float32Array(0);
 
-  // ==============================================================
-  // 2. ANIMATION STATE
-  // ==============================================================
-
-  let speed =
-    typeof initialState.speed === 'number' ? initialState.speed : 0.1;
-
-  let zoom =
-    typeof initialState.zoom === 'number' ? initialState.zoom : 1.0;
-
-  let zoomAuto = !!initialState.zoomAuto;
-  let zoomPhase = 0;
-
-  let running = false;
-  let rafId = null;
-  let last = performance.now();
-  let t = 0;
-  let fpsEMA = 60;
+  const bent = [0, 0]; // bendPoint() output
+  const speedScale = 45; // sideways tornado looks good a bit slower
 
   // ==============================================================
-  // 3. CANVAS FITTING + FIELD GENERATION
+  // 2. FIELD GENERATION
   // ==============================================================
 
-  function fitCanvas() {
-    DPR = Math.max(1, Math.min(3, window.devicePixelRatio || 1));
-    W = Math.floor(window.innerWidth);
-    H = Math.floor(window.innerHeight);
-
-    canvas.width = Math.floor(W * DPR);
-    canvas.height = Math.floor(H * DPR);
-    ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
+  function rebuildField(field) {
+    const target = field.points(minPoints, maxPoints);
 
-    rebuildField();
-  }
+    if (target === N && sVals.length === target) return N;
 
-  function rebuildField() {
-    const target = Math.min(
-      maxPoints,
-      Math.max(
-        minPoints,
-        Math.floor(baseDensity * W * H)
-      )
-    );
-
-    if (target === N && sVals.length === target) {
-      onStats && onStats({ points: N });
-      return;
-    }
+    // Seeded from scratch each time, so existing particles come out the
+    // same and only the tail is added / dropped.
+    const rand = field.random;
 
     N = target;
     sVals = new Float32Array(N);
@@ -94,63 +68,42 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
 
     for (let i = 0; i < N; i++) {
       // s = axis parameter: 0 at the wide "mouth", 1 at the tight funnel.
-      const s = Math.random(); // uniform along axis
+      const s = rand(); // uniform along axis
 
       // Funnel radius: wide at s≈0, tight at s≈1
       // Use a curved falloff so it pinches smoothly.
       const baseRadius = 0.45 * Math.pow(1 - s, 1.7) + 0.04; // in normalized units
 
       // Angle around axis, random start (we'll add time-dependent swirl later).
-      const theta0 = 1.2 * Math.PI * Math.random();
+      const theta0 = 1.2 * Math.PI * rand();
 
       // Slight per-particle jitter in radius for texture
-      const jitter = (Math.random() - 0.5) * 0.05 * baseRadius;
+      const jitter = (rand() - 0.5) * 0.05 * baseRadius;
 
       sVals[i] = s;
       theta0Vals[i] = theta0;
       radiusVals[i] = baseRadius + jitter;
     }
 
-    if (onStats) onStats({ points: N });
+    return N;
   }
 
   // ==============================================================
-  // 4. MAIN RENDER LOOP
+  // 3. RENDER
   // ==============================================================
 
-  function loop(now) {
-    if (!running) return;
-
-    const dt = Math.max(0.0001, (now - last) / 1000);
-    last = now;
-
-    const fps = 1 / dt;
-    fpsEMA = fpsEMA * 0.9 + fps * 0.1;
-
-    const speedScale = 45; // sideways tornado looks good a bit slower
-    t += dt * speed * speedScale;
-
-    // Auto zoom breathing
-    let z = zoom;
-    if (zoomAuto) {
-      zoomPhase += dt;
-      const amp = 0.09;
-      const hz = 0.07;
-      z = zoom * (1 + amp * Math.sin(2 * Math.PI * hz * zoomPhase));
-    }
-
-    if (onStats) onStats({ fps: fpsEMA, speed, zoom: z });
+  function render(ctx, frame) {
+    const { width: W, height: H, palette, zoom: z } = frame;
+    const { swirl: swirlStrength, wobble, bend: bendAmt, trails: trailFade } = frame.params;
+    const t = frame.time * speedScale;
 
     // --- BACKGROUND + TRAILS -------------------------------------
     ctx.globalCompositeOperation = 'source-over';
     // Semi-transparent dark overlay: leaves trails
-    ctx.fillStyle = 'rgba(3, 1, 10, 0.28)';
+    ctx.fillStyle = rgba(palette.background, trailFade);
     ctx.fillRect(0, 0, W, H);
 
-    if (!N) {
-      rafId = requestAnimationFrame(loop);
-      return;
-    }
+    if (!N) return;
 
     const cx = W * 0.5;
     const cy = H * 0.5;
@@ -158,11 +111,14 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
     const axisLen = W * 0.52 * z;     // half-length of tornado horizontally
     const radialScale = H * 0.42 * z; // vertical extent of swirl around axis
 
+    // Points bend around the pointer (see ../interaction.js)
+    const touch = frame.touch;
+
     ctx.globalCompositeOperation = 'lighter';
-    ctx.fillStyle = 'rgba(160, 220, 255, 0.8)';
+    ctx.fillStyle = rgba(palette.foreground, 0.8 * palette.alpha);
 
     // ============================================================
-    // 4a. SIDEWAYS TORNADO MATH
+    // 3a. SIDEWAYS TORNADO MATH
     // ------------------------------------------------------------
     // Axis:
     //   - Horizontal line across screen with slight S-curve bend.
@@ -188,15 +144,15 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
       const xAxis = (s - 0.5) * 2.0;
 
       // S-curve bend + vertical sway
-      const bend = 0.28 * Math.sin(2.7 * (s - 0.3) + bendPhase) +
-                   0.12 * Math.sin(5.3 * s - bendPhase * 1.7);
+      const bend = bendAmt * (0.28 * Math.sin(2.7 * (s - 0.3) + bendPhase) +
+                              0.12 * Math.sin(5.3 * s - bendPhase * 1.7));
       const yAxis = 0.15 * Math.sin(bendPhase * 1.3) + bend * 0.8;
 
       // Swirl angle:
       //   - Faster swirl near the funnel tip (s → 1).
       //   - Some global rotation and per-axis modulation.
       const swirlSpeed = 2.0 + 4.0 * s;
-      const swirl = t * 0.045 * swirlSpeed;
+      const swirl = t * 0.045 * swirlSpeed * swirlStrength;
       const theta = theta0 + swirl + 2.0 * s;
 
       // Radius:
@@ -204,7 +160,7 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
       //   - Add subtle pulse and turbulence.
       const pulse = 1 + 0.25 * Math.sin(t * 0.025 + s * 8.0);
       const turbulence =
-        1 + 0.18 * Math.sin(theta0 * 3.1 + wobblePhase * 1.4);
+        1 + wobble * Math.sin(theta0 * 3.1 + wobblePhase * 1.4);
 
       const r = baseR * pulse * turbulence;
 
@@ -219,8 +175,13 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
       const ny = yAxis + swirlY;
 
       // Map to screen
-      const x = cx + nx * axisLen;
-      const y = cy + ny * radialScale;
+      let x = cx + nx * axisLen;
+      let y = cy + ny * radialScale;
+      if (touch?.count) {
+        bendPoint(touch, x, y, bent);
+        x = bent[0];
+        y = bent[1];
+      }
 
       if (x >= 0 && x < W && y >= 0 && y < H) {
         // Slight taper in brightness toward the tip
@@ -232,77 +193,20 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
 
     // Reset alpha for next frame
     ctx.globalAlpha = 1.0;
-
-    rafId = requestAnimationFrame(loop);
   }
 
   // ==============================================================
-  // 5. PUBLIC API
+  // 4. RUNTIME (clock, sizing, params; see ../runtime.js)
   // ==============================================================
 
-  function play() {
-    if (running) return;
-    running = true;
-    last = performance.now();
-    rafId = requestAnimationFrame(loop);
-  }
-
-  function pause() {
-    running = false;
-    if (rafId != null) {
-      cancelAnimationFrame(rafId);
-      rafId = null;
-    }
-  }
-
-  function reset() {
-    t = 0;
-    zoomPhase = 0;
-  }
-
-  function setParams(params) {
-    if (!params) return;
-
-    if (params.speed != null) {
-      speed = params.speed;
-      onStats && onStats({ speed });
-    }
-
-    if (params.density != null) {
-      baseDensity = params.density;
-      rebuildField();
-    }
-
-    if (params.zoom != null) {
-      zoom = params.zoom;
-      onStats && onStats({ zoom });
-    }
-
-    if (params.zoomAuto != null) {
-      zoomAuto = !!params.zoomAuto;
-      if (!zoomAuto) {
-        zoomPhase = 0;
-      }
-    }
-  }
-
-  function destroy() {
-    pause();
-    window.removeEventListener('resize', fitCanvas);
-  }
-
-  // ==============================================================
-  // 6. INITIALIZATION
-  // ==============================================================
-
-  window.addEventListener('resize', fitCanvas);
-  fitCanvas();
-  setParams(initialState || {});
-
-  if (initialState.running !== false) {
-    play();
-  }
-
-  return { play, pause, reset, setParams, destroy };
+  return runAnimation(options, {
+    params,
+    palette: DEFAULT_PALETTE,
+    speed: 0.1,
+    pulse: { amp: 0.09, hz: 0.07 },
+    // The trails are the last few frames fading out; seeking replays them
+    trailFade: (p) => p.trails,
+    init: rebuildField,
+    render
+  });
 }
-
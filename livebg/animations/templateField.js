@@ -19,9 +19,17 @@
 //       density,       // "points per pixel" base density
 //       zoom,          // zoom factor, usually ~1.0
 //       zoomAuto,      // boolean, whether auto-zoom pulse is on
-//       running        // boolean, start paused or running
+//       zoomPulse,     // optional: pulse value from audio, replaces the sine
+//       quality,       // optional: { points, resolution } (see QUALITY below)
+//       running,       // boolean, start paused or running
+//       palette        // optional palette object (see ../palettes.js)
 //     },
-//     onStats          // function(stats) to report fps, points, etc
+//     onStats,         // function(stats) to report fps, points, etc
+//     surface,         // optional: size() / observe(fn) for the canvas's own
+//                      // CSS box + devicePixelRatio (see ../surface.js)
+//     renderer,        // '2d' (default) or 'webgl2' if you opted in below
+//     seed,            // optional: seed for everything random (see below)
+//     interaction      // optional: pointer input (see POINTER below)
 //   });
 //
 // and expects you to return an object:
@@ -30,35 +38,142 @@
 //     play(),          // start / resume animation
 //     pause(),         // stop animation, keep state
 //     reset(),         // optional: reset time, phases, etc
+//     step(dt),        // optional: draw one frame dt seconds on (dt < 0: back)
+//     renderAt(time),  // optional: draw the frame at `time` (seeking)
 //     setParams({...}),// called whenever UI sliders/checkboxes change
 //     destroy()        // cleanup (remove listeners, cancel RAF)
 //   }
 //
+// This template also returns setFormula(fn, onError), which swaps the math
+// in section 4a for code from the LiveBG formula editor (see 4b). Other
+// modules don't need it.
+//
+// You don't write most of that yourself: this module hands two hooks,
+// init(field) and render(ctx, frame), to runAnimation() from
+// ../runtime.js, which owns the clock, canvas sizing, stats, the zoom
+// pulse, setParams and the lifecycle, and returns that object. See
+// section 5 below and the top of ../runtime.js.
+//
 // As long as you keep that shape, your animation will work with the
-// existing UI, controls, and animation switcher.
+// existing UI, controls, and animation switcher. setParams() may get only
+// some keys, or nothing at all (undefined / {}): change what's given and
+// leave the rest. `node livebg/check.mjs` checks all of this headless
+// (see ../contract.js).
+// Hosts pause, slow down or hold a still frame for hidden tabs and
+// reduced motion through these same methods (see ../motion.js), so don't
+// add visibility or prefers-reduced-motion handling of your own.
+//
+// REGISTERING
+// ===========
+// Add an entry for your file to ./manifest.json (id, label, module, and
+// optionally author, description, thumbnail and default params). You can
+// also export `meta = { label, author, description, thumbnail }` to fill
+// in what the manifest entry leaves out (see ../registry.js).
+//
+// COLORS
+// ======
+// Don't hardcode colors in the draw loop. Declare a DEFAULT_PALETTE with
+// your module's own look and read colors from `palette` instead; the Themes
+// dialog swaps it via setParams({ palette }). null means "back to default".
+//
+// PARAMETERS
+// ==========
+// Export a `params` schema to get your own knobs in the Controls modal.
+// main.js builds a slider / checkbox / color picker / select per entry,
+// passes the values in initialState and calls setParams({ [name]: value })
+// when they change. See ../params.js for the accepted fields.
+//
+// DETERMINISM
+// ===========
+// Use createRandom(seed) from ../random.js instead of Math.random(), and
+// derive everything from time rather than from frame count, so the same
+// seed + time always gives the same picture. `time` is in virtual seconds:
+// seconds of playback at speed 1 (report it with onStats({ time })).
+// Speed can be negative (the transport plays backwards); if your module
+// can't run in reverse, export `reversible = false` and hold still on
+// speed <= 0 instead (see fireField.js).
+//
+// POINTER
+// =======
+// `interaction.sample()` returns the pointer buffer for this frame (see
+// ../interaction.js). Pass each point's screen position through
+// bendPoint() after your math, and hand the buffer to gpu.draw() as
+// `pointer` on the GPU path, so points bend around the cursor. Hosts
+// without pointer input pass nothing; treat it as optional.
+//
+// QUALITY
+// =======
+// When frames get slow the host sends setParams({ quality }), with
+// `points` and `resolution` between 0 and 1 (see ../quality.js). The
+// runtime scales the canvas's DPR and calls init() again; count your
+// points with field.points(min, max), which applies `points` for you.
+//
+// GPU RENDERING (OPTIONAL)
+// ========================
+// Export `renderers = ['webgl2', '2d']` to opt in. When WebGL2 is available
+// the host passes renderer: 'webgl2', the runtime builds the ../gl.js
+// renderer from your point math ported to GLSL (spec.glsl, see
+// GLSL_POINTS below) and you draw through frame.gpu, with ctx null. If
+// creating the GL renderer throws, the host retries with renderer: '2d'
+// on a fresh canvas.
+
+import { parseColor, rgba } from '../palettes.js';
+import { bendPoint } from '../interaction.js';
+import { runAnimation } from '../runtime.js';
+
+// CUSTOMIZE: this module's own look (used when no theme is selected).
+const DEFAULT_PALETTE = {
+  background: '#05030a',
+  foreground: '#ffffff'
+};
+
+// CUSTOMIZE: knobs for this animation. `density` is listed here (not as a
+// global control) because every module means something different by it.
+export const params = [
+  { name: 'density', type: 'range', min: 0.001, max: 0.06, step: 0.001, default: 0.005, label: 'Density (points/px)' },
+  { name: 'swirl', type: 'range', min: 0, max: 1.5, step: 0.01, default: 0.35, label: 'Swirl rate' },
+  { name: 'twist', type: 'range', min: 0, max: 12, step: 0.1, default: 5, label: 'Twist' },
+  { name: 'wobble', type: 'range', min: 0, max: 1, step: 0.01, default: 0.35, label: 'Wobble' },
+  { name: 'pulse', type: 'range', min: 0, max: 0.5, step: 0.01, default: 0.18, label: 'Breathing' }
+];
+
+export const renderers = ['webgl2', '2d'];
+
+// Section 4a in GLSL. Time enters as phases wrapped to [0, 2π) on the CPU,
+// because float32 sin() of a large `t` gets visibly jittery.
+const GLSL_POINTS = `
+uniform vec2 u_center;
+uniform float u_baseRadius;
+uniform float u_twist;
+uniform float u_wobble;
+uniform float u_pulse;
+uniform float u_swirlPhase;
+uniform float u_wobblePhase;
+uniform float u_pulsePhase;
+
+vec3 pointPosition(vec2 b, float i) {
+  float r = length(b);
+  float baseAng = atan(b.y, b.x);
+  float swirl = u_swirlPhase + r * u_twist;
+  float wobble = sin(i * 0.013 + u_wobblePhase) * u_wobble;
+  float ang = baseAng + swirl + wobble;
+  float radialPulse = 1.0 + u_pulse * sin(u_pulsePhase + r * 8.0);
+  float radius = r * u_baseRadius * radialPulse;
+  return vec3(u_center + vec2(cos(ang), sin(ang)) * radius, 1.0);
+}
+`;
 
-export function createAnimation({ canvas, initialState = {}, onStats }) {
-  const ctx = canvas.getContext('2d', { alpha: true });
+const TAU = Math.PI * 2;
 
+export function createAnimation(options) {
   // ==============================================================
-  // 1. CANVAS + DENSITY STATE
+  // 1. FIELD STATE
   // --------------------------------------------------------------
-  // These handle:
-  //   - High-DPI scaling (devicePixelRatio).
-  //   - Rebuilding the point field when size or density changes.
+  // Everything the runtime doesn't own: the point field, and anything
+  // your math keeps between frames. It lives in this closure, so every
+  // instance on a page gets its own.
   // ==============================================================
 
-  let W = 0;
-  let H = 0;
-  let DPR = 1;
-
-  // CUSTOMIZE: density semantics
-  // ----------------------------
-  // baseDensity is "points per pixel". Higher -> more points.
-  // main.js will pass in initialState.density from the slider.
-  let baseDensity =
-    typeof initialState.density === 'number' ? initialState.density : 0.005;
-
   // You can clamp the total number of points for perf reasons.
   const minPoints = 6000;
   const maxPoints = 120000;
@@ -68,47 +183,38 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
   let xVals = new Float32Array(0);
   let yVals = new Float32Array(0);
 
-  // ==============================================================
-  // 2. ANIMATION STATE
-  // --------------------------------------------------------------
-  // These are the knobs the UI controls, plus internal time & fps.
-  // ==============================================================
-
-  let speed =
-    typeof initialState.speed === 'number' ? initialState.speed : 0.5;
+  // The GPU renderer when the host picked WebGL2 (see field.gpu)
+  let gpu = null;
 
-  let zoom =
-    typeof initialState.zoom === 'number' ? initialState.zoom : 1.0;
+  // The runtime's clock is in virtual seconds; the math below wants
+  // t in "units", 60 per second at speed 1.
+  const speedScale = 60;
 
-  let zoomAuto = !!initialState.zoomAuto;
-  let zoomPhase = 0; // internal phase for zoom pulsing
+  // Per-point formula from the editor (section 4b); null = the math in 4a.
+  let formula = null;
+  let onFormulaError = null;
 
-  let running = false;
-  let rafId = null;
-  let last = performance.now();
-  let t = 0;        // main animation time
-  let fpsEMA = 60;  // smoothed FPS estimate
+  const bent = [0, 0]; // bendPoint() output (POINTER)
 
   // ==============================================================
-  // 3. CANVAS FITTING + POINT FIELD GENERATION
+  // 2. KNOBS
+  // --------------------------------------------------------------
+  // Nothing to declare: the runtime keeps speed / zoom / palette and a
+  // value for every entry in the `params` schema above, and hands them
+  // to render() as frame.speed, frame.zoom, frame.palette and
+  // frame.params. init() gets params.density as field.density.
   // ==============================================================
 
-  function fitCanvas() {
-    // Handle HiDPI while keeping drawing units in CSS pixels.
-    DPR = Math.max(1, Math.min(3, window.devicePixelRatio || 1));
-    W = Math.floor(window.innerWidth);
-    H = Math.floor(window.innerHeight);
-
-    canvas.width = Math.floor(W * DPR);
-    canvas.height = Math.floor(H * DPR);
-    ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
-
-    rebuildPointField();
-  }
+  // ==============================================================
+  // 3. POINT FIELD GENERATION
+  // ==============================================================
 
   // CUSTOMIZE HERE (LAYOUT)
   // -----------------------
   // rebuildPointField() defines the *base positions* of your particles.
+  // The runtime calls it as init(field) whenever the size, density or
+  // quality changes (or a param listed in spec.rebuildOn, see
+  // ../runtime.js), and reports whatever it returns as `points`.
   // Currently:
   //   - random points in a unit disc [-1,1] normalized space
   // You can change this to:
@@ -118,19 +224,18 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
   //   - any other base pattern
   //
   // IMPORTANT: keep coordinates roughly in [-1,1] so later scaling is simple.
-  function rebuildPointField() {
-    const target = Math.min(
-      maxPoints,
-      Math.max(
-        minPoints,
-        Math.floor(baseDensity * W * H)
-      )
-    );
-
-    if (target === N && xVals.length === target) {
-      onStats && onStats({ points: N });
-      return;
-    }
+  function rebuildPointField(field) {
+    gpu = field.gpu;
+
+    // density * area, clamped, times the quality governor's `points`
+    const target = field.points(minPoints, maxPoints);
+
+    if (target === N && xVals.length === target) return N;
+
+    // field.random starts over from the seed on every call: point i comes
+    // out identical on every rebuild, so a resize or density tweak only
+    // adds / drops points at the end instead of reshuffling the field.
+    const rand = field.random;
 
     N = target;
     xVals = new Float32Array(N);
@@ -139,8 +244,8 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
     for (let i = 0; i < N; i++) {
       // --- CURRENT LAYOUT: Random point in a unit disc ---
 
-      const u = Math.random();
-      const v = Math.random();
+      const u = rand();
+      const v = rand();
       const r = Math.sqrt(u);            // radius 0..1 (biased toward center)
       const theta = 2 * Math.PI * v;     // angle 0..2π
 
@@ -151,64 +256,63 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
       yVals[i] = y;
     }
 
-    if (onStats) onStats({ points: N });
+    if (gpu) gpu.setPoints(xVals, yVals);
+    return N;
   }
 
   // ==============================================================
-  // 4. MAIN RENDER LOOP
+  // 4. RENDER
   // --------------------------------------------------------------
-  // This is where the visual *behavior* happens.
-  // You will usually:
-  //   - advance time t
-  //   - compute zoom (and auto-zoom)
+  // This is where the visual *behavior* happens. The runtime has already
+  // advanced the clock (frame.time) and applied the zoom pulse
+  // (frame.zoom); you:
   //   - clear background
   //   - for each point: transform base (xVals[i], yVals[i]) into
   //     screen coordinates using your custom math.
+  // The same function draws rAF frames, step() frames for exports, and
+  // seeks (renderAt), so derive everything from frame.time.
   // ==============================================================
 
-  function loop(now) {
-    if (!running) return;
-
-    const dt = Math.max(0.0001, (now - last) / 1000);
-    last = now;
+  function render(ctx, frame) {
+    const { width: W, height: H, palette, touch } = frame;
+    const { swirl: swirlRate, twist, wobble: wobbleAmt, pulse: pulseAmt } = frame.params;
+    const t = frame.time * speedScale;
 
-    // FPS smoothing for UI stats (optional but nice).
-    const fps = 1 / dt;
-    fpsEMA = fpsEMA * 0.9 + fps * 0.1;
-
-    // Advance time based on "speed". This makes "speed" feel
-    // consistent across frame rates.
-    const speedScale = 60; // 1.0 => roughly 60 units/sec at 60fps
-    t += dt * speed * speedScale;
-
-    // Auto zoom breathing (optional)
-    let z = zoom;
-    if (zoomAuto) {
-      zoomPhase += dt;
-      const amp = 0.08; // how much zoom pulses
-      const hz = 0.09;  // pulses per second
-      z = zoom * (1 + amp * Math.sin(2 * Math.PI * hz * zoomPhase));
+    const cx = W * 0.5;
+    const cy = H * 0.5;
+    const baseRadius = Math.min(W, H) * 0.5 * 0.9 * frame.zoom;
+
+    // --- GPU PATH: same math as 4a, evaluated in the vertex shader ---
+    if (gpu) {
+      gpu.clear(parseColor(palette.background));
+      gpu.draw(
+        N,
+        {
+          u_center: [cx, cy],
+          u_baseRadius: baseRadius,
+          u_twist: twist,
+          u_wobble: wobbleAmt,
+          u_pulse: pulseAmt,
+          u_swirlPhase: (t * swirlRate) % TAU,
+          u_wobblePhase: (t * 0.7) % TAU,
+          u_pulsePhase: (t * 0.6) % TAU
+        },
+        { color: parseColor(palette.foreground), alpha: 0.5 * palette.alpha, pointer: touch }
+      );
+      return;
     }
 
-    // Report stats back to UI
-    if (onStats) onStats({ fps: fpsEMA, speed, zoom: z });
-
-    // --- BACKGROUND STYLE (CUSTOMIZE COLORS HERE) ---
+    // --- BACKGROUND STYLE (colors come from the palette) ---
     ctx.clearRect(0, 0, W, H);
-    ctx.fillStyle = '#05030a'; // background color
+    ctx.fillStyle = palette.background;
     ctx.fillRect(0, 0, W, H);
 
-    if (!N) {
-      rafId = requestAnimationFrame(loop);
-      return;
-    }
+    if (!N) return;
 
-    const cx = W * 0.5;
-    const cy = H * 0.5;
-    const baseRadius = Math.min(W, H) * 0.5 * 0.9 * z;
+    // Point color: palette foreground at this module's base opacity
+    ctx.fillStyle = rgba(palette.foreground, 0.5 * palette.alpha);
 
-    // Point color
-    ctx.fillStyle = 'rgba(255,255,255,0.5)';
+    if (formula && drawFormula(ctx, frame, cx, cy, baseRadius)) return;
 
     // ============================================================
     // 4a. ANIMATION MATH (THE FUN PART)
@@ -233,21 +337,26 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
 
       // CUSTOMIZE: angular behavior --------------------------------
       // swirl controls overall rotation: function of time + radius.
-      const swirl = t * 0.35 + r * 5.0;
+      const swirl = t * swirlRate + r * twist;
 
       // wobble adds per-point noise so the field feels more organic.
-      const wobble = Math.sin(i * 0.013 + t * 0.7) * 0.35;
+      const wobble = Math.sin(i * 0.013 + t * 0.7) * wobbleAmt;
 
       const ang = baseAng + swirl + wobble;
 
       // CUSTOMIZE: radial behavior ---------------------------------
       // radialPulse makes the field "breathe" in and out.
-      const radialPulse = 1 + 0.18 * Math.sin(t * 0.6 + r * 8.0);
+      const radialPulse = 1 + pulseAmt * Math.sin(t * 0.6 + r * 8.0);
       const radius = r * baseRadius * radialPulse;
 
-      // Map to screen
-      const x = cx + Math.cos(ang) * radius;
-      const y = cy + Math.sin(ang) * radius;
+      // Map to screen, then bend around the pointer
+      let x = cx + Math.cos(ang) * radius;
+      let y = cy + Math.sin(ang) * radius;
+      if (touch?.count) {
+        bendPoint(touch, x, y, bent);
+        x = bent[0];
+        y = bent[1];
+      }
 
       // Simple culling for a tiny perf win
       if (x >= 0 && x < W && y >= 0 && y < H) {
@@ -255,80 +364,90 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
         ctx.fillRect(x, y, 1, 1);
       }
     }
-
-    rafId = requestAnimationFrame(loop);
-  }
-
-  // ==============================================================
-  // 5. PUBLIC API (USED BY main.js)
-  // ==============================================================
-
-  function play() {
-    if (running) return;
-    running = true;
-    last = performance.now();
-    rafId = requestAnimationFrame(loop);
-  }
-
-  function pause() {
-    running = false;
-    if (rafId != null) {
-      cancelAnimationFrame(rafId);
-      rafId = null;
-    }
   }
 
-  function reset() {
-    // Optional: reset time/phase to initial state.
-    t = 0;
-    zoomPhase = 0;
-  }
-
-  // setParams is called whenever UI controls change.
-  // Only update the values you care about; the rest can be ignored.
-  function setParams(params) {
-    if (!params) return;
-
-    if (params.speed != null) {
-      speed = params.speed;
-      if (onStats) onStats({ speed });
-    }
-
-    if (params.density != null) {
-      baseDensity = params.density;
-      rebuildPointField();
-    }
-
-    if (params.zoom != null) {
-      zoom = params.zoom;
-      if (onStats) onStats({ zoom });
-    }
-
-    if (params.zoomAuto != null) {
-      zoomAuto = !!params.zoomAuto;
-      if (!zoomAuto) {
-        zoomPhase = 0;
+  // ============================================================
+  // 4b. CUSTOM FORMULA (OPTIONAL)
+  // ------------------------------------------------------------
+  // The same loop with 4a replaced by
+  //
+  //   formula(bx, by, i, t, r, ang, p) -> [x, y, alpha]
+  //
+  // where r / ang are the polar form of (bx, by), p holds the params above
+  // ({ density, swirl, twist, wobble, pulse }), x / y come back in disc
+  // units around the center and alpha (0..1) scales the point's opacity.
+  // A formula that throws is dropped, and 4a takes over again from the
+  // next frame; onFormulaError gets the error, with the point's index.
+  // ============================================================
+
+  function drawFormula(ctx, frame, cx, cy, baseRadius) {
+    const { width: W, height: H, touch } = frame;
+    const p = frame.params;
+    const t = frame.time * speedScale;
+    let alpha = 1;
+    let i = 0;
+    try {
+      for (; i < N; i++) {
+        const bx = xVals[i];
+        const by = yVals[i];
+        const out = formula(bx, by, i, t, Math.hypot(bx, by), Math.atan2(by, bx), p);
+        if (!out) throw new TypeError('the formula must return [x, y, alpha]');
+
+        let x = cx + out[0] * baseRadius;
+        let y = cy + out[1] * baseRadius;
+        if (touch?.count) {
+          bendPoint(touch, x, y, bent);
+          x = bent[0];
+          y = bent[1];
+        }
+        const a = out[2] === undefined ? 1 : Math.min(1, out[2]);
+        if (!(a > 0) || !(x >= 0 && x < W && y >= 0 && y < H)) continue;
+        if (a !== alpha) ctx.globalAlpha = alpha = a;
+        ctx.fillRect(x, y, 1, 1);
       }
+    } catch (err) {
+      err.pointIndex = i;
+      formula = null;
+      onFormulaError?.(err);
+      return false;
+    } finally {
+      ctx.globalAlpha = 1;
     }
-  }
-
-  function destroy() {
-    pause();
-    window.removeEventListener('resize', fitCanvas);
+    return true;
   }
 
   // ==============================================================
-  // 6. INITIALIZATION
+  // 5. RUNTIME
+  // --------------------------------------------------------------
+  // runAnimation() (../runtime.js) sizes the canvas, runs the clock and
+  // the rAF loop, reports fps / speed / zoom / time, handles setParams
+  // for the global keys and the `params` schema, and returns play /
+  // pause / reset / step / renderAt / setParams / destroy. Nothing here
+  // depends on earlier frames, so its default renderAt() (set the time,
+  // draw) is all seeking needs. Modules with trails or a simulation pass
+  // trailFade, or advance / seek (see swirlField.js, fireField.js).
   // ==============================================================
 
-  window.addEventListener('resize', fitCanvas);
-  fitCanvas();                 // size canvas + build initial field
-  setParams(initialState || {}); // sync with initial UI values
-
-  if (initialState.running !== false) {
-    play();
+  const animation = runAnimation(options, {
+    params,
+    palette: DEFAULT_PALETTE,
+    speed: 0.5,                    // when the host passes none
+    pulse: { amp: 0.08, hz: 0.09 }, // auto-zoom: how much, pulses per second
+    glsl: GLSL_POINTS,
+    init: rebuildPointField,
+    render
+  });
+
+  // Formula editor hook (see 4b). Only the Canvas2D path runs JS per
+  // point, so this returns false on the GPU renderer. null restores 4a.
+  function setFormula(fn, onError) {
+    if (gpu) return false;
+    formula = typeof fn === 'function' ? fn : null;
+    onFormulaError = onError || null;
+    animation.step(0); // redraw now, so a paused field shows it
+    return true;
   }
 
   // This object is what main.js keeps and calls.
-  return { play, pause, reset, setParams, destroy };
+  return { ...animation, setFormula };
 }
@@ -3,23 +3,38 @@
 // Swirling Vortex Animation (based on LiveBG template)
 // ----------------------------------------------------
 // Same public API and expectations as the template.
-// See comments in sections 1–6 for how it plugs into main.js.
-
-export function createAnimation({ canvas, initialState = {}, onStats }) {
-  const ctx = canvas.getContext('2d', { alpha: true });
-
+// See comments in sections 1–4 for how it plugs into ../runtime.js.
+
+import { rgba } from '../palettes.js';
+import { bendPoint } from '../interaction.js';
+import { runAnimation } from '../runtime.js';
+
+const DEFAULT_PALETTE = {
+  background: 'rgb(4, 0, 15)',
+  foreground: 'rgb(180, 220, 255)'
+};
+
+export const params = [
+  { name: 'density', type: 'range', min: 0.001, max: 0.04, step: 0.001, default: 0.005, label: 'Density (points/px)' },
+  { name: 'swirl', type: 'range', min: 0, max: 3, step: 0.05, default: 1, label: 'Swirl strength' },
+  {
+    name: 'arms', type: 'select', default: 4, label: 'Arms',
+    options: [2, 3, 4, 5, 6].map((n) => ({ value: n, label: String(n) }))
+  },
+  { name: 'turbulence', type: 'range', min: 0, max: 0.6, step: 0.01, default: 0.2, label: 'Turbulence' },
+  { name: 'additive', type: 'checkbox', default: true, label: 'Additive glow' },
+  { name: 'coreGlow', type: 'checkbox', default: false, label: 'Core glow' },
+  { name: 'coreColor', type: 'color', default: '#b4dcff', label: 'Core color' }
+];
+
+// Background alpha per frame; what's left of older frames are the trails.
+const TRAIL_FADE = 0.25;
+
+export function createAnimation(options) {
   // ==============================================================
-  // 1. CANVAS + DENSITY STATE
+  // 1. FIELD STATE
   // ==============================================================
 
-  let W = 0;
-  let H = 0;
-  let DPR = 1;
-
-  // "points per pixel" from UI
-  let baseDensity =
-    typeof initialState.density === 'number' ? initialState.density : 0.005;
-
   // Clamp for perf
   const minPoints = 6000;
   const maxPoints = 90000;
@@ -28,54 +43,21 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
   let xVals = new Float32Array(0);
   let yVals = new Float32Array(0);
 
-  // ==============================================================
-  // 2. ANIMATION STATE
-  // ==============================================================
-
-  let speed =
-    typeof initialState.speed === 'number' ? initialState.speed : 0.5;
-
-  let zoom =
-    typeof initialState.zoom === 'number' ? initialState.zoom : 1.0;
-
-  let zoomAuto = !!initialState.zoomAuto;
-  let zoomPhase = 0;
-
-  let running = false;
-  let rafId = null;
-  let last = performance.now();
-  let t = 0;
-  let fpsEMA = 60;
+  const bent = [0, 0]; // bendPoint() output
+  const speedScale = 60;
 
   // ==============================================================
-  // 3. CANVAS FITTING + POINT FIELD
+  // 2. POINT FIELD
   // ==============================================================
 
-  function fitCanvas() {
-    DPR = Math.max(1, Math.min(3, window.devicePixelRatio || 1));
-    W = Math.floor(window.innerWidth);
-    H = Math.floor(window.innerHeight);
+  function rebuildPointField(field) {
+    const target = field.points(minPoints, maxPoints);
 
-    canvas.width = Math.floor(W * DPR);
-    canvas.height = Math.floor(H * DPR);
-    ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
+    if (target === N && xVals.length === target) return N;
 
-    rebuildPointField();
-  }
-
-  function rebuildPointField() {
-    const target = Math.min(
-      maxPoints,
-      Math.max(
-        minPoints,
-        Math.floor(baseDensity * W * H)
-      )
-    );
-
-    if (target === N && xVals.length === target) {
-      onStats && onStats({ points: N });
-      return;
-    }
+    // Regenerated from the seed, so existing points stay put and only the
+    // tail is added / dropped.
+    const rand = field.random;
 
     N = target;
     xVals = new Float32Array(N);
@@ -83,8 +65,8 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
 
     for (let i = 0; i < N; i++) {
       // Base layout: random point in a unit disc, biased slightly outward
-      const u = Math.random();
-      const v = Math.random();
+      const u = rand();
+      const v = rand();
 
       // radius biased toward outer ring to emphasize the vortex arms
       const r = 1 - Math.pow(1 - u, 1.6);
@@ -94,57 +76,52 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
       yVals[i] = r * Math.sin(theta);
     }
 
-    if (onStats) onStats({ points: N });
+    return N;
   }
 
   // ==============================================================
-  // 4. MAIN RENDER LOOP
+  // 3. RENDER
   // ==============================================================
 
-  function loop(now) {
-    if (!running) return;
-
-    const dt = Math.max(0.0001, (now - last) / 1000);
-    last = now;
-
-    const fps = 1 / dt;
-    fpsEMA = fpsEMA * 0.9 + fps * 0.1;
-
-    const speedScale = 60;
-    t += dt * speed * speedScale;
-
-    // Auto zoom breathing
-    let z = zoom;
-    if (zoomAuto) {
-      zoomPhase += dt;
-      const amp = 0.08;
-      const hz = 0.09;
-      z = zoom * (1 + amp * Math.sin(2 * Math.PI * hz * zoomPhase));
-    }
-
-    if (onStats) onStats({ fps: fpsEMA, speed, zoom: z });
+  function render(ctx, frame) {
+    const { width: W, height: H, palette, zoom: z, touch } = frame;
+    const {
+      swirl: swirlStrength,
+      arms,
+      turbulence: turbulenceAmt,
+      additive,
+      coreGlow,
+      coreColor
+    } = frame.params;
+    const t = frame.time * speedScale;
 
     // --- BACKGROUND WITH TRAILS (vortex feel) -------------------
     // Slight alpha so previous frames linger as motion trails.
     ctx.globalCompositeOperation = 'source-over';
-    ctx.fillStyle = 'rgba(4, 0, 15, 0.25)';
+    ctx.fillStyle = rgba(palette.background, TRAIL_FADE);
     ctx.fillRect(0, 0, W, H);
 
-    if (!N) {
-      rafId = requestAnimationFrame(loop);
-      return;
-    }
+    if (!N) return;
 
     const cx = W * 0.5;
     const cy = H * 0.5;
     const baseRadius = Math.min(W, H) * 0.5 * 0.9 * z;
 
+    // Soft glow at the eye of the vortex
+    if (coreGlow) {
+      const glow = ctx.createRadialGradient(cx, cy, 0, cx, cy, baseRadius * 0.35);
+      glow.addColorStop(0, rgba(coreColor, 0.35 * palette.alpha));
+      glow.addColorStop(1, rgba(coreColor, 0));
+      ctx.fillStyle = glow;
+      ctx.fillRect(0, 0, W, H);
+    }
+
     // Additive blending so overlapping points bloom
-    ctx.globalCompositeOperation = 'lighter';
-    ctx.fillStyle = 'rgba(180, 220, 255, 0.75)';
+    ctx.globalCompositeOperation = additive ? 'lighter' : 'source-over';
+    ctx.fillStyle = rgba(palette.foreground, 0.75 * palette.alpha);
 
     // ============================================================
-    // 4a. VORTEX MATH
+    // 3a. VORTEX MATH
     // ------------------------------------------------------------
     // For each base point (bx, by in [-1,1] disc):
     //   1. Convert to polar.
@@ -160,13 +137,13 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
       const baseAng = Math.atan2(by, bx); // -π..π
 
       // Overall rotation (faster further out)
-      const swirl = t * 0.22 + r * 7.0;
+      const swirl = (t * 0.22 + r * 7.0) * swirlStrength;
 
       // Spiral arms: modulate by angle so we get bright curved arms
-      const armWobble = Math.sin(4 * baseAng + t * 0.6) * 0.25;
+      const armWobble = Math.sin(arms * baseAng + t * 0.6) * 0.25;
 
       // Per-point turbulence so it feels alive
-      const turbulence = Math.sin(i * 0.017 + t * 0.95) * 0.2;
+      const turbulence = Math.sin(i * 0.017 + t * 0.95) * turbulenceAmt;
 
       const ang = baseAng + swirl + armWobble + turbulence;
 
@@ -178,84 +155,32 @@ export function createAnimation({ canvas, initialState = {}, onStats }) {
 
       const radius = r * baseRadius * radialPulse * fallIn;
 
-      const x = cx + Math.cos(ang) * radius;
-      const y = cy + Math.sin(ang) * radius;
+      let x = cx + Math.cos(ang) * radius;
+      let y = cy + Math.sin(ang) * radius;
+      if (touch?.count) {
+        bendPoint(touch, x, y, bent);
+        x = bent[0];
+        y = bent[1];
+      }
 
       if (x >= 0 && x < W && y >= 0 && y < H) {
         ctx.fillRect(x, y, 1, 1);
       }
     }
-
-    rafId = requestAnimationFrame(loop);
   }
 
   // ==============================================================
-  // 5. PUBLIC API
+  // 4. RUNTIME (clock, sizing, params; see ../runtime.js)
   // ==============================================================
 
-  function play() {
-    if (running) return;
-    running = true;
-    last = performance.now();
-    rafId = requestAnimationFrame(loop);
-  }
-
-  function pause() {
-    running = false;
-    if (rafId != null) {
-      cancelAnimationFrame(rafId);
-      rafId = null;
-    }
-  }
-
-  function reset() {
-    t = 0;
-    zoomPhase = 0;
-  }
-
-  function setParams(params) {
-    if (!params) return;
-
-    if (params.speed != null) {
-      speed = params.speed;
-      if (onStats) onStats({ speed });
-    }
-
-    if (params.density != null) {
-      baseDensity = params.density;
-      rebuildPointField();
-    }
-
-    if (params.zoom != null) {
-      zoom = params.zoom;
-      if (onStats) onStats({ zoom });
-    }
-
-    if (params.zoomAuto != null) {
-      zoomAuto = !!params.zoomAuto;
-      if (!zoomAuto) {
-        zoomPhase = 0;
-      }
-    }
-  }
-
-  function destroy() {
-    pause();
-    window.removeEventListener('resize', fitCanvas);
-  }
-
-  // ==============================================================
-  // 6. INITIALIZATION
-  // ==============================================================
-
-  window.addEventListener('resize', fitCanvas);
-  fitCanvas();
-  setParams(initialState || {});
-
-  if (initialState.running !== false) {
-    play();
-  }
-
-  return { play, pause, reset, setParams, destroy };
+  return runAnimation(options, {
+    params,
+    palette: DEFAULT_PALETTE,
+    speed: 0.5,
+    // Seeking replays enough frames for the trails to build up (17 at
+    // 0.25 fade leave <1% of the first)
+    trailFade: () => TRAIL_FADE,
+    init: rebuildPointField,
+    render
+  });
 }
-
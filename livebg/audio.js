@@ -0,0 +1,217 @@
+// audio.js
+//
+// Audio-reactive input for LiveBG: the microphone or a local audio file
+// goes through a Web Audio AnalyserNode, and its energy drives parameters.
+//
+//   const audio = createAudioInput();
+//   await audio.useMicrophone();          // or: await audio.useFile(file)
+//   const levels = audio.read(dt);        // { bass, mid, treble, level, beat }
+//   audio.stop();
+//
+//   const modulator = createModulator();
+//   const values = modulator.update(mappings, levels, dt, targets);
+//   // -> { speed: 0.8, swirl: 1.2, zoomPulse: 0.4 }
+//
+// Levels are 0..1. Each band is scaled by its own recent peak, so a quiet
+// microphone moves things as much as a loud track. `beat` jumps to 1 on a
+// bass onset and falls back within a fraction of a second.
+//
+// A mapping is { band, target, gain, smoothing }. `target` names a key in
+// `targets` ({ [name]: { min, max, base } }); each mapping adds
+// gain * envelope * (max - min) to the base value, clamped to the range.
+// smoothing (0..0.99) is how much of last frame's envelope carries over.
+
+export const AUDIO_BANDS = ['bass', 'mid', 'treble', 'level', 'beat'];
+
+// Range of the zoomPulse key: scales each module's own auto-zoom amplitude
+export const ZOOM_PULSE_RANGE = { min: 0, max: 3 };
+
+export const MAPPING_DEFAULTS = { band: 'bass', target: 'zoomPulse', gain: 0.5, smoothing: 0.6 };
+
+const BAND_HZ = {
+  bass: [20, 250],
+  mid: [250, 2000],
+  treble: [2000, 8000],
+  level: [20, 8000]
+};
+
+const PEAK_HALF_LIFE = 4; // seconds for a band's reference peak to halve
+const PEAK_FLOOR = 0.08; // below this, silence stays silent
+const BEAT_THRESHOLD = 0.18; // bass rise over its running average
+const BEAT_GAP = 0.22; // seconds between onsets at most
+const BEAT_DECAY = 0.12; // seconds
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+// Fills in / fixes a stored mapping
+export function normalizeMapping(raw) {
+  const m = { ...MAPPING_DEFAULTS, ...(raw && typeof raw === 'object' ? raw : {}) };
+  if (!AUDIO_BANDS.includes(m.band)) m.band = MAPPING_DEFAULTS.band;
+  m.target = typeof m.target === 'string' && m.target ? m.target : MAPPING_DEFAULTS.target;
+  m.gain = Number.isFinite(+m.gain) ? clamp(+m.gain, -2, 2) : MAPPING_DEFAULTS.gain;
+  m.smoothing = Number.isFinite(+m.smoothing) ? clamp(+m.smoothing, 0, 0.99) : MAPPING_DEFAULTS.smoothing;
+  return m;
+}
+
+export function createAudioInput() {
+  let ctx = null;
+  let analyser = null;
+  let bins = null;
+  let source = null; // AudioNode feeding the analyser
+  let stream = null; // microphone MediaStream
+  let element = null; // <audio> playing a file
+  let kind = null; // 'mic' | 'file'
+
+  const levels = { bass: 0, mid: 0, treble: 0, level: 0, beat: 0 };
+  const peaks = { bass: PEAK_FLOOR, mid: PEAK_FLOOR, treble: PEAK_FLOOR, level: PEAK_FLOOR };
+  let bassAverage = 0;
+  let sinceBeat = Infinity;
+
+  function ensureContext() {
+    if (!ctx) {
+      const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+      if (!AudioContextClass) throw new Error('Web Audio is not supported in this browser');
+      ctx = new AudioContextClass();
+      analyser = ctx.createAnalyser();
+      analyser.fftSize = 2048;
+      analyser.smoothingTimeConstant = 0.5;
+      bins = new Uint8Array(analyser.frequencyBinCount);
+    }
+    return ctx;
+  }
+
+  // Drops the current source; the context stays for the next one
+  function release() {
+    source?.disconnect();
+    source = null;
+    stream?.getTracks().forEach((track) => track.stop());
+    stream = null;
+    if (element) {
+      element.pause();
+      URL.revokeObjectURL(element.src);
+      element = null;
+    }
+    analyser?.disconnect();
+    kind = null;
+    for (const band of AUDIO_BANDS) levels[band] = 0;
+    sinceBeat = Infinity;
+  }
+
+  async function useMicrophone() {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      throw new Error('Microphone input is not available here (it needs HTTPS)');
+    }
+    const nextStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    release();
+    ensureContext();
+    await ctx.resume();
+    stream = nextStream;
+    source = ctx.createMediaStreamSource(stream);
+    source.connect(analyser); // not to the speakers: no feedback
+    kind = 'mic';
+  }
+
+  // Plays the file on a loop through the speakers while analysing it
+  async function useFile(file) {
+    release();
+    ensureContext();
+    await ctx.resume();
+    element = new Audio(URL.createObjectURL(file));
+    element.loop = true;
+    source = ctx.createMediaElementSource(element);
+    source.connect(analyser);
+    analyser.connect(ctx.destination);
+    kind = 'file';
+    try {
+      await element.play();
+    } catch (err) {
+      release();
+      throw new Error(`Couldn't play ${file.name}: ${err.message}`, { cause: err });
+    }
+  }
+
+  function bandEnergy(lo, hi) {
+    const hzPerBin = ctx.sampleRate / analyser.fftSize;
+    const from = Math.max(1, Math.floor(lo / hzPerBin));
+    const to = Math.min(bins.length - 1, Math.ceil(hi / hzPerBin));
+    let sum = 0;
+    for (let i = from; i <= to; i++) sum += bins[i];
+    return to >= from ? sum / ((to - from + 1) * 255) : 0;
+  }
+
+  // Levels as of now; dt (seconds since the last read) paces the peaks
+  // and the beat envelope. All zero while nothing is playing.
+  function read(dt) {
+    if (!kind) return levels;
+    analyser.getByteFrequencyData(bins);
+
+    const decay = Math.pow(0.5, dt / PEAK_HALF_LIFE);
+    for (const [band, [lo, hi]] of Object.entries(BAND_HZ)) {
+      const raw = bandEnergy(lo, hi);
+      peaks[band] = Math.max(raw, peaks[band] * decay, PEAK_FLOOR);
+      levels[band] = raw / peaks[band];
+    }
+
+    // Onset: bass well above where it has been for the last half second
+    sinceBeat += dt;
+    const rise = levels.bass - bassAverage;
+    bassAverage += (levels.bass - bassAverage) * Math.min(1, dt / 0.5);
+    if (rise > BEAT_THRESHOLD && sinceBeat > BEAT_GAP) {
+      sinceBeat = 0;
+      levels.beat = 1;
+    } else {
+      levels.beat *= Math.exp(-dt / BEAT_DECAY);
+    }
+    return levels;
+  }
+
+  function stop() {
+    release();
+  }
+
+  function destroy() {
+    release();
+    ctx?.close();
+    ctx = null;
+    analyser = null;
+  }
+
+  return {
+    useMicrophone,
+    useFile,
+    read,
+    stop,
+    destroy,
+    get source() { return kind; }
+  };
+}
+
+// Turns levels into parameter values, one smoothed envelope per mapping.
+export function createModulator() {
+  let envelopes = [];
+
+  function update(mappings, levels, dt, targets) {
+    if (envelopes.length !== mappings.length) envelopes = mappings.map(() => 0);
+    const out = {};
+    mappings.forEach((m, i) => {
+      const raw = levels[m.band] || 0;
+      const carry = Math.pow(m.smoothing, dt * 60); // per 60 Hz frame
+      envelopes[i] = raw + (envelopes[i] - raw) * carry;
+
+      const target = targets[m.target];
+      if (!target) return;
+      const from = out[m.target] ?? target.base;
+      out[m.target] = from + m.gain * envelopes[i] * (target.max - target.min);
+    });
+    for (const [name, value] of Object.entries(out)) {
+      out[name] = clamp(value, targets[name].min, targets[name].max);
+    }
+    return out;
+  }
+
+  function reset() {
+    envelopes = [];
+  }
+
+  return { update, reset };
+}
@@ -0,0 +1,41 @@
+// check.mjs
+//
+// Runs the contract checks (contract.js) on every animation in the
+// manifest, and on each of its presets' params, headless:
+//
+//   node livebg/check.mjs           # all animations
+//   node livebg/check.mjs swirl     # just these ids (with their presets)
+//
+// Exits non-zero if any check fails. Needs Node 18+ and nothing else.
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+// registry.js fetches the manifest next to it, which here is a file: URL
+const fetchOver = globalThis.fetch;
+globalThis.fetch = async (input, init) => {
+  const url = new URL(String(input));
+  if (url.protocol !== 'file:') return fetchOver(input, init);
+  try {
+    return new Response(await readFile(fileURLToPath(url)), { status: 200 });
+  } catch {
+    return new Response('', { status: 404 });
+  }
+};
+
+const { checkRegisteredAnimations } = await import('./contract.js');
+
+const only = process.argv.slice(2);
+const reports = (await checkRegisteredAnimations())
+  .filter((r) => !only.length || only.includes(r.id));
+
+let failed = 0;
+for (const report of reports) {
+  console.log(`${report.ok ? 'ok  ' : 'FAIL'} ${report.name}`);
+  for (const check of report.checks) {
+    if (!check.ok) console.log(`       ${check.name}: ${check.message}`);
+  }
+  if (!report.ok) failed++;
+}
+console.log(`\n${reports.length - failed}/${reports.length} animations and presets pass`);
+process.exitCode = failed ? 1 : 0;
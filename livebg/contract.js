@@ -0,0 +1,411 @@
+// contract.js
+//
+// Checks that an animation module honors the contract described at the top
+// of animations/templateField.js, without a browser or a visible canvas:
+//
+//   const report = checkAnimationModule(mod);   // { ok, checks: [{ name, ok, message }] }
+//   assertAnimationModule(mod);                 // throws the first failure
+//   const reports = await checkRegisteredAnimations();  // every manifest entry
+//   checkAnimationModule(mod, { params: { solver: 'fluid' } });  // other values
+//
+// Each module is built on a stub canvas (a 2D context that draws nothing)
+// with a stub surface, and driven by a fake requestAnimationFrame clock
+// that stands in for the real one while a check runs. Checks are
+// synchronous, so a page's own animations just skip those frames. Where
+// there's no OffscreenCanvas (Node), a stub one is installed for the
+// duration too, so scratch-canvas code runs.
+// `node livebg/check.mjs` runs them all from the command line.
+
+import { loadRegistry, importAnimation } from './registry.js';
+import { schemaDefaults } from './params.js';
+import { createInteractionMirror } from './interaction.js';
+
+export const REQUIRED_METHODS = ['play', 'pause', 'setParams', 'destroy'];
+export const OPTIONAL_METHODS = ['reset', 'step', 'renderAt', 'setFormula'];
+
+const PARAM_TYPES = ['range', 'checkbox', 'color', 'select', 'text', 'image'];
+const FRAME_MS = 16;
+
+// ===== Stubs =====
+
+function createStubContext(canvas) {
+  const state = {};
+  const noop = () => {};
+  const gradient = () => ({ addColorStop: noop });
+  const imageData = (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(Math.max(0, w * h * 4)) });
+  return new Proxy(state, {
+    get(target, key) {
+      if (key in target) return target[key];
+      switch (key) {
+        case 'canvas': return canvas;
+        case 'createImageData': return (w, h) => (typeof w === 'object' ? imageData(w.width, w.height) : imageData(w, h));
+        case 'getImageData': return (x, y, w, h) => imageData(w, h);
+        case 'createLinearGradient':
+        case 'createRadialGradient':
+        case 'createConicGradient':
+        case 'createPattern': return gradient;
+        case 'measureText': return () => ({ width: 0 });
+        case 'getTransform': return () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 });
+        default: return noop;
+      }
+    },
+    set(target, key, value) {
+      target[key] = value;
+      return true;
+    }
+  });
+}
+
+// Only a 2D context: modules are checked on the Canvas2D path.
+export function createStubCanvas() {
+  const canvas = {
+    width: 300,
+    height: 150,
+    style: {},
+    getContext: (type) => (type === '2d' ? (ctx ||= createStubContext(canvas)) : null),
+    addEventListener() {},
+    removeEventListener() {},
+    getBoundingClientRect: () => ({ left: 0, top: 0, width: canvas.width, height: canvas.height })
+  };
+  let ctx = null;
+  return canvas;
+}
+
+// size() / observe() like surface.js, with the listener count exposed
+export function createStubSurface(size = { width: 320, height: 200, dpr: 1 }) {
+  let current = size;
+  const listeners = new Set();
+  return {
+    size: () => current,
+    observe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    destroy() {
+      listeners.clear();
+    },
+    resize(next) {
+      current = next;
+      for (const fn of listeners) fn(next);
+    },
+    get listeners() { return listeners.size; }
+  };
+}
+
+// Swaps in a fake requestAnimationFrame / performance.now until restore().
+export function installFakeClock() {
+  const g = globalThis;
+  const saved = {
+    raf: g.requestAnimationFrame,
+    caf: g.cancelAnimationFrame,
+    ownNow: g.performance && Object.prototype.hasOwnProperty.call(g.performance, 'now'),
+    now: g.performance?.now
+  };
+  const queue = new Map();
+  let now = 1000;
+  let nextId = 1;
+
+  g.requestAnimationFrame = (cb) => {
+    const id = nextId++;
+    queue.set(id, cb);
+    return id;
+  };
+  g.cancelAnimationFrame = (id) => {
+    queue.delete(id);
+  };
+  if (g.performance) g.performance.now = () => now;
+
+  return {
+    tick(ms = FRAME_MS) {
+      now += ms;
+      const callbacks = [...queue.values()];
+      queue.clear();
+      for (const cb of callbacks) cb(now);
+    },
+    get pending() { return queue.size; },
+    restore() {
+      g.requestAnimationFrame = saved.raf;
+      g.cancelAnimationFrame = saved.caf;
+      if (!g.performance) return;
+      if (saved.ownNow) g.performance.now = saved.now;
+      else delete g.performance.now;
+    }
+  };
+}
+
+// A stub OffscreenCanvas until restore(), unless there is a real one
+function installStubOffscreenCanvas() {
+  const g = globalThis;
+  if (typeof g.OffscreenCanvas === 'function') return { restore() {} };
+  g.OffscreenCanvas = class {
+    constructor(width, height) {
+      this.width = width;
+      this.height = height;
+    }
+
+    getContext(type) {
+      return type === '2d' ? (this.ctx ||= createStubContext(this)) : null;
+    }
+  };
+  return {
+    restore() {
+      delete g.OffscreenCanvas;
+    }
+  };
+}
+
+// A pressed pointer and a fresh click on the stub surface, so modules run
+// their pointer code too (see interaction.js)
+function createStubInteraction() {
+  const now = performance.timeOrigin + performance.now();
+  return createInteractionMirror({
+    mode: 'attract',
+    scale: 200,
+    pointers: [{ x: 160, y: 100, since: now, down: true, left: null }],
+    impulses: [{ x: 100, y: 60, t0: now }]
+  });
+}
+
+// Counts window 'resize' listeners added and removed while a check runs
+function watchResizeListeners() {
+  const target = globalThis.addEventListener ? globalThis : null;
+  if (!target) return { count: () => 0, restore() {} };
+  const add = target.addEventListener;
+  const remove = target.removeEventListener;
+  const live = new Set();
+  target.addEventListener = function (type, fn, ...rest) {
+    if (type === 'resize') live.add(fn);
+    return add.call(this, type, fn, ...rest);
+  };
+  target.removeEventListener = function (type, fn, ...rest) {
+    if (type === 'resize') live.delete(fn);
+    return remove.call(this, type, fn, ...rest);
+  };
+  return {
+    count: () => live.size,
+    restore() {
+      target.addEventListener = add;
+      target.removeEventListener = remove;
+    }
+  };
+}
+
+// ===== Checks =====
+
+function checkSchema(schema) {
+  if (schema === undefined) return null;
+  if (!Array.isArray(schema)) return '`params` must be an array';
+  for (const p of schema) {
+    if (!p || typeof p.name !== 'string') return 'every param needs a name';
+    if (!PARAM_TYPES.includes(p.type)) return `param ${p.name}: unknown type ${p.type}`;
+    if (p.default === undefined) return `param ${p.name}: no default`;
+    if (p.type === 'range' && !(p.min <= p.default && p.default <= p.max)) {
+      return `param ${p.name}: default outside min..max`;
+    }
+    if (p.type === 'select' && !(p.options || []).some((o) => o.value === p.default)) {
+      return `param ${p.name}: default is not one of its options`;
+    }
+  }
+  return null;
+}
+
+const isFiniteNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+function statsProblem(stats) {
+  for (const s of stats) {
+    if (s.points !== undefined && !(Number.isInteger(s.points) && s.points >= 0)) {
+      return `points must be a whole number >= 0, got ${s.points}`;
+    }
+    if (s.fps !== undefined && !(isFiniteNumber(s.fps) && s.fps > 0 && s.fps < 1000)) {
+      return `fps must be a finite number in (0, 1000), got ${s.fps}`;
+    }
+    if (s.time !== undefined && !isFiniteNumber(s.time)) {
+      return `time must be a finite number, got ${s.time}`;
+    }
+  }
+  return null;
+}
+
+// Runs every check; never throws. `name` labels the report. `params`
+// replaces schema defaults, to check the module with other values.
+export function checkAnimationModule(mod, { name = 'animation', frames = 30, params = {} } = {}) {
+  const checks = [];
+  const pass = (check) => checks.push({ name: check, ok: true, message: '' });
+  const fail = (check, message) => checks.push({ name: check, ok: false, message });
+  // Runs fn as one check; false if it threw
+  const attempt = (check, fn) => {
+    try {
+      const problem = fn();
+      if (problem) fail(check, problem);
+      else pass(check);
+      return !problem;
+    } catch (err) {
+      fail(check, `${err.name}: ${err.message}`);
+      return false;
+    }
+  };
+  const report = () => ({ name, ok: checks.every((c) => c.ok), checks });
+
+  const factory = mod?.createAnimation || mod?.default;
+  if (typeof factory !== 'function') {
+    fail('exports createAnimation()', 'no createAnimation or default function export');
+    return report();
+  }
+  pass('exports createAnimation()');
+
+  attempt('params schema', () => checkSchema(mod.params));
+  attempt('renderers', () => (
+    mod.renderers === undefined || (Array.isArray(mod.renderers) && mod.renderers.includes('2d'))
+      ? null
+      : '`renderers` must be an array that includes "2d"'
+  ));
+
+  const clock = installFakeClock();
+  const offscreen = installStubOffscreenCanvas();
+  const resize = watchResizeListeners();
+  const stats = [];
+  const surface = createStubSurface();
+  const canvas = createStubCanvas();
+  const interaction = createStubInteraction();
+  let animation = null;
+  let destroyed = false;
+
+  try {
+    const initialState = {
+      ...schemaDefaults(Array.isArray(mod.params) ? mod.params : []),
+      ...params,
+      speed: 1, zoom: 1, zoomAuto: false, running: true, palette: null
+    };
+    const created = attempt('createAnimation() builds', () => {
+      animation = factory({
+        canvas, initialState, onStats: (s) => stats.push(s || {}), surface, renderer: '2d', seed: 1, interaction
+      });
+      return animation && typeof animation === 'object' ? null : 'returned ' + typeof animation;
+    });
+    if (!created) return report();
+
+    attempt('returns the required methods', () => {
+      const missing = REQUIRED_METHODS.filter((m) => typeof animation[m] !== 'function');
+      return missing.length ? 'missing ' + missing.join(', ') : null;
+    });
+    attempt('optional methods are functions', () => {
+      const bad = OPTIONAL_METHODS.filter((m) => animation[m] !== undefined && typeof animation[m] !== 'function');
+      return bad.length ? 'not functions: ' + bad.join(', ') : null;
+    });
+
+    attempt('runs frames', () => {
+      for (let i = 0; i < frames; i++) clock.tick();
+      return clock.pending ? null : 'stopped requesting frames while running';
+    });
+    attempt('onStats reports sane values', () => {
+      if (!stats.some((s) => s.fps !== undefined)) return 'no fps reported while running';
+      return statsProblem(stats);
+    });
+
+    attempt('follows surface resizes', () => {
+      surface.resize({ width: 480, height: 270, dpr: 2 });
+      clock.tick();
+      return null;
+    });
+
+    attempt('setParams accepts empty and partial input', () => {
+      animation.setParams(undefined);
+      animation.setParams(null);
+      animation.setParams({});
+      animation.setParams({ speed: 0.5 });
+      animation.setParams({ zoom: 1.5, zoomAuto: true });
+      animation.setParams({ zoomPulse: 0.5 });
+      clock.tick();
+      animation.setParams({ zoomPulse: null });
+      animation.setParams({ quality: { points: 0.25, resolution: 0.5 } });
+      clock.tick();
+      animation.setParams({ quality: null });
+      animation.setParams({ palette: null });
+      for (const p of Array.isArray(mod.params) ? mod.params : []) {
+        animation.setParams({ [p.name]: initialState[p.name] });
+      }
+      for (let i = 0; i < 5; i++) clock.tick();
+      return statsProblem(stats);
+    });
+
+    attempt('pause stops the frame loop', () => {
+      animation.pause();
+      clock.tick();
+      clock.tick();
+      return clock.pending ? 'still requesting frames after pause()' : null;
+    });
+
+    attempt('play resumes it', () => {
+      animation.play();
+      clock.tick();
+      return clock.pending ? null : 'no frame requested after play()';
+    });
+
+    if (animation.reset) attempt('reset()', () => { animation.reset(); clock.tick(); });
+    if (animation.step) {
+      attempt('step(dt) both ways', () => {
+        animation.step(1 / 60);
+        animation.step(-1 / 60);
+      });
+    }
+    if (animation.renderAt) attempt('renderAt(time)', () => { animation.renderAt(2); });
+
+    attempt('destroy() cancels frames and listeners', () => {
+      destroyed = true;
+      animation.destroy();
+      clock.tick();
+      const problems = [];
+      if (clock.pending) problems.push('frames still requested');
+      if (surface.listeners) problems.push(`${surface.listeners} surface listener(s) left`);
+      if (resize.count()) problems.push(`${resize.count()} window resize listener(s) left`);
+      return problems.join('; ') || null;
+    });
+  } finally {
+    // A check that threw partway still shouldn't leave the instance running
+    if (animation && !destroyed) {
+      try {
+        animation.destroy?.();
+      } catch (e) {
+        console.warn(`${name}: destroy() failed after a failed check`, e);
+      }
+    }
+    resize.restore();
+    offscreen.restore();
+    clock.restore();
+  }
+  return report();
+}
+
+// For callers that only want yes / no: throws the first failure.
+export function assertAnimationModule(mod, options) {
+  const { checks } = checkAnimationModule(mod, options);
+  const failed = checks.find((c) => !c.ok);
+  if (failed) throw new Error(`${failed.name}: ${failed.message}`);
+}
+
+// Imports and checks every animation in the manifest, once with its
+// defaults and once per preset that sets params (named "<id>: <preset>").
+// Reports carry the animation `id`. A module that doesn't import gets a
+// report with that single failure.
+export async function checkRegisteredAnimations() {
+  const defs = await loadRegistry();
+  const reports = [];
+  for (const def of defs) {
+    let mod;
+    try {
+      mod = await importAnimation(def);
+    } catch (err) {
+      reports.push({
+        id: def.id, name: def.id, ok: false, checks: [{ name: 'imports', ok: false, message: err.message }]
+      });
+      continue;
+    }
+    reports.push({ id: def.id, ...checkAnimationModule(mod, { name: def.id }) });
+    for (const preset of def.presets || []) {
+      if (!preset.params) continue;
+      const name = `${def.id}: ${preset.name}`;
+      reports.push({ id: def.id, ...checkAnimationModule(mod, { name, params: preset.params }) });
+    }
+  }
+  return reports;
+}
@@ -0,0 +1,172 @@
+// export.js
+//
+// Snapshots and recordings of whatever a host is showing:
+//
+//   const png = await snapshotPng(host, { width: 3840, time });
+//   const webm = await recordWebm(host, { seconds: 5, fps: 30, onProgress });
+//   const gif = await recordGif(host, { seconds: 3, fps: 15, width: 480 });
+//   downloadBlob(webm, 'livebg.webm');
+//
+// Recordings pause the animation and drive it with step(1 / fps), so the
+// output doesn't depend on how fast the machine renders. They leave it
+// paused; resuming is up to the caller. Only main-thread rendering can be
+// exported: a canvas handed to a worker can't be read back synchronously.
+
+import { encodeGif } from './gif.js';
+import { MAX_RESOLUTION } from './quality.js';
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+function assertExportable(host) {
+  if (!host.animation) throw new Error('Nothing to export yet');
+  if (host.thread === 'worker') {
+    throw new Error('Export needs main-thread rendering (turn off "Render in a worker")');
+  }
+  if (host.transitioning) {
+    throw new Error('Wait for the transition to finish');
+  }
+  if (typeof host.animation.step !== 'function') {
+    throw new Error('This animation does not support fixed-step rendering');
+  }
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function stepFrames(host, { seconds, fps, onFrame, onProgress }) {
+  const total = Math.max(1, Math.round(seconds * fps));
+  host.pause();
+  for (let i = 0; i < total; i++) {
+    host.step(1 / fps);
+    await onFrame();
+    onProgress?.((i + 1) / total);
+  }
+}
+
+// The frame at `width` px wide (default: the canvas's own backing size),
+// keeping the aspect ratio. Wider than the canvas, the host renders the
+// frame at `time` (virtual seconds) again at that size, through a quality
+// resolution above 1, and goes back to full quality after; the caller is
+// expected to be at full quality already. Without a time, or rendering in
+// a worker, the width is capped at the canvas's rather than upscaled.
+export async function snapshotPng(host, { width, time } = {}) {
+  if (!host.animation) throw new Error('Nothing to export yet');
+  let src = host.canvas;
+  let w = Math.round(width || src.width);
+  const rerender = w > src.width && time != null && host.thread !== 'worker';
+  if (!rerender) w = Math.min(w, src.width);
+
+  if (rerender) {
+    host.setParams({ quality: { resolution: Math.min(MAX_RESOLUTION, w / src.width) } });
+    host.renderAt(time);
+    src = host.canvas;
+  }
+  const out = document.createElement('canvas');
+  try {
+    out.width = w;
+    out.height = Math.max(1, Math.round((src.height * w) / src.width));
+    const ctx = out.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(src, 0, 0, out.width, out.height);
+  } finally {
+    if (rerender) {
+      host.setParams({ quality: null });
+      host.renderAt(time);
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    out.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+  });
+}
+
+// Records through canvas.captureStream() and MediaRecorder. Frames are
+// stepped at a fixed dt but still fed in real time, since the recorder
+// timestamps them by the wall clock.
+export async function recordWebm(host, { seconds = 5, fps = 30, onProgress } = {}) {
+  assertExportable(host);
+  const canvas = host.canvas;
+  if (typeof MediaRecorder === 'undefined' || typeof canvas.captureStream !== 'function') {
+    throw new Error('WebM recording is not supported in this browser');
+  }
+
+  // captureStream(0) + requestFrame() sends exactly the frames we step
+  let stream = canvas.captureStream(0);
+  let track = stream.getVideoTracks()[0];
+  if (typeof track.requestFrame !== 'function') {
+    track.stop();
+    stream = canvas.captureStream(fps);
+    track = stream.getVideoTracks()[0];
+  }
+
+  const mimeType = WEBM_TYPES.find((t) => MediaRecorder.isTypeSupported?.(t));
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  recorder.addEventListener('dataavailable', (ev) => {
+    if (ev.data.size) chunks.push(ev.data);
+  });
+  const stopped = new Promise((resolve, reject) => {
+    recorder.addEventListener('stop', resolve);
+    recorder.addEventListener('error', (ev) => reject(ev.error || new Error('Recording failed')));
+  });
+
+  recorder.start();
+  try {
+    await stepFrames(host, {
+      seconds,
+      fps,
+      onProgress,
+      onFrame: () => {
+        track.requestFrame?.();
+        return wait(1000 / fps);
+      }
+    });
+  } finally {
+    recorder.stop();
+    track.stop();
+  }
+  await stopped;
+  return new Blob(chunks, { type: mimeType || 'video/webm' });
+}
+
+// Grabs every stepped frame at up to `width` px wide, then encodes them
+// with the built-in encoder (see gif.js).
+export async function recordGif(host, { seconds = 3, fps = 15, width = 480, onProgress } = {}) {
+  assertExportable(host);
+  const src = host.canvas;
+  const scale = Math.min(1, width / src.width);
+  const w = Math.max(1, Math.round(src.width * scale));
+  const h = Math.max(1, Math.round(src.height * scale));
+
+  const grab = document.createElement('canvas');
+  grab.width = w;
+  grab.height = h;
+  const ctx = grab.getContext('2d', { willReadFrequently: true });
+
+  const frames = [];
+  await stepFrames(host, {
+    seconds,
+    fps,
+    // Encoding takes the last stretch of the progress bar
+    onProgress: (p) => onProgress?.(p * 0.9),
+    onFrame: () => {
+      ctx.drawImage(src, 0, 0, w, h);
+      frames.push(ctx.getImageData(0, 0, w, h).data);
+      return wait(0); // let the UI breathe between frames
+    }
+  });
+
+  const bytes = encodeGif(frames, { width: w, height: h, delay: 1 / fps });
+  onProgress?.(1);
+  return new Blob([bytes], { type: 'image/gif' });
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,210 @@
+// fluid.js
+//
+// A small 2D smoke / fire solver on a grid (stable fluids, after Jos Stam):
+// heat is carried by a velocity field that hot cells push upwards, wind
+// pushes sideways and vorticity confinement keeps curling.
+//
+//   const fluid = createFluid(160, 90);
+//   fluid.heat[x + y * fluid.width] = 60;    // y = 0 is the top row
+//   fluid.solid[i] = 1;                      // an obstacle cell
+//   fluid.step({ dt: 1, buoyancy: 1, wind: 0.3, vorticity: 0.3, cooling: 0.985 });
+//   const saved = fluid.save();              // ... fluid.load(saved) later
+//
+// Everything is in cells: dt 1 is one nominal step, and velocities are
+// cells per step. Heat is in the units the caller seeds it with; buoyancy
+// is scaled for heat around 0..60, the range fireField.js uses. The floor
+// (below the last row) is a wall; the top and the sides are open, so heat
+// leaves there and cold air comes in. Solid cells hold no heat or velocity
+// and the flow goes around them.
+
+// Upward push per unit of heat, and sideways push at wind 1, per step
+const BUOYANCY = 0.0009;
+const WIND = 0.006;
+// Velocity kept per step, so the forces settle on a top speed
+const DRAG = 0.985;
+// Pressure relaxation sweeps per step
+const ITERATIONS = 16;
+
+export function createFluid(width, height) {
+  const size = width * height;
+  const heat = new Float32Array(size);
+  const u = new Float32Array(size); // +x is right
+  const v = new Float32Array(size); // +y is down
+  const solid = new Uint8Array(size);
+
+  const heat0 = new Float32Array(size);
+  const u0 = new Float32Array(size);
+  const v0 = new Float32Array(size);
+  const pressure = new Float32Array(size); // kept between steps as a warm start
+  const div = new Float32Array(size);
+  const curl = new Float32Array(size);
+
+  // Bilinear sample of `src` at cell coordinates (x, y). Past the sides or
+  // the top it reads `outside` (cold air for heat); the floor clamps.
+  function sample(src, x, y, outside) {
+    if (x < -0.5 || x > width - 0.5 || y < -0.5) return outside ?? src[clampIndex(x, y)];
+    x = Math.max(0, Math.min(width - 1.001, x));
+    y = Math.max(0, Math.min(height - 1.001, y));
+    const x0 = x | 0;
+    const y0 = y | 0;
+    const fx = x - x0;
+    const fy = y - y0;
+    const i = x0 + y0 * width;
+    const top = src[i] + (src[i + 1] - src[i]) * fx;
+    const bottom = src[i + width] + (src[i + width + 1] - src[i + width]) * fx;
+    return top + (bottom - top) * fy;
+  }
+
+  function clampIndex(x, y) {
+    const cx = Math.max(0, Math.min(width - 1, Math.round(x)));
+    const cy = Math.max(0, Math.min(height - 1, Math.round(y)));
+    return cx + cy * width;
+  }
+
+  // Semi-Lagrangian: every cell takes the value found dt back along the flow
+  function advect(dst, src, dt, outside) {
+    for (let y = 0, i = 0; y < height; y++) {
+      for (let x = 0; x < width; x++, i++) {
+        dst[i] = solid[i] ? 0 : sample(src, x - dt * u0[i], y - dt * v0[i], outside);
+      }
+    }
+  }
+
+  function applyForces(dt, buoyancy, wind) {
+    const lift = BUOYANCY * buoyancy * dt;
+    const push = WIND * wind * dt;
+    const drag = Math.pow(DRAG, dt);
+    for (let i = 0; i < size; i++) {
+      u[i] = (u[i] + push) * drag;
+      v[i] = (v[i] - lift * heat[i]) * drag;
+    }
+  }
+
+  // Pushes along the gradient of |curl| so small eddies don't smear away
+  function confineVorticity(dt, strength) {
+    if (strength <= 0) return;
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1, i = y * width + 1; x < width - 1; x++, i++) {
+        curl[i] = 0.5 * (v[i + 1] - v[i - 1] - (u[i + width] - u[i - width]));
+      }
+    }
+    const eps = strength * dt;
+    for (let y = 2; y < height - 2; y++) {
+      for (let x = 2, i = y * width + 2; x < width - 2; x++, i++) {
+        if (solid[i]) continue;
+        const gx = 0.5 * (Math.abs(curl[i + 1]) - Math.abs(curl[i - 1]));
+        const gy = 0.5 * (Math.abs(curl[i + width]) - Math.abs(curl[i - width]));
+        const len = Math.hypot(gx, gy) + 1e-5;
+        const w = curl[i];
+        u[i] += eps * (gy / len) * w;
+        v[i] -= eps * (gx / len) * w;
+      }
+    }
+  }
+
+  // Makes the velocity divergence-free: solve for pressure (Gauss-Seidel),
+  // then subtract its gradient. Walls (solids, the floor) mirror the
+  // pressure of the cell next to them; the open sides and top are 0.
+  function project() {
+    for (let y = 0, i = 0; y < height; y++) {
+      for (let x = 0; x < width; x++, i++) {
+        if (solid[i]) {
+          div[i] = 0;
+          continue;
+        }
+        const ur = x < width - 1 ? (solid[i + 1] ? 0 : u[i + 1]) : u[i];
+        const ul = x > 0 ? (solid[i - 1] ? 0 : u[i - 1]) : u[i];
+        const vd = y < height - 1 ? (solid[i + width] ? 0 : v[i + width]) : 0;
+        const vu = y > 0 ? (solid[i - width] ? 0 : v[i - width]) : v[i];
+        div[i] = 0.5 * (ur - ul + vd - vu);
+      }
+    }
+
+    for (let k = 0; k < ITERATIONS; k++) {
+      for (let y = 0, i = 0; y < height; y++) {
+        for (let x = 0; x < width; x++, i++) {
+          if (solid[i]) continue;
+          let sum = 0;
+          let n = 0;
+          if (x === width - 1) n++;
+          else if (!solid[i + 1]) { sum += pressure[i + 1]; n++; }
+          if (x === 0) n++;
+          else if (!solid[i - 1]) { sum += pressure[i - 1]; n++; }
+          if (y === 0) n++;
+          else if (!solid[i - width]) { sum += pressure[i - width]; n++; }
+          if (y < height - 1 && !solid[i + width]) { sum += pressure[i + width]; n++; }
+          pressure[i] = n ? (sum - div[i]) / n : 0;
+        }
+      }
+    }
+
+    for (let y = 0, i = 0; y < height; y++) {
+      for (let x = 0; x < width; x++, i++) {
+        if (solid[i]) {
+          u[i] = 0;
+          v[i] = 0;
+          continue;
+        }
+        const p = pressure[i];
+        const pr = x < width - 1 ? (solid[i + 1] ? p : pressure[i + 1]) : 0;
+        const pl = x > 0 ? (solid[i - 1] ? p : pressure[i - 1]) : 0;
+        const pd = y < height - 1 ? (solid[i + width] ? p : pressure[i + width]) : p;
+        const pu = y > 0 ? (solid[i - width] ? p : pressure[i - width]) : 0;
+        u[i] -= 0.5 * (pr - pl);
+        v[i] -= 0.5 * (pd - pu);
+      }
+    }
+  }
+
+  function step({ dt = 1, buoyancy = 1, wind = 0, vorticity = 0, cooling = 1 } = {}) {
+    applyForces(dt, buoyancy, wind);
+    confineVorticity(dt, vorticity);
+    project();
+
+    u0.set(u);
+    v0.set(v);
+    heat0.set(heat);
+    advect(u, u0, dt);
+    advect(v, v0, dt);
+    advect(heat, heat0, dt, 0);
+
+    const fade = Math.pow(cooling, dt);
+    for (let i = 0; i < size; i++) heat[i] *= fade;
+  }
+
+  function clear() {
+    heat.fill(0);
+    u.fill(0);
+    v.fill(0);
+    pressure.fill(0);
+  }
+
+  // A copy of the state, pressure included, so stepping on after load()
+  // gives the same frames as it did the first time
+  function save() {
+    return { heat: heat.slice(), u: u.slice(), v: v.slice(), pressure: pressure.slice() };
+  }
+
+  function load(saved) {
+    heat.set(saved.heat);
+    u.set(saved.u);
+    v.set(saved.v);
+    pressure.set(saved.pressure);
+  }
+
+  // Takes over another fluid's heat and flow, anchored to the bottom row,
+  // so resizing keeps the fire going.
+  function copyFrom(other) {
+    const cols = Math.min(other.width, width);
+    const rows = Math.min(other.height, height);
+    for (let y = 1; y <= rows; y++) {
+      const src = (other.height - y) * other.width;
+      const dst = (height - y) * width;
+      heat.set(other.heat.subarray(src, src + cols), dst);
+      u.set(other.u.subarray(src, src + cols), dst);
+      v.set(other.v.subarray(src, src + cols), dst);
+    }
+  }
+
+  return { width, height, size, heat, u, v, solid, step, clear, save, load, copyFrom };
+}
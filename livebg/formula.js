@@ -0,0 +1,95 @@
+// formula.js
+//
+// The per-point formula behind the LiveBG formula editor: compiles the
+// code typed into the editor and turns a good result into a module.
+//
+//   const fn = compileFormula(code);           // throws on syntax / a bad test run
+//   host.animation.setFormula(fn, onError);     // templateField.js, section 4b
+//   const source = formulaModuleSource(code, { label: 'Spiral' });
+//
+// The code is the body of
+//
+//   function (bx, by, i, t, r, ang, p) { ... return [x, y, alpha]; }
+//
+// (see templateField.js for what each argument means).
+
+export const FORMULA_ARGS = ['bx', 'by', 'i', 't', 'r', 'ang', 'p'];
+
+// Section 4a of templateField.js, as a formula. Starting from this gives
+// exactly the built-in look.
+export const DEFAULT_FORMULA = `// Runs for every point, every frame; return [x, y, alpha].
+// bx, by: base point in the unit disc, i: its index, t: time,
+// r / ang: (bx, by) in polar form, p: the sliders
+// (p.swirl, p.twist, p.wobble, p.pulse, p.density).
+const swirl = t * p.swirl + r * p.twist;
+const wobble = Math.sin(i * 0.013 + t * 0.7) * p.wobble;
+const a = ang + swirl + wobble;
+const radius = r * (1 + p.pulse * Math.sin(t * 0.6 + r * 8.0));
+return [Math.cos(a) * radius, Math.sin(a) * radius, 1];
+`;
+
+const TEST_PARAMS = { density: 0.005, swirl: 0.35, twist: 5, wobble: 0.35, pulse: 0.18 };
+
+// Returns the compiled function, or throws with a message for the editor.
+// A quick run on a few points catches code that can't work at all (a typo
+// in a name, no return value) before it reaches the animation.
+export function compileFormula(code) {
+  let fn;
+  try {
+    fn = new Function(...FORMULA_ARGS, '"use strict";\n' + code);
+  } catch (err) {
+    throw new SyntaxError(err.message, { cause: err });
+  }
+
+  for (const [bx, by, i, t] of [[0, 0, 0, 0], [0.5, -0.25, 1, 12.5], [-0.8, 0.3, 999, 600]]) {
+    let out;
+    try {
+      out = fn(bx, by, i, t, Math.hypot(bx, by), Math.atan2(by, bx), TEST_PARAMS);
+    } catch (err) {
+      throw new Error(`${err.name}: ${err.message} (test point ${i})`, { cause: err });
+    }
+    if (!out || typeof out[0] !== 'number' || typeof out[1] !== 'number') {
+      throw new TypeError('The formula must return [x, y, alpha] (alpha optional)');
+    }
+  }
+  return fn;
+}
+
+function indent(code, pad) {
+  return code.trimEnd().split('\n').map((line) => (line ? pad + line : line)).join('\n');
+}
+
+// A complete animation module: the template with this formula built in.
+// It imports ./templateField.js, so it belongs in animations/ (or can be
+// added from a file, see userAnimations.js).
+export function formulaModuleSource(code, { label = 'Custom Formula' } = {}) {
+  return `// Exported from the LiveBG formula editor.
+//
+// Template Field (./templateField.js) with its per-point math replaced by
+// the formula below (see section 4b there). Drop this file into
+// animations/ and list it in manifest.json, or add it with "Add animation".
+
+import { createAnimation as createTemplate, params } from './templateField.js';
+
+export { params };
+
+export const meta = {
+  label: ${JSON.stringify(label)},
+  description: 'Template Field with a custom per-point formula.'
+};
+
+// (bx, by, i, t, r, ang, p) -> [x, y, alpha]
+function formula(${FORMULA_ARGS.join(', ')}) {
+${indent(code, '  ')}
+}
+
+// The formula is JavaScript, so this always renders with Canvas2D.
+export function createAnimation(options) {
+  const animation = createTemplate({ ...options, renderer: '2d' });
+  animation.setFormula(formula, (err) => {
+    console.error('Formula failed at point ' + err.pointIndex, err);
+  });
+  return animation;
+}
+`;
+}
@@ -0,0 +1,271 @@
+// gif.js
+//
+// Small animated GIF encoder for LiveBG exports, no dependencies:
+//
+//   const bytes = encodeGif(frames, { width, height, delay: 1 / 15 });
+//   new Blob([bytes], { type: 'image/gif' });
+//
+// `frames` are RGBA pixel arrays (ImageData.data) of width x height. All
+// frames share one 256-color palette, built by median cut over a sample of
+// their pixels, and each frame is LZW-compressed as GIF89a requires.
+
+const MAX_COLORS = 256;
+const HIST_BITS = 5; // histogram / lookup precision per channel
+const HIST_SIZE = 1 << (HIST_BITS * 3);
+const SAMPLE_PIXELS = 200000; // across all frames, for the palette only
+
+function histKey(r, g, b) {
+  const s = 8 - HIST_BITS;
+  return ((r >> s) << (HIST_BITS * 2)) | ((g >> s) << HIST_BITS) | (b >> s);
+}
+
+function keyChannel(key, c) {
+  const v = (key >> (HIST_BITS * (2 - c))) & ((1 << HIST_BITS) - 1);
+  return (v << (8 - HIST_BITS)) + (1 << (7 - HIST_BITS)); // bin center
+}
+
+// Median cut over a histogram of 15-bit colors -> [[r, g, b], ...]
+function buildPalette(frames, pixelCount) {
+  const hist = new Uint32Array(HIST_SIZE);
+  const stride = Math.max(1, Math.floor((pixelCount * frames.length) / SAMPLE_PIXELS));
+  for (const data of frames) {
+    for (let p = 0; p < pixelCount; p += stride) {
+      const i = p * 4;
+      hist[histKey(data[i], data[i + 1], data[i + 2])]++;
+    }
+  }
+
+  const used = [];
+  for (let k = 0; k < HIST_SIZE; k++) if (hist[k]) used.push(k);
+
+  const boxes = [used];
+  while (boxes.length < MAX_COLORS) {
+    // Split the box with the widest channel range, weighted by pixel count
+    let best = -1;
+    let bestScore = 0;
+    let bestAxis = 0;
+    for (let b = 0; b < boxes.length; b++) {
+      const keys = boxes[b];
+      if (keys.length < 2) continue;
+      let count = 0;
+      const lo = [255, 255, 255];
+      const hi = [0, 0, 0];
+      for (const k of keys) {
+        count += hist[k];
+        for (let c = 0; c < 3; c++) {
+          const v = keyChannel(k, c);
+          if (v < lo[c]) lo[c] = v;
+          if (v > hi[c]) hi[c] = v;
+        }
+      }
+      const ranges = [hi[0] - lo[0], hi[1] - lo[1], hi[2] - lo[2]];
+      const axis = ranges.indexOf(Math.max(...ranges));
+      const score = ranges[axis] * count;
+      if (score > bestScore) {
+        best = b;
+        bestScore = score;
+        bestAxis = axis;
+      }
+    }
+    if (best < 0) break;
+
+    const keys = boxes[best].sort((a, b) => keyChannel(a, bestAxis) - keyChannel(b, bestAxis));
+    let total = 0;
+    for (const k of keys) total += hist[k];
+    let acc = 0;
+    let cut = 1;
+    for (; cut < keys.length - 1; cut++) {
+      acc += hist[keys[cut - 1]];
+      if (acc >= total / 2) break;
+    }
+    boxes.splice(best, 1, keys.slice(0, cut), keys.slice(cut));
+  }
+
+  return boxes.map((keys) => {
+    let n = 0;
+    const sum = [0, 0, 0];
+    for (const k of keys) {
+      const w = hist[k];
+      n += w;
+      for (let c = 0; c < 3; c++) sum[c] += keyChannel(k, c) * w;
+    }
+    return n ? sum.map((v) => Math.round(v / n)) : [0, 0, 0];
+  });
+}
+
+function createIndexer(palette) {
+  const cache = new Int16Array(HIST_SIZE).fill(-1);
+  return (r, g, b) => {
+    const key = histKey(r, g, b);
+    let idx = cache[key];
+    if (idx < 0) {
+      let bestDist = Infinity;
+      for (let i = 0; i < palette.length; i++) {
+        const [pr, pg, pb] = palette[i];
+        const d = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+        if (d < bestDist) {
+          bestDist = d;
+          idx = i;
+        }
+      }
+      cache[key] = idx;
+    }
+    return idx;
+  };
+}
+
+// Growable byte buffer
+function createWriter() {
+  let buf = new Uint8Array(1 << 16);
+  let len = 0;
+  function ensure(n) {
+    if (len + n <= buf.length) return;
+    const next = new Uint8Array(Math.max(buf.length * 2, len + n));
+    next.set(buf.subarray(0, len));
+    buf = next;
+  }
+  return {
+    byte(v) {
+      ensure(1);
+      buf[len++] = v;
+    },
+    u16(v) {
+      ensure(2);
+      buf[len++] = v & 0xff;
+      buf[len++] = (v >> 8) & 0xff;
+    },
+    bytes(arr) {
+      ensure(arr.length);
+      buf.set(arr, len);
+      len += arr.length;
+    },
+    result: () => buf.slice(0, len)
+  };
+}
+
+// Variable-width LZW as used by GIF, written in <=255-byte sub-blocks.
+function writeLzw(w, indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let dict = new Map();
+
+  const block = new Uint8Array(255);
+  let blockLen = 0;
+  let bits = 0;
+  let bitCount = 0;
+
+  function flushBlock() {
+    if (!blockLen) return;
+    w.byte(blockLen);
+    w.bytes(block.subarray(0, blockLen));
+    blockLen = 0;
+  }
+  function emit(code) {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block[blockLen++] = bits & 0xff;
+      if (blockLen === 255) flushBlock();
+      bits >>>= 8;
+      bitCount -= 8;
+    }
+  }
+
+  w.byte(minCodeSize);
+  emit(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = dict.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      dict = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      dict.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) {
+    block[blockLen++] = bits & 0xff;
+    if (blockLen === 255) flushBlock();
+  }
+  flushBlock();
+  w.byte(0); // block terminator
+}
+
+// frames: Uint8ClampedArray RGBA each; delay in seconds; loop 0 = forever.
+export function encodeGif(frames, { width, height, delay = 0.1, loop = 0 }) {
+  if (!frames.length) throw new Error('encodeGif: no frames');
+  const pixelCount = width * height;
+  const palette = buildPalette(frames, pixelCount);
+  const indexOf = createIndexer(palette);
+  const w = createWriter();
+
+  // Header + logical screen descriptor with a 256-entry global color table
+  for (const c of 'GIF89a') w.byte(c.charCodeAt(0));
+  w.u16(width);
+  w.u16(height);
+  w.byte(0xf7); // global table, 8-bit color resolution, 2^8 entries
+  w.byte(0); // background color index
+  w.byte(0); // pixel aspect ratio
+  for (let i = 0; i < MAX_COLORS; i++) {
+    const [r, g, b] = palette[i] || [0, 0, 0];
+    w.byte(r);
+    w.byte(g);
+    w.byte(b);
+  }
+
+  // NETSCAPE2.0 application extension: loop count
+  w.byte(0x21);
+  w.byte(0xff);
+  w.byte(11);
+  for (const c of 'NETSCAPE2.0') w.byte(c.charCodeAt(0));
+  w.byte(3);
+  w.byte(1);
+  w.u16(loop);
+  w.byte(0);
+
+  const delayCs = Math.max(2, Math.round(delay * 100)); // browsers clamp < 2
+  const indices = new Uint8Array(pixelCount);
+  for (const data of frames) {
+    // Graphic control extension: frame delay, no transparency
+    w.byte(0x21);
+    w.byte(0xf9);
+    w.byte(4);
+    w.byte(0);
+    w.u16(delayCs);
+    w.byte(0);
+    w.byte(0);
+
+    // Image descriptor: full frame, global palette
+    w.byte(0x2c);
+    w.u16(0);
+    w.u16(0);
+    w.u16(width);
+    w.u16(height);
+    w.byte(0);
+
+    for (let p = 0; p < pixelCount; p++) {
+      const i = p * 4;
+      indices[p] = indexOf(data[i], data[i + 1], data[i + 2]);
+    }
+    writeLzw(w, indices, 8);
+  }
+
+  w.byte(0x3b); // trailer
+  return w.result();
+}
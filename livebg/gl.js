@@ -0,0 +1,213 @@
+// gl.js
+//
+// WebGL2 point renderer for the point-field animations. Instead of one
+// ctx.fillRect per point on the CPU, the module uploads its base points once
+// and computes positions in a vertex shader, drawing everything as gl.POINTS
+// in a single call.
+//
+// A module supplies GLSL that declares its own uniforms and defines
+//
+//   vec3 pointPosition(vec2 base, float i)   // -> (x, y, alpha), CSS px
+//
+// where `base` is (xVals[i], yVals[i]) and `i` the point index. The renderer
+// maps CSS px to clip space using u_res, so the math can mirror the 2D path.
+//
+// Positions are then bent around the pointer like bendPoint() does on the
+// CPU (see interaction.js): pass the sampled buffer as draw(..., { pointer }).
+
+import { MAX_POINTERS, POINTER_STRIDE } from './interaction.js';
+
+const VERTEX_HEADER = `#version 300 es
+precision highp float;
+in vec2 a_base;
+uniform vec2 u_res;
+uniform float u_pointSize;
+out float v_alpha;
+
+// interaction.js entries, two vec4s each: (x, y, strength, radius), (swirl, ...)
+uniform int u_pointerCount;
+uniform vec4 u_pointer[${MAX_POINTERS * 2}];
+
+vec2 bendPoint(vec2 p) {
+  vec2 bent = p;
+  for (int k = 0; k < ${MAX_POINTERS}; k++) {
+    if (k >= u_pointerCount) break;
+    vec4 a = u_pointer[k * 2];
+    vec2 d = p - a.xy;
+    float r2 = dot(d, d);
+    float s2 = a.w * a.w;
+    if (r2 > 9.0 * s2) continue;
+    float w = exp(-r2 / (2.0 * s2)) * a.z;
+    bent += d * w + vec2(-d.y, d.x) * (w * u_pointer[k * 2 + 1].x);
+  }
+  return bent;
+}
+`;
+
+const VERTEX_MAIN = `
+void main() {
+  vec3 p = pointPosition(a_base, float(gl_VertexID));
+  p.xy = bendPoint(p.xy);
+  vec2 clip = (p.xy / u_res) * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  gl_PointSize = u_pointSize;
+  v_alpha = p.z;
+}
+`;
+
+const FRAGMENT = `#version 300 es
+precision mediump float;
+uniform vec4 u_color;
+in float v_alpha;
+out vec4 fragColor;
+void main() {
+  fragColor = vec4(u_color.rgb, u_color.a * v_alpha);
+}
+`;
+
+let supported = null;
+
+// Probes once with a throwaway canvas, so the real canvas stays free for
+// whichever context the host ends up choosing.
+export function isWebGL2Supported() {
+  if (supported == null) {
+    try {
+      const probe = document.createElement('canvas');
+      supported = !!probe.getContext('webgl2');
+    } catch (e) {
+      supported = false;
+    }
+  }
+  return supported;
+}
+
+function compile(gl, type, src) {
+  const sh = gl.createShader(type);
+  gl.shaderSource(sh, src);
+  gl.compileShader(sh);
+  if (!gl.getShaderParameter(sh, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(sh);
+    gl.deleteShader(sh);
+    throw new Error('Shader compile error: ' + log);
+  }
+  return sh;
+}
+
+function link(gl, vsSrc, fsSrc) {
+  const vs = compile(gl, gl.VERTEX_SHADER, vsSrc);
+  const fs = compile(gl, gl.FRAGMENT_SHADER, fsSrc);
+  const prog = gl.createProgram();
+  gl.attachShader(prog, vs);
+  gl.attachShader(prog, fs);
+  gl.linkProgram(prog);
+  gl.deleteShader(vs);
+  gl.deleteShader(fs);
+  if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) {
+    const log = gl.getProgramInfoLog(prog);
+    gl.deleteProgram(prog);
+    throw new Error('Program link error: ' + log);
+  }
+  return prog;
+}
+
+// Throws if WebGL2 is unavailable or the shader doesn't compile; callers
+// treat that as "use the Canvas2D path".
+export function createPointRenderer(canvas, { source }) {
+  const gl = canvas.getContext('webgl2', {
+    alpha: true,
+    antialias: false,
+    premultipliedAlpha: false,
+    preserveDrawingBuffer: true // keep the last frame readable (drawImage / toDataURL)
+  });
+  if (!gl) throw new Error('WebGL2 unavailable');
+
+  const prog = link(gl, VERTEX_HEADER + source + VERTEX_MAIN, FRAGMENT);
+  const locations = new Map();
+  const vao = gl.createVertexArray();
+  const baseBuf = gl.createBuffer();
+  let width = 0;
+  let height = 0;
+  let dpr = 1;
+
+  gl.bindVertexArray(vao);
+  gl.bindBuffer(gl.ARRAY_BUFFER, baseBuf);
+  const locBase = gl.getAttribLocation(prog, 'a_base');
+  gl.enableVertexAttribArray(locBase);
+  gl.vertexAttribPointer(locBase, 2, gl.FLOAT, false, 0, 0);
+  gl.bindVertexArray(null);
+
+  gl.enable(gl.BLEND);
+
+  function location(name) {
+    if (!locations.has(name)) locations.set(name, gl.getUniformLocation(prog, name));
+    return locations.get(name);
+  }
+
+  function uniform(name, v) {
+    const loc = location(name);
+    if (loc == null) return;
+    if (typeof v === 'number') gl.uniform1f(loc, v);
+    else if (v.length === 2) gl.uniform2f(loc, v[0], v[1]);
+    else if (v.length === 3) gl.uniform3f(loc, v[0], v[1], v[2]);
+    else gl.uniform4f(loc, v[0], v[1], v[2], v[3]);
+  }
+
+  // Interleaves the module's base coordinates into one vec2 buffer.
+  function setPoints(xVals, yVals) {
+    const n = Math.min(xVals.length, yVals.length);
+    const data = new Float32Array(n * 2);
+    for (let i = 0; i < n; i++) {
+      data[i * 2] = xVals[i];
+      data[i * 2 + 1] = yVals[i];
+    }
+    gl.bindBuffer(gl.ARRAY_BUFFER, baseBuf);
+    gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+  }
+
+  // W / H in CSS px; the canvas backing store is already W*dpr x H*dpr.
+  function resize(W, H, DPR) {
+    width = W;
+    height = H;
+    dpr = DPR;
+    gl.viewport(0, 0, canvas.width, canvas.height);
+  }
+
+  // color: { r, g, b } 0..255 plus alpha 0..1
+  function clear(color, alpha = 1) {
+    gl.clearColor(color.r / 255, color.g / 255, color.b / 255, alpha);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+  }
+
+  // The sampled interaction buffer (same layout, see interaction.js)
+  function pointerUniforms(pointer) {
+    const count = pointer?.count || 0;
+    gl.uniform1i(location('u_pointerCount'), count);
+    if (count) gl.uniform4fv(location('u_pointer'), pointer.data, 0, count * POINTER_STRIDE);
+  }
+
+  // Draws `count` points. `additive` matches Canvas2D 'lighter'; `pointer`
+  // bends them around the cursor.
+  function draw(count, uniforms = {}, { color, alpha = 1, additive = false, pointer = null } = {}) {
+    gl.useProgram(prog);
+    uniform('u_res', [width, height]);
+    uniform('u_pointSize', dpr);
+    uniform('u_color', [color.r / 255, color.g / 255, color.b / 255, alpha]);
+    pointerUniforms(pointer);
+    for (const [name, v] of Object.entries(uniforms)) uniform(name, v);
+
+    if (additive) gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+    else gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+
+    gl.bindVertexArray(vao);
+    gl.drawArrays(gl.POINTS, 0, count);
+    gl.bindVertexArray(null);
+  }
+
+  function destroy() {
+    gl.deleteBuffer(baseBuf);
+    gl.deleteVertexArray(vao);
+    gl.deleteProgram(prog);
+  }
+
+  return { gl, setPoints, resize, clear, draw, destroy };
+}
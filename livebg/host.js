@@ -0,0 +1,519 @@
+// host.js
+//
+// Owns one animation instance on one canvas: imports the module, resolves
+// its params against the schema, creates it and swaps it out on switch.
+// Used by the LiveBG page (main.js) and by every embedded instance
+// (livebg.js), so each canvas gets its own host.
+//
+// Renderers: modules that export `renderers` including 'webgl2' get
+// renderer: 'webgl2' when the browser supports it, else '2d'. A canvas can
+// only ever hold one kind of context, so switching kinds replaces the
+// <canvas> element with a fresh clone (same id / class / style); listen on
+// host.canvas or pass onCanvasChange rather than holding on to the element.
+//
+// Worker mode (options.worker): the canvas is handed to a Web Worker with
+// transferControlToOffscreen() and the animation runs there (workerProxy.js),
+// so a busy page doesn't stall it. A transferred canvas is spent, so it is
+// replaced on the next load. Without OffscreenCanvas, or if the module fails
+// in the worker, the animation runs on the main thread as before.
+//
+// Transitions (options.transition = { type: 'crossfade' | 'dissolve',
+// duration }): the outgoing animation keeps running while the next one
+// loads. Both then render into canvases taken out of the document, and a
+// fresh canvas in their place shows the blend (transition.js). When it's
+// done the incoming animation's own canvas is swapped in, so nothing has to
+// be re-rendered. Worker mode always cuts.
+//
+// Pointer input (options.interaction, see interaction.js) is handed to
+// every animation as its `interaction` option; in a worker it arrives as
+// snapshots over postMessage.
+//
+// Motion (options.motion: 'auto' | 'full' | 'slow' | 'still', see
+// motion.js) is applied here, through the contract: the host pauses the
+// animation while the page is hidden or the canvas is off screen, scales
+// the speed it passes on, turns auto-zoom off and, for 'still', pauses on
+// one drawn frame. Callers keep asking for the speed and running state
+// they want; host.motion switches modes.
+//
+// Post-processing (options.post, host.setPost(); see post.js): with any
+// effect on, the animation's canvas leaves the document the way a
+// transition's do, and a fresh canvas in its place shows it through the
+// post pass. `frame` is the canvas the picture is drawn in, `canvas` the
+// one on the page; without effects they are the same. Worker mode skips
+// the pass, since the main thread can't read a transferred canvas.
+
+import { resolveAnimationDef, importAnimation, animationUrl, describeAnimation } from './registry.js';
+import { resolveParams } from './params.js';
+import { createSurface } from './surface.js';
+import { isWebGL2Supported } from './gl.js';
+import { createWorkerAnimation, supportsOffscreenCanvas } from './workerProxy.js';
+import { normalizeSeed, randomSeed } from './random.js';
+import { startTransition } from './transition.js';
+import { createMotionPolicy } from './motion.js';
+import { createPostPass, normalizePost, hasEffects } from './post.js';
+
+// Keys every animation understands; anything else is a schema param.
+const GLOBAL_KEYS = ['speed', 'zoom', 'zoomAuto', 'palette', 'quality'];
+
+function supportsWebGL(mod) {
+  return Array.isArray(mod.renderers) && mod.renderers.includes('webgl2');
+}
+
+export function createHost({
+  canvas, onStats, onCanvasChange, interaction = null, motion = 'auto', post: postOption = null
+}) {
+  // One surface per canvas, shared by every animation loaded into it, so
+  // animations size to the canvas's CSS box instead of the window.
+  let surface = createSurface(canvas);
+  // Animations observe `view`, which follows whichever surface is current,
+  // so swapping the canvas under a running animation keeps it sized.
+  const sizeListeners = new Set();
+  const view = {
+    size: () => surface.size(),
+    observe(fn) {
+      sizeListeners.add(fn);
+      return () => sizeListeners.delete(fn);
+    }
+  };
+  const watchSurface = () => surface.observe((size) => {
+    for (const fn of sizeListeners) fn(size);
+    // Resizing clears the canvas; a still animation won't draw again
+    if (stilled()) {
+      animation?.step?.(0);
+      post?.render();
+    }
+  });
+  watchSurface();
+
+  const motionPolicy = createMotionPolicy({ mode: motion });
+  motionPolicy.watch(canvas);
+  const stopMotion = motionPolicy.observe(applyMotion);
+  // What the caller asked for, before the motion policy
+  let wantRunning = true;
+  let wantSpeed = null;
+  let wantZoomAuto = null;
+
+  let frame = canvas; // what animations draw into (see Post-processing above)
+  let canvasKind = null; // context type `frame` is bound to
+  let renderer = null;
+  let thread = null; // 'main' | 'worker'
+  let seed = null;
+
+  let animation = null;
+  let def = null;
+  let schema = [];
+  let params = {};
+  let reversible = true; // false: the module holds still on speed <= 0
+  let loadToken = 0;
+  let transition = null; // running transition.js blend, if any
+  let muteCurrent = null; // silences the current animation's stats
+
+  let postConfig = normalizePost(postOption);
+  let postRenderer = 'auto'; // follows the last load's `renderer` option
+  let post = null; // running post.js pass, if any
+  let postKind = null; // the renderer `post` was asked for
+
+  function dispose(instance) {
+    try {
+      instance.pause?.();
+      instance.destroy?.();
+    } catch (e) {
+      console.error('Error cleaning up animation', e);
+    }
+  }
+
+  function teardown() {
+    if (!animation) return;
+    dispose(animation);
+    animation = null;
+  }
+
+  // Puts `next` on the page in place of the current canvas
+  function swapCanvas(next) {
+    canvas.replaceWith(next);
+    canvas = next;
+    surface.destroy();
+    surface = createSurface(canvas);
+    watchSurface();
+    motionPolicy.watch(canvas);
+    onCanvasChange?.(canvas);
+  }
+
+  // `next` becomes the canvas the picture is drawn in: on the page, or
+  // behind the post pass
+  function swapFrame(next) {
+    frame = next;
+    canvasKind = null;
+    if (post) post.setSource(next);
+    else swapCanvas(next);
+  }
+
+  function replaceCanvas() {
+    swapFrame(frame.cloneNode(false));
+  }
+
+  // Only the current animation reports stats; an outgoing one is muted so
+  // its fps and time don't interleave with the next one's. Speeds go back
+  // out unscaled, as the caller set them.
+  function routeStats() {
+    let live = true;
+    muteCurrent = () => { live = false; };
+    return (stats) => {
+      if (!live) return;
+      const { speedScale } = motionPolicy.state;
+      if (stats.speed != null && speedScale !== 1) stats = { ...stats, speed: stats.speed / speedScale };
+      onStats?.(stats);
+    };
+  }
+
+  // ----- Motion policy -----
+
+  function stilled() {
+    const { visible, motion: current } = motionPolicy.state;
+    return wantRunning && visible && current === 'still';
+  }
+
+  // The post pass redraws every frame while there's motion to show, and
+  // once otherwise
+  function syncPostLoop() {
+    if (!post) return;
+    if (transition || (animation && wantRunning && motionPolicy.state.running)) {
+      post.play();
+    } else {
+      post.pause();
+      post.render();
+    }
+  }
+
+  // `partial` as the animation gets it under the current motion policy
+  function governed(partial) {
+    const { speedScale, motion: current } = motionPolicy.state;
+    const out = { ...partial };
+    if (partial.speed != null) {
+      wantSpeed = partial.speed;
+      out.speed = partial.speed * speedScale;
+    }
+    if (partial.zoomAuto != null) {
+      wantZoomAuto = !!partial.zoomAuto;
+      out.zoomAuto = wantZoomAuto && current === 'full';
+    }
+    return out;
+  }
+
+  // Plays or pauses `instance` to match the caller and the policy
+  function syncRunning(instance) {
+    if (wantRunning && motionPolicy.state.running) {
+      instance.play?.();
+    } else {
+      instance.pause?.();
+      if (stilled()) instance.step?.(0);
+    }
+    syncPostLoop();
+  }
+
+  function applyMotion() {
+    if (!animation) return;
+    const next = {};
+    if (wantSpeed != null) next.speed = wantSpeed;
+    if (wantZoomAuto != null) next.zoomAuto = wantZoomAuto;
+    animation.setParams?.(governed(next));
+    syncRunning(animation);
+  }
+
+  function instantiate(factory, target, kind, initialState, nextSeed) {
+    return factory({
+      canvas: target, initialState, onStats: routeStats(), surface: view, renderer: kind, seed: nextSeed, interaction
+    });
+  }
+
+  function create(factory, kind, initialState, nextSeed) {
+    if (canvasKind && canvasKind !== kind) replaceCanvas();
+    canvasKind = kind;
+    return instantiate(factory, frame, kind, initialState, nextSeed);
+  }
+
+  // Same, on a copy of the canvas that isn't in the document yet
+  function createOffstage(factory, kind, initialState, nextSeed) {
+    let target = frame.cloneNode(false);
+    try {
+      return { target, kind, instance: instantiate(factory, target, kind, initialState, nextSeed) };
+    } catch (err) {
+      if (kind !== 'webgl2') throw err;
+      console.warn('WebGL2 renderer failed, falling back to Canvas2D', err);
+      target = frame.cloneNode(false);
+      return { target, kind: '2d', instance: instantiate(factory, target, '2d', initialState, nextSeed) };
+    }
+  }
+
+  // A transferred canvas can't be transferred again or get a context here.
+  function createInWorker(url, kind, initialState, nextSeed) {
+    if (post) stopPost();
+    if (canvasKind) replaceCanvas();
+    canvasKind = 'offscreen';
+    return createWorkerAnimation({
+      canvas, url, initialState, onStats: routeStats(), surface: view, renderer: kind, seed: nextSeed, interaction
+    });
+  }
+
+  // Moves the outgoing animation's canvas out of the document, blends it
+  // with the incoming one's on a fresh canvas, then swaps the incoming
+  // canvas in. Returns the incoming { instance, kind }.
+  function crossTo(factory, kind, initialState, nextSeed, { type, duration }) {
+    const outgoing = animation;
+    const outgoingCanvas = frame;
+    muteCurrent?.();
+    animation = null;
+    replaceCanvas();
+    canvasKind = '2d'; // the stage blends with a 2D context
+
+    let next;
+    try {
+      next = createOffstage(factory, kind, initialState, nextSeed);
+    } catch (err) {
+      dispose(outgoing);
+      throw err;
+    }
+
+    transition = startTransition({
+      target: frame,
+      from: outgoingCanvas,
+      to: next.target,
+      type,
+      duration,
+      onDone: () => {
+        transition = null;
+        dispose(outgoing);
+        swapFrame(next.target);
+        canvasKind = next.kind;
+        syncPostLoop();
+      }
+    });
+    syncPostLoop();
+    return next;
+  }
+
+  // ----- Post-processing -----
+
+  // The picture in `frame` leaves the page; a clone takes its place and
+  // the pass draws onto that.
+  function startPost() {
+    const shown = canvas.cloneNode(false);
+    swapCanvas(shown);
+    try {
+      post = createPostPass({ canvas: shown, source: frame, config: postConfig, renderer: postRenderer });
+    } catch (err) {
+      // `shown` may hold the failed GL context
+      console.warn('WebGL2 post pass failed, falling back to Canvas2D', err);
+      swapCanvas(canvas.cloneNode(false));
+      post = createPostPass({ canvas, source: frame, config: postConfig, renderer: '2d' });
+    }
+    postKind = postRenderer;
+  }
+
+  function stopPost() {
+    post.destroy();
+    post = null;
+    swapCanvas(frame);
+  }
+
+  // Starts, updates or stops the pass to match postConfig, the thread and
+  // the renderer asked for
+  function syncPost() {
+    const wanted = hasEffects(postConfig) && thread !== 'worker';
+    if (post && (!wanted || postKind !== postRenderer)) stopPost();
+    if (wanted && !post) startPost();
+    else post?.set(postConfig);
+    syncPostLoop();
+    onStats?.({ post: post?.kind ?? null });
+  }
+
+  // Effect values (see POST_PARAMS in post.js); missing keys keep theirs
+  function setPost(partial) {
+    const next = normalizePost({ ...postConfig, ...partial });
+    // Turning the pass on or off swaps canvases; let a transition land first
+    if (hasEffects(next) !== !!post) transition?.finish();
+    postConfig = next;
+    syncPost();
+  }
+
+  function wantsTransition(options) {
+    const t = options.transition;
+    return !!(t && t.type && t.type !== 'cut' && t.duration > 0 &&
+      animation && thread === 'main' && !options.worker);
+  }
+
+  // Loads animation `idOrDef` (an id, a def, or nothing for the first in
+  // the manifest) with:
+  //   { speed, zoom, zoomAuto, running, palette, params: { ...schema values },
+  //     renderer: 'auto' | '2d', worker: boolean, seed,
+  //     transition: { type: 'cut' | 'crossfade' | 'dissolve', duration: seconds } }
+  // A missing seed gets a random one; either way host.seed reports it, so
+  // the same field can be rebuilt later.
+  // Resolves to the def once it is running. If another load() starts before
+  // this one finishes, the later call wins and this one resolves to null.
+  async function load(idOrDef, options = {}) {
+    const token = ++loadToken;
+    const nextDef = idOrDef && typeof idOrDef === 'object'
+      ? idOrDef
+      : await resolveAnimationDef(idOrDef);
+    if (token !== loadToken) return null;
+    if (!nextDef) throw new Error('Unknown animation: ' + idOrDef);
+
+    transition?.finish();
+    const fade = wantsTransition(options) ? options.transition : null;
+    if (!fade) teardown();
+
+    let mod;
+    try {
+      mod = await importAnimation(nextDef);
+    } catch (err) {
+      throw new Error(`Couldn't load ${nextDef.label || nextDef.id}: ${err.message}`, { cause: err });
+    }
+    if (token !== loadToken) return null;
+
+    const factory = mod.createAnimation || mod.default;
+    if (typeof factory !== 'function') {
+      throw new Error(nextDef.module + ' does not export createAnimation()');
+    }
+
+    const nextSchema = Array.isArray(mod.params) ? mod.params : [];
+    // Manifest defaults sit between the schema's and the caller's values
+    const values = resolveParams(nextSchema, { ...nextDef.params, ...options.params });
+    const globals = {};
+    for (const key of GLOBAL_KEYS) {
+      if (options[key] !== undefined) globals[key] = options[key];
+    }
+
+    wantRunning = options.running !== false;
+    const initialState = {
+      ...governed(globals),
+      ...values,
+      running: wantRunning && motionPolicy.state.running
+    };
+    const nextSeed = normalizeSeed(options.seed) ?? randomSeed();
+    let kind = options.renderer !== '2d' && supportsWebGL(mod) && isWebGL2Supported()
+      ? 'webgl2'
+      : '2d';
+
+    let instance = null;
+    if (fade) {
+      ({ instance, kind } = crossTo(factory, kind, initialState, nextSeed, fade));
+    } else if (options.worker && supportsOffscreenCanvas()) {
+      try {
+        instance = await createInWorker(animationUrl(nextDef), kind, initialState, nextSeed);
+      } catch (err) {
+        console.warn('Worker rendering failed, falling back to the main thread', err);
+        replaceCanvas();
+      }
+      if (token !== loadToken) {
+        instance?.destroy();
+        return null;
+      }
+    }
+    thread = instance && !fade ? 'worker' : 'main';
+
+    if (!instance) {
+      try {
+        instance = create(factory, kind, initialState, nextSeed);
+      } catch (err) {
+        if (kind !== 'webgl2') throw err;
+        // The GL context may already be claimed by the failed attempt
+        console.warn('WebGL2 renderer failed, falling back to Canvas2D', err);
+        replaceCanvas();
+        kind = '2d';
+        instance = create(factory, kind, initialState, nextSeed);
+      }
+    }
+    renderer = kind;
+    seed = nextSeed;
+    onStats?.({ renderer, thread, seed });
+
+    // Ensure the animation is in sync with the requested state
+    instance.setParams?.({ ...governed(globals), ...values });
+    syncRunning(instance);
+
+    animation = instance;
+    def = describeAnimation(nextDef, mod);
+    schema = nextSchema;
+    params = values;
+    reversible = mod.reversible !== false;
+    postRenderer = options.renderer === '2d' ? '2d' : 'auto';
+    syncPost();
+    return def;
+  }
+
+  function setParams(partial) {
+    if (!partial) return;
+    for (const p of schema) {
+      if (partial[p.name] !== undefined) params[p.name] = partial[p.name];
+    }
+    animation?.setParams?.(governed(partial));
+  }
+
+  // Like setParams, without recording schema values in host.params: for
+  // passing modulation (audio.js) on, over values the caller keeps.
+  function modulate(partial) {
+    if (!partial) return;
+    animation?.setParams?.(governed(partial));
+  }
+
+  function play() {
+    wantRunning = true;
+    if (animation) syncRunning(animation);
+  }
+
+  function pause() {
+    wantRunning = false;
+    animation?.pause?.();
+    syncPostLoop();
+  }
+
+  // Frames drawn outside the loop go through the pass straight away
+  function step(dt) {
+    animation?.step?.(dt);
+    post?.render();
+  }
+
+  function renderAt(time) {
+    animation?.renderAt?.(time);
+    post?.render();
+  }
+
+  function destroy() {
+    loadToken++;
+    transition?.finish();
+    teardown();
+    post?.destroy();
+    post = null;
+    sizeListeners.clear();
+    surface.destroy();
+    stopMotion();
+    motionPolicy.destroy();
+  }
+
+  return {
+    load,
+    setParams,
+    modulate,
+    play,
+    pause,
+    reset: () => animation?.reset?.(),
+    step,
+    renderAt,
+    setPost,
+    destroy,
+    get animation() { return animation; },
+    get canvas() { return canvas; },
+    get renderer() { return renderer; },
+    get thread() { return thread; },
+    get seed() { return seed; },
+    get def() { return def; },
+    get schema() { return schema; },
+    get params() { return params; },
+    get reversible() { return reversible; },
+    get transitioning() { return transition != null; },
+    get post() { return postConfig; },
+    get postRenderer() { return post?.kind ?? null; },
+    get motion() { return motionPolicy; }
+  };
+}
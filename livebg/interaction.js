@@ -0,0 +1,272 @@
+// interaction.js
+//
+// Pointer input for animations. The page collects pointer and touch events
+// on its canvas into a small buffer that animations read once per frame
+// (the `interaction` option of createAnimation):
+//
+//   const pointer = createInteraction({ mode: 'attract' });
+//   pointer.attach(canvas);          // again whenever the canvas is replaced
+//   pointer.setMode('repel');        // 'off' | 'attract' | 'repel'
+//
+//   // in an animation's frame():
+//   const touch = interaction?.sample();   // { count, data }
+//   if (touch?.count) bendPoint(touch, x, y, out);
+//
+// Hovering is a live field around the cursor that pulls points in or pushes
+// them away (harder while pressed). Every click or tap adds an impulse: a
+// push with some swirl that dies off over IMPULSE_TAU seconds, the model
+// from i-cant-look-away.html. There are at most MAX_POINTERS entries; the
+// oldest impulse makes room first.
+//
+// touch.data holds POINTER_STRIDE floats per entry:
+//
+//   [x, y, strength, radius, swirl, age, down, impulse]
+//
+// x, y and radius (a Gaussian falloff) are CSS px in the canvas box.
+// strength > 0 pushes away and < 0 pulls in, already faded; age is seconds
+// since the press or hover began; down and impulse are 0 or 1. In GLSL
+// (gl.js) that is two vec4s per entry.
+
+export const MAX_POINTERS = 8;
+export const POINTER_STRIDE = 8;
+export const POINTER_MODES = ['off', 'attract', 'repel'];
+
+export const IMPULSE_TAU = 1.6; // seconds
+const IMPULSE_STRENGTH = 0.75;
+const IMPULSE_SWIRL = 0.35;
+const IMPULSE_RADIUS = 0.11; // x the shorter side of the canvas
+const IMPULSE_CUTOFF = 0.02; // dropped below this fraction of its start
+
+const HOVER_STRENGTH = { attract: -0.35, repel: 0.45 };
+const HOVER_RADIUS = 0.1;
+const PRESS_BOOST = 1.6;
+const FADE_IN = 0.2; // seconds
+const FADE_OUT = 0.35;
+
+// Wall-clock ms on a time origin shared with workers
+function clock() {
+  return performance.timeOrigin + performance.now();
+}
+
+function createBuffer() {
+  return { count: 0, data: new Float32Array(MAX_POINTERS * POINTER_STRIDE) };
+}
+
+function write(buf, x, y, strength, radius, swirl, age, down, impulse) {
+  const o = buf.count++ * POINTER_STRIDE;
+  const d = buf.data;
+  d[o] = x;
+  d[o + 1] = y;
+  d[o + 2] = strength;
+  d[o + 3] = radius;
+  d[o + 4] = swirl;
+  d[o + 5] = age;
+  d[o + 6] = down ? 1 : 0;
+  d[o + 7] = impulse ? 1 : 0;
+}
+
+// Fills `buf` from a snapshot ({ mode, scale, pointers, impulses }) as of
+// `now`. Live pointers come first, then impulses, newest first.
+function fill(buf, snap, now) {
+  buf.count = 0;
+  if (!snap || snap.mode === 'off') return buf;
+
+  const hover = HOVER_STRENGTH[snap.mode] ?? 0;
+  for (const p of snap.pointers) {
+    if (buf.count >= MAX_POINTERS) return buf;
+    const age = (now - p.since) / 1000;
+    const fade = p.left != null
+      ? 1 - (now - p.left) / 1000 / FADE_OUT
+      : Math.min(1, age / FADE_IN);
+    if (fade <= 0) continue;
+    const strength = hover * fade * (p.down ? PRESS_BOOST : 1);
+    write(buf, p.x, p.y, strength, HOVER_RADIUS * snap.scale, 0, age, p.down, false);
+  }
+  for (let i = snap.impulses.length - 1; i >= 0 && buf.count < MAX_POINTERS; i--) {
+    const m = snap.impulses[i];
+    const age = Math.max(0, (now - m.t0) / 1000);
+    const decay = Math.exp(-age / IMPULSE_TAU);
+    if (decay <= IMPULSE_CUTOFF) continue;
+    const strength = IMPULSE_STRENGTH * decay;
+    write(buf, m.x, m.y, strength, IMPULSE_RADIUS * snap.scale, IMPULSE_SWIRL, age, false, true);
+  }
+  return buf;
+}
+
+// Moves (x, y) by every entry in the buffer and writes the result into
+// `out` ([x, y]). Entries more than 3 radii away are skipped.
+export function bendPoint(buf, x, y, out) {
+  let bx = x;
+  let by = y;
+  const d = buf.data;
+  for (let k = 0, o = 0; k < buf.count; k++, o += POINTER_STRIDE) {
+    const dx = x - d[o];
+    const dy = y - d[o + 1];
+    const r2 = dx * dx + dy * dy;
+    const s2 = d[o + 3] * d[o + 3];
+    if (r2 > 9 * s2) continue;
+    const w = Math.exp(-r2 / (2 * s2)) * d[o + 2];
+    const swirl = w * d[o + 4];
+    bx += dx * w - dy * swirl;
+    by += dy * w + dx * swirl;
+  }
+  out[0] = bx;
+  out[1] = by;
+  return out;
+}
+
+function normalizeMode(mode) {
+  return POINTER_MODES.includes(mode) ? mode : 'attract';
+}
+
+export function createInteraction(options = {}) {
+  let mode = normalizeMode(options.mode);
+  const listeners = new Set();
+  const pointers = new Map(); // pointerId -> { x, y, since, down, left }
+  const impulses = []; // { x, y, t0 }
+  const buf = createBuffer();
+  let element = null;
+  let scale = 0;
+
+  function snapshot() {
+    return { mode, scale, pointers: [...pointers.values()], impulses: impulses.slice() };
+  }
+
+  function notify() {
+    if (!listeners.size) return;
+    const snap = snapshot();
+    for (const fn of listeners) fn(snap);
+  }
+
+  // Forgets pointers that have finished fading out and spent impulses
+  function prune(now) {
+    for (const [id, p] of pointers) {
+      if (p.left != null && now - p.left > FADE_OUT * 1000) pointers.delete(id);
+    }
+    const cutoff = -Math.log(IMPULSE_CUTOFF) * IMPULSE_TAU * 1000;
+    while (impulses.length && now - impulses[0].t0 > cutoff) impulses.shift();
+  }
+
+  function locate(ev) {
+    const r = element.getBoundingClientRect();
+    scale = Math.min(r.width, r.height);
+    return { x: ev.clientX - r.left, y: ev.clientY - r.top };
+  }
+
+  function track(ev, down) {
+    const now = clock();
+    prune(now);
+    const at = locate(ev);
+    const prev = pointers.get(ev.pointerId);
+    pointers.set(ev.pointerId, {
+      ...at,
+      since: prev && prev.left == null ? prev.since : now,
+      down: down ?? prev?.down ?? false,
+      left: null
+    });
+    return { now, at };
+  }
+
+  function release(ev) {
+    const p = pointers.get(ev.pointerId);
+    if (!p || p.left != null) return;
+    p.down = false;
+    p.left = clock();
+  }
+
+  const handlers = {
+    pointermove(ev) {
+      track(ev);
+      notify();
+    },
+    pointerdown(ev) {
+      const { now, at } = track(ev, true);
+      impulses.push({ ...at, t0: now });
+      // Live pointers come first in the buffer and take their slots
+      while (impulses.length > Math.max(1, MAX_POINTERS - pointers.size)) impulses.shift();
+      notify();
+    },
+    pointerup(ev) {
+      // A finger that lifts is gone; a mouse keeps hovering
+      if (ev.pointerType === 'mouse') {
+        track(ev, false);
+      } else {
+        release(ev);
+      }
+      notify();
+    },
+    pointerleave(ev) {
+      release(ev);
+      notify();
+    },
+    pointercancel(ev) {
+      release(ev);
+      notify();
+    }
+  };
+
+  function detach() {
+    if (!element) return;
+    for (const [type, fn] of Object.entries(handlers)) element.removeEventListener(type, fn);
+    element = null;
+  }
+
+  // Listens on `el` (the canvas); positions are relative to its box.
+  function attach(el) {
+    detach();
+    element = el;
+    for (const [type, fn] of Object.entries(handlers)) element.addEventListener(type, fn);
+  }
+
+  function setMode(next) {
+    mode = normalizeMode(next);
+    notify();
+  }
+
+  // The buffer as of now. The same object comes back every call; read it
+  // within the frame.
+  function sample() {
+    const now = clock();
+    prune(now);
+    return fill(buf, { mode, scale, pointers: pointers.values(), impulses }, now);
+  }
+
+  // Subscribes fn(snapshot) to every change (see createInteractionMirror);
+  // returns the unsubscribe function.
+  function observe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  function destroy() {
+    detach();
+    listeners.clear();
+    pointers.clear();
+    impulses.length = 0;
+  }
+
+  return {
+    attach,
+    detach,
+    setMode,
+    sample,
+    snapshot,
+    observe,
+    destroy,
+    get mode() { return mode; }
+  };
+}
+
+// Stand-in with the same sample() for an animation that can't see the
+// events, such as one running in a worker: feed it snapshots from the
+// real one's observe().
+export function createInteractionMirror(initial = null) {
+  const buf = createBuffer();
+  let snap = initial;
+  return {
+    sample: () => fill(buf, snap, clock()),
+    update(next) {
+      snap = next;
+    }
+  };
+}
@@ -0,0 +1,291 @@
+// keymap.js
+//
+// Keyboard shortcuts for LiveBG, in one table. Every action has default
+// keys; users can rebind them, and their changes are kept in localStorage
+// on their own. The shortcuts dialog is built from the same table
+// (buildShortcutList), so it always shows what the keys really do.
+//
+//   const keymap = createKeymap();
+//   window.addEventListener('keydown', (e) => {
+//     if (isEditing(e)) return;
+//     const action = keymap.actionFor(e);   // 'togglePlay', ... or null
+//   });
+//   keymap.bind('reset', ['r']);
+//
+// Keys are named the way keyFromEvent() names them: the event's `key`,
+// letters lowercased, ' ' as 'Space', with 'Ctrl+', 'Alt+' and 'Meta+' in
+// front when held. 'Shift+' is only added to letters and to keys that
+// don't type a character; '+' or '?' already say Shift was down.
+
+const STORAGE_KEY = 'livebg:keys';
+
+// `repeat`: also fires while the key is held down
+export const ACTIONS = [
+  { id: 'togglePlay', group: 'Playback', label: 'Pause / resume', keys: ['Space'] },
+  { id: 'faster', group: 'Playback', label: 'Faster', keys: ['ArrowRight'], repeat: true },
+  { id: 'slower', group: 'Playback', label: 'Slower (left of 0 plays backwards)', keys: ['ArrowLeft'], repeat: true },
+  { id: 'stopTime', group: 'Playback', label: 'Stop time', keys: ['0'] },
+  { id: 'normalSpeed', group: 'Playback', label: 'Normal speed', keys: ['1'] },
+  { id: 'stepBack', group: 'Playback', label: 'Step one frame back', keys: [','], repeat: true },
+  { id: 'stepForward', group: 'Playback', label: 'Step one frame forward', keys: ['.'], repeat: true },
+  { id: 'reset', group: 'Playback', label: 'Reset', keys: ['r'] },
+  { id: 'nextAnimation', group: 'Animation', label: 'Next animation', keys: ['n', 'PageDown'] },
+  { id: 'prevAnimation', group: 'Animation', label: 'Previous animation', keys: ['p', 'PageUp'] },
+  { id: 'densityUp', group: 'Animation', label: 'More density', keys: [']'], repeat: true },
+  { id: 'densityDown', group: 'Animation', label: 'Less density', keys: ['['], repeat: true },
+  { id: 'zoomIn', group: 'View', label: 'Zoom in', keys: ['+', '='], repeat: true },
+  { id: 'zoomOut', group: 'View', label: 'Zoom out', keys: ['-', '_'], repeat: true },
+  { id: 'fullscreen', group: 'View', label: 'Fullscreen', keys: ['f'] },
+  { id: 'hideUi', group: 'View', label: 'Hide / show the controls', keys: ['h'] },
+  { id: 'shortcuts', group: 'View', label: 'This list', keys: ['?'] }
+];
+
+// Pointer input, listed with the keys (not remappable)
+export const POINTER_SHORTCUTS = [
+  { input: 'Wheel', label: 'Speed' },
+  { input: 'Shift + Wheel', label: 'Zoom' },
+  { input: 'Click / tap', label: 'Impulse' }
+];
+
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+
+const KEY_LABELS = {
+  Space: 'Space',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  PageUp: 'PgUp',
+  PageDown: 'PgDn',
+  Escape: 'Esc'
+};
+
+// The name of the key `e` pressed, or null for a bare modifier
+export function keyFromEvent(e) {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+  let key = e.key === ' ' ? 'Space' : e.key;
+  const letter = key.length === 1 && key.toLowerCase() !== key.toUpperCase();
+  if (letter) key = key.toLowerCase();
+  const shift = e.shiftKey && (letter || key.length > 1);
+  return (e.ctrlKey ? 'Ctrl+' : '') + (e.altKey ? 'Alt+' : '') + (e.metaKey ? 'Meta+' : '') +
+    (shift ? 'Shift+' : '') + key;
+}
+
+// 'Shift+ArrowLeft' -> 'Shift+←', 'r' -> 'R'
+export function formatKey(key) {
+  const parts = key.split('+');
+  // '+' itself splits into empty parts
+  const name = key.endsWith('+') ? '+' : parts.pop();
+  const mods = key.endsWith('+') ? parts.slice(0, -2) : parts;
+  const label = KEY_LABELS[name] ?? (name.length === 1 ? name.toUpperCase() : name);
+  return [...mods, label].join('+');
+}
+
+// True while the key belongs to whatever has focus: a form field, or a
+// button that Space / Enter would press.
+export function isEditing(e) {
+  const target = e.target;
+  if (target?.closest?.('input, select, textarea, [contenteditable]:not([contenteditable="false"])')) return true;
+  return !!target?.closest?.('button') && (e.key === ' ' || e.key === 'Enter');
+}
+
+function loadOverrides(actions) {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    const out = {};
+    for (const a of actions) {
+      const keys = raw?.[a.id];
+      if (Array.isArray(keys) && keys.every((k) => typeof k === 'string')) out[a.id] = keys;
+    }
+    return out;
+  } catch (e) {
+    console.warn('Ignoring unreadable key bindings', e);
+    return {};
+  }
+}
+
+function storeOverrides(overrides) {
+  try {
+    if (Object.keys(overrides).length) localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.warn('Could not save key bindings', e);
+  }
+}
+
+const sameKeys = (a, b) => a.length === b.length && a.every((k, i) => k === b[i]);
+
+export function createKeymap({ actions = ACTIONS } = {}) {
+  const defaults = new Map(actions.map((a) => [a.id, a.keys]));
+  let overrides = loadOverrides(actions);
+  const listeners = new Set();
+  let byKey = new Map();
+
+  function keysFor(id) {
+    return overrides[id] ?? defaults.get(id) ?? [];
+  }
+
+  function index() {
+    byKey = new Map();
+    for (const a of actions) {
+      for (const key of keysFor(a.id)) if (!byKey.has(key)) byKey.set(key, a);
+    }
+  }
+
+  function changed() {
+    for (const [id, keys] of Object.entries(overrides)) {
+      if (sameKeys(keys, defaults.get(id))) delete overrides[id];
+    }
+    storeOverrides(overrides);
+    index();
+    for (const fn of listeners) fn();
+  }
+
+  // The action `e` triggers, or null. Held-down repeats only count for
+  // actions marked `repeat`.
+  function actionFor(e) {
+    const action = byKey.get(keyFromEvent(e));
+    if (!action || (e.repeat && !action.repeat)) return null;
+    return action.id;
+  }
+
+  // Gives action `id` exactly `keys`; any of them bound to another action
+  // moves over to this one.
+  function bind(id, keys) {
+    if (!defaults.has(id)) throw new Error('Unknown action: ' + id);
+    for (const a of actions) {
+      if (a.id === id) continue;
+      const kept = keysFor(a.id).filter((k) => !keys.includes(k));
+      if (kept.length !== keysFor(a.id).length) overrides[a.id] = kept;
+    }
+    overrides[id] = [...new Set(keys)];
+    changed();
+  }
+
+  // Back to the default keys: one action, or all of them
+  function reset(id) {
+    if (id == null) {
+      overrides = {};
+      changed();
+    } else {
+      bind(id, defaults.get(id));
+    }
+  }
+
+  // Subscribes fn() to every change; returns the unsubscribe function.
+  function observe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  index();
+
+  return {
+    actions,
+    actionFor,
+    keysFor,
+    isCustom: (id) => id in overrides,
+    bind,
+    reset,
+    observe
+  };
+}
+
+// Fills `container` with the shortcut table: keys per action, grouped,
+// each with a button that takes the next key pressed as its new binding
+// (Esc cancels), then the pointer gestures. Follows keymap changes;
+// returns a teardown function.
+export function buildShortcutList(container, keymap) {
+  let capture = null; // { button, onKey } while waiting for a key
+
+  function stopCapture() {
+    if (!capture) return;
+    window.removeEventListener('keydown', capture.onKey, true);
+    capture.button.textContent = 'Change';
+    capture = null;
+  }
+
+  function startCapture(id, button) {
+    stopCapture();
+    button.textContent = 'Press a key…';
+    const onKey = (e) => {
+      const key = keyFromEvent(e);
+      if (!key) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      stopCapture();
+      if (key === 'Escape') render();
+      else keymap.bind(id, [key]);
+    };
+    capture = { button, onKey };
+    window.addEventListener('keydown', onKey, true);
+  }
+
+  function span(className, text) {
+    const el = document.createElement('span');
+    el.className = className;
+    el.textContent = text;
+    return el;
+  }
+
+  // The action's keys as .kbd chips, or a dash for none
+  function boundKeys(id) {
+    const el = span('keys', '');
+    const keys = keymap.keysFor(id);
+    if (!keys.length) el.textContent = '—';
+    for (const k of keys) el.append(span('kbd', formatKey(k)));
+    return el;
+  }
+
+  function render() {
+    stopCapture();
+    container.replaceChildren();
+    let group = null;
+    for (const a of keymap.actions) {
+      if (a.group !== group) {
+        group = a.group;
+        const h = document.createElement('h2');
+        h.textContent = group;
+        container.append(h);
+      }
+      const row = document.createElement('div');
+      row.className = 'shortcut';
+
+      const change = document.createElement('button');
+      change.textContent = 'Change';
+      change.setAttribute('aria-label', 'Change the key for ' + a.label);
+      change.addEventListener('click', () => startCapture(a.id, change));
+      row.append(boundKeys(a.id), span('what', a.label), change);
+
+      if (keymap.isCustom(a.id)) {
+        const undo = document.createElement('button');
+        undo.textContent = 'Default';
+        undo.title = 'Back to ' + a.keys.map(formatKey).join(' / ');
+        undo.addEventListener('click', () => keymap.reset(a.id));
+        row.append(undo);
+      }
+      container.append(row);
+    }
+
+    const h = document.createElement('h2');
+    h.textContent = 'Pointer';
+    container.append(h);
+    for (const p of POINTER_SHORTCUTS) {
+      const row = document.createElement('div');
+      row.className = 'shortcut';
+      const keys = span('keys', '');
+      keys.append(span('kbd', p.input));
+      row.append(keys, span('what', p.label));
+      container.append(row);
+    }
+  }
+
+  const stopObserving = keymap.observe(render);
+  render();
+
+  return function teardown() {
+    stopCapture();
+    stopObserving();
+    container.replaceChildren();
+  };
+}
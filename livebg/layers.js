@@ -0,0 +1,437 @@
+// layers.js
+//
+// Extra animations stacked over the page's own one (the base layer, the
+// animation picked in the Controls modal):
+//
+//   const stack = createLayerStack({ base: host, interaction, onChange });
+//   stack.add({ anim: 'swirl', opacity: 0.6, blend: 'screen' });
+//   stack.update(layer, { blend: 'multiply' });
+//   stack.move(layer, 1);                // one step up (toward the top)
+//   stack.setParams({ speed: 0.4 });     // global keys reach every layer
+//
+// Each layer runs its own host (host.js) on its own canvas, placed right
+// above the base canvas in stacking order. The browser composites them
+// with CSS `mix-blend-mode` and `opacity`, so blending costs no extra
+// drawing; exports flatten the same stack with the matching
+// `globalCompositeOperation` (flattened()). Layer canvases let pointer
+// events through to the base canvas, and every layer gets the same
+// pointer buffer. Layers always render on the main thread.
+//
+// A layer's config is plain JSON (see normalizeLayer), so the stack can
+// live in the page settings and in presets (presets.js).
+
+import { createHost } from './host.js';
+import { animationDefs } from './registry.js';
+import { buildParamControls } from './params.js';
+
+export const MAX_LAYERS = 4;
+
+// CSS mix-blend-mode for the page, and the canvas composite operation
+// that draws the same thing when flattening
+export const BLEND_MODES = [
+  { value: 'normal', label: 'Normal', composite: 'source-over' },
+  { value: 'screen', label: 'Screen', composite: 'screen' },
+  { value: 'plus-lighter', label: 'Add', composite: 'lighter' },
+  { value: 'lighten', label: 'Lighten', composite: 'lighten' },
+  { value: 'overlay', label: 'Overlay', composite: 'overlay' },
+  { value: 'soft-light', label: 'Soft light', composite: 'soft-light' },
+  { value: 'multiply', label: 'Multiply', composite: 'multiply' },
+  { value: 'darken', label: 'Darken', composite: 'darken' },
+  { value: 'difference', label: 'Difference', composite: 'difference' }
+];
+
+export const LAYER_DEFAULTS = {
+  anim: null, // animation id
+  params: {}, // schema values, as for the base animation
+  opacity: 0.8,
+  blend: 'screen', // see BLEND_MODES
+  visible: true
+};
+
+// Keys the stack passes on to every layer (see host.js)
+const GLOBAL_KEYS = ['speed', 'zoom', 'zoomAuto', 'palette', 'quality'];
+
+const isObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+function blendMode(value) {
+  return BLEND_MODES.find((b) => b.value === value) || BLEND_MODES[0];
+}
+
+// Fills in defaults; null for a layer whose animation is no longer in the
+// registry.
+export function normalizeLayer(config = {}) {
+  if (!config || !animationDefs.some((d) => d.id === config.anim)) return null;
+  const opacity = parseFloat(config.opacity);
+  return {
+    anim: config.anim,
+    params: isObject(config.params) ? { ...config.params } : {},
+    opacity: Number.isFinite(opacity) ? Math.min(1, Math.max(0, opacity)) : LAYER_DEFAULTS.opacity,
+    blend: blendMode(config.blend ?? LAYER_DEFAULTS.blend).value,
+    visible: config.visible !== false
+  };
+}
+
+export function normalizeLayers(list) {
+  return Array.isArray(list) ? list.map(normalizeLayer).filter(Boolean).slice(0, MAX_LAYERS) : [];
+}
+
+// `options`: { interaction, motion, renderer: 'auto' | '2d', seed } for
+// every layer's host and load (see host.js). onChange(configs) follows
+// every change to the stack, for saving it.
+export function createLayerStack({ base, onChange, ...options }) {
+  const layers = [];
+  const listeners = new Set();
+  let nextId = 1;
+
+  // What every layer loads with; setParams / play / pause keep it current
+  const globals = { running: true };
+  let renderer = options.renderer || 'auto';
+  let seed = options.seed ?? null;
+
+  function configs() {
+    return layers.map((layer) => ({ ...layer.config, params: { ...layer.config.params } }));
+  }
+
+  function changed() {
+    onChange?.(configs());
+    for (const fn of listeners) fn();
+  }
+
+  // Layer canvases go right after the base canvas, bottom layer first.
+  // Hosts may swap a canvas for a fresh one (see host.js), so this asks
+  // each host for its current element.
+  function place() {
+    base.canvas.after(...layers.map((layer) => layer.host.canvas));
+  }
+
+  function styleCanvas(layer) {
+    const { opacity, blend, visible } = layer.config;
+    Object.assign(layer.host.canvas.style, {
+      position: 'fixed',
+      inset: '0',
+      pointerEvents: 'none',
+      opacity: String(opacity),
+      mixBlendMode: blend,
+      display: visible ? '' : 'none'
+    });
+  }
+
+  async function load(layer, params) {
+    layer.error = null;
+    try {
+      const loaded = await layer.host.load(layer.config.anim, {
+        ...globals,
+        running: globals.running && layer.config.visible,
+        renderer,
+        worker: false,
+        seed,
+        params
+      });
+      if (!loaded) return; // superseded by a newer load
+      layer.config.params = layer.host.params;
+    } catch (err) {
+      console.error('Layer failed to load', err);
+      layer.error = err.message;
+    }
+    if (layers.includes(layer)) changed();
+  }
+
+  function add(config) {
+    const normalized = normalizeLayer({ ...LAYER_DEFAULTS, ...config });
+    if (!normalized) throw new Error('Unknown animation: ' + config?.anim);
+    if (layers.length >= MAX_LAYERS) throw new Error(`At most ${MAX_LAYERS} layers`);
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'layer';
+    canvas.setAttribute('aria-hidden', 'true');
+    const layer = { id: nextId++, config: normalized, error: null, host: null };
+    layer.host = createHost({
+      canvas,
+      interaction: options.interaction,
+      motion: options.motion,
+      onCanvasChange: () => styleCanvas(layer)
+    });
+    styleCanvas(layer);
+    layers.push(layer);
+    place();
+    changed();
+    load(layer, normalized.params);
+    return layer;
+  }
+
+  function remove(layer) {
+    const i = layers.indexOf(layer);
+    if (i < 0) return;
+    layers.splice(i, 1);
+    const canvas = layer.host.canvas;
+    layer.host.destroy();
+    canvas.remove();
+    changed();
+  }
+
+  // `delta` > 0 moves the layer up, toward the top of the stack
+  function move(layer, delta) {
+    const i = layers.indexOf(layer);
+    const j = Math.max(0, Math.min(layers.length - 1, i + delta));
+    if (i < 0 || i === j) return;
+    layers.splice(i, 1);
+    layers.splice(j, 0, layer);
+    place();
+    changed();
+  }
+
+  // Any of { anim, params, opacity, blend, visible }. A new `anim` loads
+  // with its own defaults unless `params` come along.
+  function update(layer, patch) {
+    if (!layers.includes(layer)) return;
+    const prev = layer.config;
+    const next = normalizeLayer({
+      ...prev,
+      ...patch,
+      params: patch.anim && patch.anim !== prev.anim
+        ? patch.params
+        : { ...prev.params, ...patch.params }
+    });
+    if (!next) return;
+    layer.config = next;
+    styleCanvas(layer);
+
+    if (next.anim !== prev.anim) {
+      load(layer, next.params);
+      changed();
+      return;
+    }
+    if (patch.params) layer.host.setParams(patch.params);
+    if (next.visible !== prev.visible) {
+      if (next.visible && globals.running) layer.host.play();
+      else layer.host.pause();
+    }
+    changed();
+  }
+
+  // Replaces the whole stack (restored settings, a saved stack)
+  function set(list) {
+    for (const layer of [...layers]) remove(layer);
+    for (const config of normalizeLayers(list)) add(config);
+    if (!layers.length) changed();
+  }
+
+  // ----- Passed on to every layer -----
+
+  function shown() {
+    return layers.filter((layer) => layer.config.visible);
+  }
+
+  // Global keys for every layer, plus `renderer` and `seed` for the next
+  // load
+  function setParams(partial) {
+    if (!partial) return;
+    const next = {};
+    for (const key of GLOBAL_KEYS) {
+      if (partial[key] !== undefined) next[key] = globals[key] = partial[key];
+    }
+    if (partial.renderer !== undefined) renderer = partial.renderer;
+    if (partial.seed !== undefined) seed = partial.seed;
+    if (Object.keys(next).length) {
+      for (const layer of layers) layer.host.setParams(next);
+    }
+  }
+
+  function play() {
+    globals.running = true;
+    for (const layer of shown()) layer.host.play();
+  }
+
+  function pause() {
+    globals.running = false;
+    for (const layer of layers) layer.host.pause();
+  }
+
+  function setMotion(mode) {
+    for (const layer of layers) layer.host.motion.setMode(mode);
+    options.motion = mode;
+  }
+
+  // A host-like view of the base and the visible layers for export.js:
+  // its canvas is a 2D copy that is composited again after every step.
+  function flattened() {
+    const out = document.createElement('canvas');
+    const ctx = out.getContext('2d');
+
+    function composite() {
+      const src = base.canvas;
+      if (out.width !== src.width) out.width = src.width;
+      if (out.height !== src.height) out.height = src.height;
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.globalAlpha = 1;
+      ctx.clearRect(0, 0, out.width, out.height);
+      ctx.drawImage(src, 0, 0);
+      for (const layer of shown()) {
+        ctx.globalAlpha = layer.config.opacity;
+        ctx.globalCompositeOperation = blendMode(layer.config.blend).composite;
+        ctx.drawImage(layer.host.canvas, 0, 0, out.width, out.height);
+      }
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.globalAlpha = 1;
+    }
+
+    composite();
+    return {
+      get animation() { return base.animation; },
+      get thread() { return base.thread; },
+      get transitioning() { return base.transitioning; },
+      get canvas() { return out; },
+      pause() {
+        base.pause();
+        pause();
+      },
+      step(dt) {
+        base.step(dt);
+        for (const layer of shown()) layer.host.step(dt);
+        composite();
+      },
+      // Global keys only (quality, for snapshots larger than the canvas)
+      setParams(partial) {
+        base.setParams(partial);
+        setParams(partial);
+      },
+      renderAt(time) {
+        base.renderAt(time);
+        for (const layer of shown()) layer.host.renderAt(time);
+        composite();
+      }
+    };
+  }
+
+  // Subscribes fn() to every change; returns the unsubscribe function.
+  function observe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  return {
+    add,
+    remove,
+    move,
+    update,
+    set,
+    setParams,
+    play,
+    pause,
+    setMotion,
+    reset: () => shown().forEach((layer) => layer.host.reset()),
+    step: (dt) => shown().forEach((layer) => layer.host.step(dt)),
+    renderAt: (time) => shown().forEach((layer) => layer.host.renderAt(time)),
+    flattened,
+    observe,
+    get layers() { return layers.slice(); },
+    get configs() { return configs(); }
+  };
+}
+
+// Fills `container` with one row per layer, top of the stack first: show,
+// animation, blend, opacity, move / remove, and the layer's own params.
+// Rows are rebuilt when layers come, go, move or load, not while a slider
+// is dragged. Returns a teardown function.
+export function buildLayerControls(container, stack) {
+  let shape = null;
+  let teardowns = [];
+
+  function select(options, value, label, onChange) {
+    const el = document.createElement('select');
+    el.setAttribute('aria-label', label);
+    for (const o of options) {
+      const opt = document.createElement('option');
+      opt.value = o.value;
+      opt.textContent = o.label;
+      el.appendChild(opt);
+    }
+    el.value = value;
+    el.addEventListener('change', () => onChange(el.value));
+    return el;
+  }
+
+  function button(text, title, onClick, disabled = false) {
+    const el = document.createElement('button');
+    el.textContent = text;
+    el.title = title;
+    el.setAttribute('aria-label', title);
+    el.disabled = disabled;
+    el.addEventListener('click', onClick);
+    return el;
+  }
+
+  function row(layer, index, count) {
+    const { config, host } = layer;
+    const el = document.createElement('div');
+    el.className = 'layer';
+
+    const head = document.createElement('div');
+    head.className = 'inline';
+    const show = document.createElement('input');
+    show.type = 'checkbox';
+    show.checked = config.visible;
+    show.setAttribute('aria-label', 'Show layer');
+    show.addEventListener('change', () => stack.update(layer, { visible: show.checked }));
+    head.append(
+      show,
+      select(animationDefs.map((d) => ({ value: d.id, label: d.label })), config.anim, 'Layer animation',
+        (anim) => stack.update(layer, { anim })),
+      button('▲', 'Move up', () => stack.move(layer, 1), index === count - 1),
+      button('▼', 'Move down', () => stack.move(layer, -1), index === 0),
+      button('✕', 'Remove layer', () => stack.remove(layer))
+    );
+
+    const look = document.createElement('div');
+    look.className = 'inline';
+    const opacity = document.createElement('input');
+    opacity.type = 'range';
+    opacity.min = '0';
+    opacity.max = '1';
+    opacity.step = '0.05';
+    opacity.value = String(config.opacity);
+    opacity.setAttribute('aria-label', 'Layer opacity');
+    opacity.addEventListener('input', () => stack.update(layer, { opacity: parseFloat(opacity.value) }));
+    look.append(
+      select(BLEND_MODES, config.blend, 'Blend mode', (blend) => stack.update(layer, { blend })),
+      opacity
+    );
+    el.append(head, look);
+
+    if (layer.error) {
+      const err = document.createElement('p');
+      err.className = 'note error';
+      err.textContent = layer.error;
+      el.append(err);
+    } else if (host.schema.length && host.def?.id === config.anim) {
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = 'Parameters';
+      const params = document.createElement('div');
+      details.append(summary, params);
+      teardowns.push(buildParamControls(params, host.schema, host.params,
+        (name, value) => stack.update(layer, { params: { [name]: value } })));
+      el.append(details);
+    }
+    return el;
+  }
+
+  function render() {
+    const layers = stack.layers;
+    const next = layers.map((l) => [l.id, l.config.anim, l.host.def?.id, l.error].join(':')).join('|');
+    if (next === shape) return;
+    shape = next;
+    for (const fn of teardowns) fn?.();
+    teardowns = [];
+    container.replaceChildren(...layers.map((l, i) => row(l, i, layers.length)).reverse());
+  }
+
+  const stopObserving = stack.observe(render);
+  render();
+
+  return function teardown() {
+    stopObserving();
+    for (const fn of teardowns) fn?.();
+    container.replaceChildren();
+  };
+}
@@ -0,0 +1,311 @@
+// livebg.js
+//
+// Embeddable LiveBG: put an animated background behind any element.
+//
+//   <script type="module" src="/livebg/livebg.js"></script>
+//   <live-bg animation="swirl" speed="0.3" theme="neon">
+//     ...your content...
+//   </live-bg>
+//
+// or programmatically:
+//
+//   import { LiveBG } from '/livebg/livebg.js';
+//   const bg = LiveBG.mount(document.querySelector('.hero'), {
+//     animation: 'fiya', speed: 0.4, theme: 'embers', params: { decay: 0.99 }
+//   });
+//   bg.pause(); bg.setParams({ speed: 1, decay: 0.97 }); bg.destroy();
+//
+// Embeds pause while scrolled off screen or in a hidden tab, and follow
+// the visitor's "reduce motion" setting (slower, no zoom pulse). The
+// `motion` option / attribute overrides that: 'auto' | 'full' | 'slow' |
+// 'still' (see motion.js).
+//
+// `post` turns on post-processing (trails, bloom, vignette, ...; see
+// post.js), as an option or a JSON attribute: post='{"bloom": 0.5}'.
+//
+// Every mount gets its own canvas and host, so any number of instances can
+// run on one page. The animation modules are the same ones the full page uses.
+
+import { createHost } from './host.js';
+import { animationDefs, loadRegistry } from './registry.js';
+import { PALETTES, resolvePalette } from './palettes.js';
+import { POST_DEFAULTS } from './post.js';
+
+// Option keys handled here; anything else is treated as an animation param.
+const OPTION_KEYS = [
+  'animation', 'speed', 'zoom', 'zoomAuto', 'running',
+  'theme', 'palette', 'params', 'onStats', 'renderer', 'worker', 'seed', 'motion', 'post'
+];
+
+function paletteFrom(opts) {
+  if (opts.palette !== undefined) return opts.palette ? resolvePalette(opts.palette) : null;
+  if (opts.theme !== undefined) return opts.theme ? resolvePalette(opts.theme) : null;
+  return undefined;
+}
+
+function splitOptions(opts) {
+  const params = { ...(opts.params || {}) };
+  for (const [key, v] of Object.entries(opts)) {
+    if (!OPTION_KEYS.includes(key)) params[key] = v;
+  }
+  return params;
+}
+
+// Runs LiveBG on an existing canvas. mount() and <live-bg> both end up here.
+function mountCanvas(canvas, opts = {}) {
+  const host = createHost({ canvas, onStats: opts.onStats, motion: opts.motion, post: opts.post });
+
+  const state = {
+    animation: opts.animation || null, // null: the first in the manifest
+    renderer: opts.renderer || 'auto', // 'auto' (WebGL2 when possible) or '2d'
+    worker: !!opts.worker, // render in a Web Worker when OffscreenCanvas allows
+    seed: opts.seed ?? null, // null: a random field on every load
+    speed: opts.speed,
+    zoom: opts.zoom,
+    zoomAuto: opts.zoomAuto,
+    running: opts.running !== false,
+    palette: paletteFrom(opts) ?? null,
+    params: splitOptions(opts)
+  };
+
+  function start() {
+    return host.load(state.animation, state).catch((err) => {
+      console.error('LiveBG: failed to load animation', err);
+      return null;
+    });
+  }
+
+  let ready = start();
+
+  const instance = {
+    get ready() { return ready; },
+    get animation() { return host.def?.id ?? state.animation; },
+    get host() { return host; },
+
+    play() {
+      state.running = true;
+      host.play();
+    },
+    pause() {
+      state.running = false;
+      host.pause();
+    },
+    reset() {
+      host.reset();
+    },
+
+    // 'auto' | 'full' | 'slow' | 'still'
+    setMotion(mode) {
+      host.motion.setMode(mode);
+    },
+
+    // Switches to another animation, keeping speed / zoom / theme.
+    setAnimation(id) {
+      state.animation = id;
+      state.params = {};
+      ready = start();
+      return ready;
+    },
+
+    // Rebuilds the current animation from `seed` (null for a random one).
+    setSeed(seed) {
+      state.seed = seed ?? null;
+      ready = start();
+      return ready;
+    },
+
+    // Accepts the same keys as mount(): globals, theme/palette, params.
+    setParams(partial = {}) {
+      if (partial.animation && partial.animation !== state.animation) {
+        const { animation, ...rest } = partial;
+        this.setAnimation(animation).then(() => this.setParams(rest));
+        return;
+      }
+      if (partial.running !== undefined) {
+        if (partial.running) this.play();
+        else this.pause();
+      }
+      if (partial.motion !== undefined) this.setMotion(partial.motion);
+      if (partial.post !== undefined) host.setPost(partial.post);
+
+      const next = {};
+      for (const key of ['speed', 'zoom', 'zoomAuto']) {
+        if (partial[key] !== undefined) next[key] = state[key] = partial[key];
+      }
+      const palette = paletteFrom(partial);
+      if (palette !== undefined) next.palette = state.palette = palette;
+
+      const params = splitOptions(partial);
+      Object.assign(state.params, params);
+      host.setParams({ ...next, ...params });
+    },
+
+    destroy() {
+      host.destroy();
+    }
+  };
+
+  return instance;
+}
+
+// Mounts LiveBG as the background of `target` (element or selector).
+// The canvas fills the element and animations render at the element's size
+// (see surface.js), not the window's.
+export function mount(target, opts = {}) {
+  const el = typeof target === 'string' ? document.querySelector(target) : target;
+  if (!el) throw new Error('LiveBG.mount: no element for ' + target);
+
+  if (getComputedStyle(el).position === 'static') el.style.position = 'relative';
+  // Own stacking context, so z-index -1 stays above the element's background
+  // but below its content.
+  el.style.isolation = 'isolate';
+
+  const canvas = document.createElement('canvas');
+  canvas.setAttribute('aria-hidden', 'true');
+  Object.assign(canvas.style, {
+    position: 'absolute',
+    inset: '0',
+    width: '100%',
+    height: '100%',
+    display: 'block',
+    zIndex: '-1'
+  });
+  el.prepend(canvas);
+
+  const instance = mountCanvas(canvas, opts);
+  const destroy = instance.destroy;
+  instance.destroy = () => {
+    destroy();
+    instance.host.canvas.remove(); // may be a replacement (see host.js)
+  };
+  return instance;
+}
+
+// ===== <live-bg> custom element =====
+
+function attrNumber(el, name) {
+  const v = el.getAttribute(name);
+  if (v == null) return undefined;
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+function attrJson(el, name) {
+  const raw = el.getAttribute(name);
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.warn(`LiveBG: ignoring invalid ${name} attribute`, raw);
+    return {};
+  }
+}
+
+function optionsFromAttributes(el) {
+  return {
+    animation: el.getAttribute('animation') || undefined,
+    speed: attrNumber(el, 'speed'),
+    zoom: attrNumber(el, 'zoom'),
+    zoomAuto: el.hasAttribute('zoom-auto'),
+    theme: el.getAttribute('theme') || undefined,
+    running: !el.hasAttribute('paused'),
+    seed: el.getAttribute('seed') || undefined,
+    motion: el.getAttribute('motion') || undefined,
+    post: attrJson(el, 'post'),
+    params: attrJson(el, 'params')
+  };
+}
+
+const ELEMENT_STYLE = `
+  :host { display: block; position: relative; isolation: isolate; }
+  canvas {
+    position: absolute; inset: 0; width: 100%; height: 100%;
+    display: block; z-index: -1;
+  }
+`;
+
+const BaseElement = globalThis.HTMLElement || class {};
+
+export class LiveBGElement extends BaseElement {
+  static get observedAttributes() {
+    return ['animation', 'speed', 'zoom', 'zoom-auto', 'theme', 'paused', 'params', 'seed', 'motion', 'post'];
+  }
+
+  connectedCallback() {
+    if (this._bg) return;
+    const root = this.shadowRoot || this.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>${ELEMENT_STYLE}</style><canvas aria-hidden="true"></canvas><slot></slot>`;
+    this._bg = mountCanvas(root.querySelector('canvas'), {
+      ...optionsFromAttributes(this),
+      onStats: (stats) => {
+        this.dispatchEvent(new CustomEvent('stats', { detail: stats }));
+      }
+    });
+  }
+
+  disconnectedCallback() {
+    this._bg?.destroy();
+    this._bg = null;
+  }
+
+  attributeChangedCallback(name) {
+    if (!this._bg) return;
+    const opts = optionsFromAttributes(this);
+    switch (name) {
+      case 'animation':
+        if (opts.animation) this._bg.setAnimation(opts.animation);
+        break;
+      case 'paused':
+        if (opts.running) this._bg.play();
+        else this._bg.pause();
+        break;
+      case 'zoom-auto':
+        this._bg.setParams({ zoomAuto: opts.zoomAuto });
+        break;
+      case 'theme':
+        this._bg.setParams({ theme: opts.theme || null });
+        break;
+      case 'params':
+        this._bg.setParams(opts.params);
+        break;
+      case 'seed':
+        this._bg.setSeed(opts.seed);
+        break;
+      case 'motion':
+        this._bg.setMotion(opts.motion);
+        break;
+      case 'post':
+        // A removed attribute switches every effect off
+        this._bg.setParams({ post: { ...POST_DEFAULTS, ...opts.post } });
+        break;
+      default:
+        if (opts[name] !== undefined) this._bg.setParams({ [name]: opts[name] });
+    }
+  }
+
+  play() { this._bg?.play(); }
+  pause() { this._bg?.pause(); }
+  reset() { this._bg?.reset(); }
+  setParams(partial) { this._bg?.setParams(partial); }
+  destroy() { this.disconnectedCallback(); }
+}
+
+export function defineElement(tag = 'live-bg') {
+  if (globalThis.customElements && !customElements.get(tag)) {
+    customElements.define(tag, LiveBGElement);
+  }
+}
+
+defineElement();
+
+// `animations` fills in from animations/manifest.json; await
+// LiveBG.loadRegistry() before reading it.
+export const LiveBG = {
+  mount,
+  defineElement,
+  loadRegistry,
+  animations: animationDefs,
+  palettes: PALETTES
+};
+
+export default LiveBG;
@@ -1,4 +1,32 @@
 // main.js
+import { PALETTES, resolvePalette } from './palettes.js';
+import { resolveSettings, readUrlValues, createSettingsSaver } from './settings.js';
+import { buildParamControls } from './params.js';
+import { animationDefs, findAnimationDef, loadRegistry } from './registry.js';
+import { createHost } from './host.js';
+import { createInteraction } from './interaction.js';
+import { createGovernor, FULL_QUALITY } from './quality.js';
+import { normalizeMotionMode } from './motion.js';
+import { createKeymap, buildShortcutList, isEditing } from './keymap.js';
+import { randomSeed } from './random.js';
+import { snapshotPng, recordWebm, recordGif, downloadBlob } from './export.js';
+import {
+  PLAYLIST_DEFAULTS, createPlaylist, normalizePlaylist,
+  loadSavedPlaylists, savePlaylist, deleteSavedPlaylist
+} from './playlist.js';
+import { MAX_LAYERS, createLayerStack, buildLayerControls } from './layers.js';
+import { POST_PARAMS, POST_DEFAULTS, normalizePost, hasEffects } from './post.js';
+import {
+  starterPresets, loadSavedPresets, savePreset, renamePreset, deleteSavedPreset,
+  exportPresets, importPresets
+} from './presets.js';
+import { addUserAnimation, restoreUserAnimations, removeUserAnimation } from './userAnimations.js';
+import { DEFAULT_FORMULA, compileFormula, formulaModuleSource } from './formula.js';
+import {
+  AUDIO_BANDS, ZOOM_PULSE_RANGE, MAPPING_DEFAULTS,
+  createAudioInput, createModulator, normalizeMapping
+} from './audio.js';
+
 // ===== DOM helpers =====
 const $ = (sel) => document.querySelector(sel);
 
@@ -13,60 +41,175 @@ const fpsEl = $('#fps');
 const ptsEl = $('#pts');
 const spdEl = $('#spd');
 const zoomStatEl = $('#zoomStat');
+const rendererEl = $('#rendererStat');
 
 const speedRange = $('#speed');
 const speedVal = $('#speedVal');
-const densRange = $('#density');
-const densVal = $('#densVal');
+const scrubRange = $('#scrub');
+const timeVal = $('#timeVal');
+const btnFrameBack = $('#frameBack');
+const btnFrameFwd = $('#frameFwd');
+const btnNormalSpeed = $('#normalSpeed');
+const reverseNote = $('#reverseNote');
+const paramsEl = $('#animParams');
 const zoomRange = $('#zoom');
 const zoomVal = $('#zoomVal');
 const zoomAutoCb = $('#zoomAuto');
+const pointerSelect = $('#pointerMode');
+const fpsTargetSelect = $('#fpsTarget');
+const motionSelect = $('#motion');
+const motionStatus = $('#motionStatus');
+const gpuCb = $('#gpu');
+const workerCb = $('#worker');
+
+const seedInput = $('#seed');
+const seedMode = $('#seedMode');
+const btnSeedCopy = $('#seedCopy');
+const btnSeedNew = $('#seedNew');
 
 const btnToggle = $('#toggle');
 const btnReset = $('#reset');
 
+const exportStatus = $('#exportStatus');
+const exportSize = $('#exportSize');
+const exportSeconds = $('#exportSeconds');
+const exportFps = $('#exportFps');
+const exportButtons = {
+  png: $('#exportPng'),
+  webm: $('#exportWebm'),
+  gif: $('#exportGif')
+};
+
 const animSelect = $('#animationSelect');
 const animName = $('#animName');
+const animError = $('#animError');
+const addAnimStatus = $('#addAnimStatus');
+const addAnimUrl = $('#addAnimUrl');
+const addAnimFile = $('#addAnimFile');
+const addAnimKeep = $('#addAnimKeep');
+const btnAddAnimRemove = $('#addAnimRemove');
+
+const formulaPop = $('#formulaPop');
+const formulaCode = $('#formulaCode');
+const formulaStatus = $('#formulaStatus');
+const formulaState = $('#formulaState');
+const formulaError = $('#formulaError');
+const audioStatus = $('#audioStatus');
+const audioError = $('#audioError');
+const audioFile = $('#audioFile');
+const btnAudioStop = $('#audioStop');
+const audioPop = $('#audioPop');
+const audioMeters = $('#audioMeters');
+const audioMappingsEl = $('#audioMappings');
+const animInfo = {
+  thumb: $('#animInfoThumb'),
+  title: $('#animInfoTitle'),
+  author: $('#animInfoAuthor'),
+  desc: $('#animInfoDesc')
+};
+
+const playlistStatus = $('#playlistStatus');
+const btnPlaylistToggle = $('#playlistToggle');
+const btnPlaylistNext = $('#playlistNext');
+const playlistAnims = $('#playlistAnims');
+const playlistInterval = $('#playlistInterval');
+const playlistOrder = $('#playlistOrder');
+const playlistTransition = $('#playlistTransition');
+const playlistDuration = $('#playlistDuration');
+const playlistSaved = $('#playlistSaved');
+const playlistName = $('#playlistName');
+const layersPop = $('#layersPop');
+const layersStatus = $('#layersStatus');
+const layersBase = $('#layersBase');
+const btnLayerAdd = $('#layerAdd');
+const postStatus = $('#postStatus');
+const postParamsEl = $('#postParams');
+const postRow = postParamsEl.closest('.row');
+const presetStatus = $('#presetStatus');
+const presetSelect = $('#presetSelect');
+const presetName = $('#presetName');
+const presetFile = $('#presetFile');
+const presetError = $('#presetError');
+const btnPresetDelete = $('#presetDelete');
+const btnPresetRename = $('#presetRename');
+const btnPresetExport = $('#presetExport');
 
 const tabControls = $('#tabControls');
 const tabInfo = $('#tabInfo');
 
 // ===== Global UI state =====
-const state = {
+// Defaults come from the markup; localStorage and then URL params
+// (?anim=fiya&speed=0.4 or #anim=...) override them. See settings.js.
+const defaults = {
+  anim: null, // animation id, or null for the first in the registry
   speed: parseFloat(speedRange.value),
-  density: parseFloat(densRange.value),
   zoom: parseFloat(zoomRange.value),
   zoomAuto: zoomAutoCb.checked,
-  running: true
+  pointer: pointerSelect.value, // 'attract' | 'repel' | 'off' (see interaction.js)
+  fpsTarget: parseInt(fpsTargetSelect.value, 10), // quality governor target, 0 = off (see quality.js)
+  motion: motionSelect.value, // 'auto' | 'full' | 'slow' | 'still' (see motion.js)
+  gpu: gpuCb.checked, // allow the WebGL2 renderer for modules that support it
+  worker: workerCb.checked, // render on an OffscreenCanvas in a Web Worker
+  running: true,
+  seed: null, // pinned seed (number or any string), or null for a random one per load
+  theme: null, // PALETTES key, or null for each animation's own colors
+  cycle: false, // run the playlist
+  playlist: { ...PLAYLIST_DEFAULTS }, // see playlist.js
+  audio: [], // audio mappings: [{ band, target, gain, smoothing }] (see audio.js)
+  layers: [], // animations over this one: [{ anim, params, opacity, blend, visible }] (see layers.js)
+  post: { ...POST_DEFAULTS }, // post-processing effects (see post.js)
+  params: {} // per-animation values: { [animId]: { [paramName]: value } }
 };
+const state = resolveSettings(defaults);
+state.audio = Array.isArray(state.audio) ? state.audio.map(normalizeMapping) : [];
+if (![...fpsTargetSelect.options].some((o) => +o.value === state.fpsTarget)) {
+  state.fpsTarget = defaults.fpsTarget;
+}
+state.motion = normalizeMotionMode(state.motion);
+state.post = normalizePost(state.post);
+
+// What "Normal" / key 1 go back to: the page's default speed
+const NORMAL_SPEED = defaults.speed;
+
+// The current animation's params go into the URL flat (?anim=fiya&decay=0.99),
+// except picked images: a data: URL would swamp the link, so those stay in
+// localStorage (and presets).
+const saveSettings = createSettingsSaver(defaults);
+function persist() {
+  const values = state.params[state.anim] || {};
+  const extras = {};
+  for (const [key, v] of Object.entries(values)) {
+    if (!(typeof v === 'string' && v.startsWith('data:'))) extras[key] = v;
+  }
+  saveSettings(state, extras);
+}
+
+// Palette handed to animations for the current theme (null = module default)
+function currentPalette() {
+  return state.theme ? resolvePalette(state.theme) : null;
+}
 
 // ===== Animation registry =====
-// Your animations live in /animations/*.js and each exports createAnimation()
-const animationDefs = [
-  {
-    id: 'cnidarian',
-    label: 'Cnidarian',
-    module: './animations/orbitField.js'
-  },
-  {
-    id: 'swirl',
-    label: 'Swirl Waves',
-    module: './animations/swirlField.js'
-  },
-{
-  id: 'template',
-  label: 'Template Field',
-  module: './animations/templateField.js'
-},
-{
-  id: 'fiya',
-  label: 'Fire Field',
-  module: './animations/fireField.js'
-}
-
-];
-
-// Populate the <select> from the registry (so you only maintain one list)
+// Your animations live in /animations/*.js and are listed in
+// animations/manifest.json (see registry.js). The selector, the Info drawer
+// and the playlist are all built from it.
+const registryError = await loadRegistry().then(() => null, (err) => err);
+// Modules added with "Keep after reload" (see userAnimations.js)
+const restored = registryError ? null : await restoreUserAnimations();
+
+// Errors stay on screen (under the selector) until the next good load
+function showLoadError(message) {
+  animError.textContent = message || '';
+  animError.hidden = !message;
+}
+
+function markFailed(id, failed) {
+  const opt = [...animSelect.options].find((o) => o.value === id);
+  const def = findAnimationDef(id);
+  if (!opt || !def) return;
+  opt.textContent = def.label + (failed ? ' (failed to load)' : '');
+}
+
 function populateAnimationSelect() {
   animSelect.innerHTML = '';
   for (const def of animationDefs) {
@@ -75,31 +218,69 @@ function populateAnimationSelect() {
     opt.textContent = def.label;
     animSelect.appendChild(opt);
   }
-  const first = animationDefs[0];
-  animSelect.value = first.id;
-  animName.textContent = first.label;
+  if (!animationDefs.length) {
+    animSelect.disabled = true;
+    animName.textContent = 'none';
+    showLoadError("Couldn't load the animation list: " + (registryError?.message || 'it is empty'));
+    return;
+  }
+  const initial = findAnimationDef(state.anim) || animationDefs[0];
+  animSelect.value = initial.id;
+  animName.textContent = initial.label;
 }
+
 populateAnimationSelect();
 
+// Info drawer: what's running, from the manifest / the module's `meta`
+function showAnimationInfo(def) {
+  animInfo.title.textContent = def?.label || '--';
+  animInfo.author.textContent = def?.author ? 'by ' + def.author : '';
+  animInfo.desc.textContent = def?.description || '';
+  animInfo.thumb.hidden = !def?.thumbnail;
+  if (def?.thumbnail) {
+    animInfo.thumb.src = def.thumbnail;
+    animInfo.thumb.alt = def.label;
+  } else {
+    animInfo.thumb.removeAttribute('src');
+  }
+}
+
 // ===== Animation management =====
-let currentAnimation = null;
-let isLoadingAnimation = false;
+// host.js owns the running animation; this file only drives the UI around it.
+let teardownParams = null;
+let urlParamsApplied = false;
+let formulaActive = false; // see "Formula editor" below
+
+// Per-animation controls from the module's `params` schema (see params.js)
+function onParamChange(name, value) {
+  const values = (state.params[state.anim] ||= {});
+  values[name] = value;
+  host.setParams({ [name]: value });
+  persist();
+}
 
 function updateStats(partial) {
   // Called by animations via onStats({...})
   if (partial.fps != null) {
-    fpsEl.textContent = 'fps: ' + partial.fps.toFixed(0);
+    fpsEl.textContent = 'fps: ' + partial.fps.toFixed(0) + autoSuffix('resolution', 'res');
+    // Step-driven frames (paused, exporting) repeat a stale average
+    if (state.running && !exporting) governor.sample(partial.fps, performance.now());
+  }
+  if (partial.renderer != null) {
+    rendererEl.textContent =
+      'renderer: ' + partial.renderer + (partial.thread === 'worker' ? ' (worker)' : '');
+  }
+  if (partial.post !== undefined) {
+    showPost();
   }
   if (partial.points != null) {
-    ptsEl.textContent = 'points: ' + partial.points.toLocaleString();
+    ptsEl.textContent = 'points: ' + partial.points.toLocaleString() + autoSuffix('points', 'auto');
   }
   if (partial.speed != null) {
-    const s = partial.speed;
-    spdEl.textContent = 'speed: ' + s.toFixed(2);
-    speedVal.textContent = s.toFixed(2);
-    if (parseFloat(speedRange.value) !== s) {
-      speedRange.value = s.toFixed(2);
-    }
+    showSpeed(partial.speed);
+  }
+  if (partial.time != null) {
+    showTime(partial.time);
   }
   if (partial.zoom != null) {
     const z = partial.zoom;
@@ -111,55 +292,193 @@ function updateStats(partial) {
   }
 }
 
-async function loadAnimation(id) {
-  const def = animationDefs.find((a) => a.id === id);
-  if (!def || isLoadingAnimation) return;
+// ===== Adaptive quality =====
+// The governor (quality.js) trades resolution and then point count for
+// frame rate while fps stays under the target, and wins them back once
+// there is headroom. Exports always render at full quality.
+const SAVER_FPS = 30;
+const SAVER_LEVEL = 2; // cheapest-first floor while saving battery
 
-  isLoadingAnimation = true;
+const governor = createGovernor({
+  target: state.fpsTarget,
+  onChange: () => applyQuality()
+});
+let saving = false;
 
-  // Clean up old animation
-  if (currentAnimation) {
-    try {
-      currentAnimation.pause?.();
-      currentAnimation.destroy?.();
-    } catch (e) {
-      console.error('Error cleaning up animation', e);
-    }
-    currentAnimation = null;
+function applyQuality() {
+  setGlobals({ quality: exporting ? FULL_QUALITY : governor.quality });
+}
+
+// " · res 80%" while the governor has scaled `key` down
+function autoSuffix(key, label) {
+  const v = governor.quality[key];
+  return v < 1 ? ` · ${label} ${Math.round(v * 100)}%` : '';
+}
+
+// A discharging battery at 20% or less, or the browser's Save-Data hint,
+// caps the target at SAVER_FPS and starts from a cheaper level.
+function setSaving(next) {
+  saving = next;
+  governor.setTarget(saving ? Math.min(state.fpsTarget || SAVER_FPS, SAVER_FPS) : state.fpsTarget);
+  governor.setFloor(saving ? SAVER_LEVEL : 0);
+  fpsTargetSelect.title = saving ? `Battery saver: ${SAVER_FPS} fps at most` : '';
+}
+
+function watchBattery() {
+  const saveData = () => !!navigator.connection?.saveData;
+  if (saveData()) setSaving(true);
+  navigator.getBattery?.().then((battery) => {
+    const check = () => setSaving(saveData() || (!battery.charging && battery.level <= 0.2));
+    battery.addEventListener('chargingchange', check);
+    battery.addEventListener('levelchange', check);
+    check();
+  }).catch((err) => console.warn('Battery status unavailable', err));
+}
+
+// Pointer and touch input on the canvas, shared with every animation
+const pointer = createInteraction({ mode: state.pointer });
+pointer.attach(canvas);
+
+// Switching between WebGL2 and Canvas2D modules replaces the <canvas>
+// element (see host.js), so canvas listeners are re-attached here.
+const host = createHost({
+  canvas,
+  onStats: updateStats,
+  interaction: pointer,
+  motion: state.motion,
+  post: state.post,
+  onCanvasChange: (el) => {
+    el.addEventListener('wheel', onWheel, { passive: false });
+    pointer.attach(el);
   }
+});
 
-  try {
-    const mod = await import(def.module);
-    const factory = mod.createAnimation || mod.default;
+// ===== Layers: more animations over this one (layers.js) =====
+// The base animation is the one above; layers share its global keys and
+// transport, and are restored once it has loaded.
+let layersRestored = false;
+const layerStack = createLayerStack({
+  base: host,
+  interaction: pointer,
+  motion: state.motion,
+  renderer: state.gpu ? 'auto' : '2d',
+  seed: state.seed,
+  onChange: (configs) => {
+    state.layers = configs;
+    showLayers();
+    syncPost();
+    if (layersRestored) persist();
+  }
+});
+layerStack.setParams({
+  speed: state.speed,
+  zoom: state.zoom,
+  zoomAuto: state.zoomAuto,
+  palette: currentPalette(),
+  quality: governor.quality
+});
+if (!state.running) layerStack.pause();
 
-    currentAnimation = factory({
-      canvas,
-      initialState: { ...state },
-      onStats: updateStats
-    });
+// Speed, zoom, theme and quality: the base animation and every layer
+function setGlobals(partial) {
+  host.setParams(partial);
+  layerStack.setParams(partial);
+}
+
+function showLayers() {
+  const count = layerStack.layers.length;
+  const shown = layerStack.layers.filter((layer) => layer.config.visible).length;
+  layersStatus.textContent = !count ? 'none' : shown === count ? String(count) : `${shown} of ${count} shown`;
+  layersBase.textContent = host.def?.label || '--';
+  btnLayerAdd.disabled = count >= MAX_LAYERS || !animationDefs.length;
+}
+
+// GPU rendering and seeds take effect on layers by reloading them too
+function reloadLayers() {
+  layerStack.setParams({ renderer: state.gpu ? 'auto' : '2d', seed: state.seed });
+  layerStack.set(state.layers);
+}
 
-    // Ensure animation is in sync with UI state
-    currentAnimation.setParams?.({
+// `transition` ({ type, duration }, see host.js) blends from the current
+// animation instead of cutting. `time` picks up at that virtual time
+// instead of 0, for reloads of the same animation.
+async function loadAnimation(id, { save = true, transition, time } = {}) {
+  const def = findAnimationDef(id);
+  if (!def) return;
+
+  teardownParams?.();
+  teardownParams = null;
+
+  // Stored values for this animation, overridden once by URL params
+  const fromUrl = urlParamsApplied ? null : readUrlValues(defaults);
+  urlParamsApplied = true;
+
+  try {
+    const loaded = await host.load(def, {
       speed: state.speed,
-      density: state.density,
       zoom: state.zoom,
-      zoomAuto: state.zoomAuto
+      zoomAuto: state.zoomAuto,
+      running: state.running,
+      palette: currentPalette(),
+      quality: governor.quality,
+      // A custom formula is JavaScript run per point: main thread, Canvas2D
+      renderer: state.gpu && !formulaActive ? 'auto' : '2d',
+      worker: state.worker && !formulaActive,
+      seed: state.seed,
+      transition,
+      params: { ...state.params[def.id], ...fromUrl }
     });
+    if (!loaded) return; // superseded by a newer selection
 
-    if (state.running) {
-      currentAnimation.play?.();
-    }
+    state.anim = def.id;
+    state.params[def.id] = host.params;
+    governor.rest();
+    teardownParams = buildParamControls(paramsEl, host.schema, host.params, onParamChange);
 
-    animName.textContent = def.label;
+    animName.textContent = host.def.label;
+    animSelect.value = def.id;
+    markFailed(def.id, false);
+    showLoadError(null);
+    showAnimationInfo(host.def);
+    btnAddAnimRemove.hidden = !host.def.user;
+    showLayers();
+    syncPost(); // the thread may have changed
+    if (formulaActive) applyFormula();
+    if (audioPop.open) renderAudioMappings(); // targets follow the schema
+    syncSeed();
+    resetTimeline();
+    if (time != null) {
+      host.renderAt(time);
+      showTime(time);
+    }
+    reverseNote.hidden = host.reversible;
+    if (save) persist();
   } catch (err) {
     console.error('Failed to load animation', err);
-  } finally {
-    isLoadingAnimation = false;
+    markFailed(def.id, true);
+    showLoadError(err.message);
+    if (host.animation) {
+      // A crossfade never started: the previous animation is still up
+      animSelect.value = host.def.id;
+      teardownParams = buildParamControls(paramsEl, host.schema, host.params, onParamChange);
+    } else {
+      animName.textContent = def.label;
+      showAnimationInfo(def);
+    }
   }
 }
 
 // Initial load
-loadAnimation(animationDefs[0].id);
+if (animationDefs.length) {
+  loadAnimation((findAnimationDef(state.anim) || animationDefs[0]).id, { save: false })
+    .then(() => {
+      // Stored modules that no longer import (see userAnimations.js)
+      if (restored?.errors.length) showLoadError(restored.errors.map((err) => err.message).join('\n'));
+      if (state.cycle) setCycling(true, { save: false });
+      layerStack.set(state.layers);
+      layersRestored = true;
+    });
+}
 
 // When user changes the selector
 animSelect.addEventListener('change', () => {
@@ -167,94 +486,1101 @@ animSelect.addEventListener('change', () => {
   loadAnimation(id);
 });
 
+// ===== Playlist: cycle through animations on a timer (playlist.js) =====
+const playlist = createPlaylist({
+  // Recordings step the current animation frame by frame; don't pull it
+  // out from under them.
+  onAdvance: (id, transition) => (exporting ? null : loadAnimation(id, { transition }))
+});
+
+function readPlaylistForm() {
+  return normalizePlaylist({
+    ids: [...playlistAnims.querySelectorAll('input:checked')].map((cb) => cb.value),
+    interval: playlistInterval.value,
+    order: playlistOrder.value,
+    transition: playlistTransition.value,
+    duration: playlistDuration.value
+  });
+}
+
+function writePlaylistForm(config) {
+  playlistAnims.querySelectorAll('input').forEach((cb) => {
+    cb.checked = config.ids.includes(cb.value);
+  });
+  playlistInterval.value = String(config.interval);
+  playlistOrder.value = config.order;
+  playlistTransition.value = config.transition;
+  playlistDuration.value = String(config.duration);
+}
+
+function showPlaylist() {
+  const { interval, order } = state.playlist;
+  playlistStatus.textContent = state.cycle
+    ? `every ${interval} s${order === 'shuffle' ? ', shuffled' : ''}`
+    : 'off';
+  btnPlaylistToggle.textContent = state.cycle ? 'Stop' : 'Start';
+  btnPlaylistNext.disabled = !state.cycle;
+}
+
+function setCycling(on, { save = true } = {}) {
+  state.cycle = on;
+  if (on) playlist.start(state.playlist, state.anim);
+  else playlist.stop();
+  showPlaylist();
+  if (save) persist();
+}
+
+// Edits apply straight away; a running playlist restarts its timer
+function applyPlaylist(config) {
+  state.playlist = normalizePlaylist(config);
+  writePlaylistForm(state.playlist);
+  if (state.cycle) playlist.start(state.playlist, state.anim);
+  showPlaylist();
+  persist();
+}
+
+// Rebuilt when animations are added or removed
+function buildPlaylistChecks() {
+  playlistAnims.innerHTML = '';
+  for (const def of animationDefs) {
+    const label = document.createElement('label');
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.value = def.id;
+    label.append(cb, ' ' + def.label);
+    playlistAnims.appendChild(label);
+  }
+}
+
+function populatePlaylistForm() {
+  buildPlaylistChecks();
+  state.playlist = normalizePlaylist(state.playlist);
+  writePlaylistForm(state.playlist);
+  populateSavedPlaylists(loadSavedPlaylists());
+  showPlaylist();
+}
+
+function populateSavedPlaylists(list) {
+  playlistSaved.innerHTML = '';
+  for (const entry of list) {
+    const opt = document.createElement('option');
+    opt.value = entry.name;
+    opt.textContent = entry.name;
+    playlistSaved.appendChild(opt);
+  }
+  playlistSaved.disabled = !list.length;
+}
+
+populatePlaylistForm();
+
+for (const el of [playlistAnims, playlistInterval, playlistOrder, playlistTransition, playlistDuration]) {
+  el.addEventListener('change', () => applyPlaylist(readPlaylistForm()));
+}
+
+btnPlaylistToggle.addEventListener('click', () => setCycling(!state.cycle));
+btnPlaylistNext.addEventListener('click', () => playlist.next());
+
+$('#playlistSave').addEventListener('click', () => {
+  const name = playlistName.value.trim();
+  if (!name) {
+    playlistName.focus();
+    return;
+  }
+  populateSavedPlaylists(savePlaylist({ ...readPlaylistForm(), name }));
+  playlistSaved.value = name;
+});
+
+$('#playlistLoad').addEventListener('click', () => {
+  const entry = loadSavedPlaylists().find((p) => p.name === playlistSaved.value);
+  if (!entry) return;
+  playlistName.value = entry.name;
+  applyPlaylist(entry);
+});
+
+$('#playlistDelete').addEventListener('click', () => {
+  if (!playlistSaved.value) return;
+  populateSavedPlaylists(deleteSavedPlaylist(playlistSaved.value));
+});
+
+// ===== Layers dialog =====
+buildLayerControls($('#layerList'), layerStack);
+
+$('#layersOpen').addEventListener('click', () => {
+  if (!layersPop.open) layersPop.show();
+});
+
+// A new layer starts as some other animation than the base
+btnLayerAdd.addEventListener('click', () => {
+  const def = animationDefs.find((d) => d.id !== state.anim) || animationDefs[0];
+  if (def) layerStack.add({ anim: def.id });
+});
+
+showLayers();
+
+// ===== Presets: named looks, saved or shipped (presets.js) =====
+// The select lists saved presets first, then the starters; option values
+// index into presetList.
+let presetList = [];
+
+function showPresetError(message) {
+  presetError.textContent = message || '';
+  presetError.hidden = !message;
+}
+
+function selectedPreset() {
+  return presetList[parseInt(presetSelect.value, 10)] || null;
+}
+
+function showPresetButtons() {
+  const preset = selectedPreset();
+  btnPresetDelete.disabled = !preset || preset.starter;
+  btnPresetRename.disabled = !preset || preset.starter;
+}
+
+// Rebuilt when presets change and when animations are added or removed
+function populatePresets(select = selectedPreset()?.name) {
+  const saved = loadSavedPresets();
+  presetList = [...saved, ...starterPresets()];
+  presetSelect.innerHTML = '';
+  const groups = [['Saved', saved], ['Starter', presetList.slice(saved.length)]];
+  let index = 0;
+  for (const [label, list] of groups) {
+    if (!list.length) continue;
+    const group = document.createElement('optgroup');
+    group.label = label;
+    for (const preset of list) {
+      const opt = document.createElement('option');
+      opt.value = String(index++);
+      opt.textContent = preset.name;
+      if (!findAnimationDef(preset.anim)) {
+        opt.disabled = true;
+        opt.textContent += ' (animation missing)';
+      }
+      group.appendChild(opt);
+    }
+    presetSelect.appendChild(group);
+  }
+  const i = presetList.findIndex((p) => p.name === select);
+  if (i >= 0) presetSelect.value = String(i);
+  presetSelect.disabled = !presetList.length;
+  btnPresetExport.disabled = !saved.length;
+  presetStatus.textContent = saved.length ? `${saved.length} saved` : 'starters';
+  showPresetButtons();
+}
+
+// What's showing, as a preset
+function currentPreset(name) {
+  return {
+    name,
+    anim: state.anim,
+    speed: state.speed,
+    zoom: state.zoom,
+    zoomAuto: state.zoomAuto,
+    theme: state.theme,
+    seed: state.seed,
+    params: state.params[state.anim],
+    layers: layerStack.configs,
+    post: state.post
+  };
+}
+
+// Globals first, so the animation and its layers load with them
+async function applyPreset(preset) {
+  if (!findAnimationDef(preset.anim)) return;
+  state.params[preset.anim] = { ...preset.params };
+  state.seed = preset.seed;
+  state.zoomAuto = preset.zoomAuto;
+  zoomAutoCb.checked = preset.zoomAuto;
+  setGlobals({ zoomAuto: state.zoomAuto });
+  setSpeed(preset.speed);
+  setZoom(preset.zoom);
+  applyTheme(preset.theme);
+  applyPost(preset.post);
+  layerStack.setParams({ seed: state.seed });
+  await loadAnimation(preset.anim);
+  layerStack.set(preset.layers);
+  presetStatus.textContent = 'applied';
+}
+
+populatePresets();
+
+presetSelect.addEventListener('change', () => {
+  const preset = selectedPreset();
+  if (preset && !preset.starter) presetName.value = preset.name;
+  showPresetButtons();
+  showPresetError(null);
+});
+
+$('#presetApply').addEventListener('click', () => {
+  const preset = selectedPreset();
+  if (preset) applyPreset(preset);
+});
+
+$('#presetSave').addEventListener('click', () => {
+  const name = presetName.value.trim();
+  if (!name) {
+    presetName.focus();
+    return;
+  }
+  try {
+    savePreset(currentPreset(name));
+    populatePresets(name);
+    showPresetError(null);
+  } catch (err) {
+    showPresetError(err.message);
+  }
+});
+
+btnPresetRename.addEventListener('click', () => {
+  const preset = selectedPreset();
+  if (!preset || preset.starter) return;
+  try {
+    renamePreset(preset.name, presetName.value);
+    populatePresets(presetName.value.trim());
+    showPresetError(null);
+  } catch (err) {
+    showPresetError(err.message);
+  }
+});
+
+btnPresetDelete.addEventListener('click', () => {
+  const preset = selectedPreset();
+  if (!preset || preset.starter) return;
+  deleteSavedPreset(preset.name);
+  populatePresets(null);
+});
+
+$('#presetImport').addEventListener('click', () => presetFile.click());
+presetFile.addEventListener('change', async () => {
+  const file = presetFile.files?.[0];
+  presetFile.value = ''; // picking the same file again still fires change
+  if (!file) return;
+  try {
+    const { added } = importPresets(await file.text());
+    if (!added.length) {
+      showPresetError(`${file.name}: no presets found in this file`);
+      return;
+    }
+    populatePresets(added[0].name);
+    showPresetError(null);
+    presetStatus.textContent = `imported ${added.length}`;
+  } catch (err) {
+    console.error('Failed to import presets', err);
+    showPresetError(`${file.name}: ${err.message}`);
+  }
+});
+
+btnPresetExport.addEventListener('click', () => {
+  const saved = loadSavedPresets();
+  if (saved.length) downloadBlob(exportPresets(saved), 'livebg-presets.json');
+});
+
+// ===== Add animation: a module from a file or URL (userAnimations.js) =====
+// Checked and registered for the session, then loaded straight away.
+function refreshAnimationLists() {
+  populateAnimationSelect();
+  buildPlaylistChecks();
+  populatePresets();
+  applyPlaylist(state.playlist); // drops ids that are gone
+}
+
+async function addAnimation(source) {
+  addAnimStatus.textContent = 'checking…';
+  try {
+    const def = await addUserAnimation({ ...source, keep: addAnimKeep.checked });
+    refreshAnimationLists();
+    addAnimStatus.textContent = addAnimKeep.checked && !def.kept ? 'added (not kept)' : 'added';
+    await loadAnimation(def.id);
+  } catch (err) {
+    console.error('Failed to add animation', err);
+    addAnimStatus.textContent = 'failed';
+    showLoadError(err.message);
+  }
+}
+
+$('#addAnimUrlBtn').addEventListener('click', () => addAnimation({ url: addAnimUrl.value }));
+addAnimUrl.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') addAnimation({ url: addAnimUrl.value });
+});
+
+$('#addAnimFileBtn').addEventListener('click', () => addAnimFile.click());
+addAnimFile.addEventListener('change', () => {
+  const file = addAnimFile.files?.[0];
+  addAnimFile.value = ''; // picking the same file again still fires change
+  if (file) addAnimation({ file });
+});
+
+btnAddAnimRemove.addEventListener('click', () => {
+  const def = host.def;
+  if (!def?.user) return;
+  removeUserAnimation(def.id);
+  delete state.params[def.id];
+  refreshAnimationLists();
+  addAnimStatus.textContent = 'removed';
+  loadAnimation(animationDefs[0].id);
+});
+
+// ===== Formula editor (formula.js; templateField.js, section 4b) =====
+// Once a formula is applied it stays on, across loads, until "Built-in".
+// While it's on, animations load on the main thread with Canvas2D.
+const FORMULA_KEY = 'livebg:formula';
+let formulaTimer = null;
+
+function showFormula(status, error = null) {
+  formulaStatus.textContent = status;
+  formulaState.textContent = formulaActive ? 'custom' : 'built-in';
+  formulaError.textContent = error || '';
+  formulaError.hidden = !error;
+}
+
+function onFormulaError(err) {
+  showFormula('error', `Runtime error at point ${err.pointIndex}: ${err.name}: ${err.message}\n` +
+    'Running the built-in math until the next edit.');
+}
+
+// Compiles the editor's code and hands it to the animation. Errors stay in
+// the editor; the animation keeps the last formula that worked.
+function applyFormula() {
+  let fn;
+  try {
+    fn = compileFormula(formulaCode.value);
+  } catch (err) {
+    showFormula('error', err.message);
+    return null;
+  }
+  formulaActive = true;
+
+  const animation = host.animation;
+  if (typeof animation?.setFormula !== 'function') {
+    showFormula('waiting', 'This animation has no per-point formula; switch to Template Field.');
+    return fn;
+  }
+  if (!animation.setFormula(fn, onFormulaError)) {
+    // Loaded on the GPU / in a worker: reload with Canvas2D (applies
+    // after), carrying on from the same time
+    showFormula('reloading');
+    loadAnimation(state.anim, { time: currentTime });
+    return fn;
+  }
+  showFormula('live');
+  return fn;
+}
+
+function scheduleFormula() {
+  clearTimeout(formulaTimer);
+  formulaTimer = setTimeout(() => {
+    try {
+      localStorage.setItem(FORMULA_KEY, formulaCode.value);
+    } catch (e) {
+      // Storage full / private mode: the code just won't survive a reload.
+    }
+    applyFormula();
+  }, 300);
+}
+
+function loadFormulaCode() {
+  try {
+    return localStorage.getItem(FORMULA_KEY) || DEFAULT_FORMULA;
+  } catch (e) {
+    return DEFAULT_FORMULA;
+  }
+}
+
+formulaCode.value = loadFormulaCode();
+showFormula('built-in');
+
+$('#formulaOpen').addEventListener('click', () => {
+  if (!formulaPop.open) formulaPop.show();
+  formulaCode.focus();
+  if (host.thread === 'worker' || host.renderer !== '2d') {
+    formulaActive = true; // load() below picks Canvas2D, then applies
+    showFormula('reloading');
+    loadAnimation(state.anim, { time: currentTime });
+  } else {
+    applyFormula();
+  }
+});
+
+formulaCode.addEventListener('input', scheduleFormula);
+
+// Tab indents instead of leaving the editor
+formulaCode.addEventListener('keydown', (e) => {
+  if (e.key !== 'Tab' || e.shiftKey) return;
+  e.preventDefault();
+  formulaCode.setRangeText('  ', formulaCode.selectionStart, formulaCode.selectionEnd, 'end');
+  scheduleFormula();
+});
+
+$('#formulaBuiltIn').addEventListener('click', () => {
+  clearTimeout(formulaTimer);
+  formulaActive = false;
+  host.animation?.setFormula?.(null);
+  showFormula('built-in');
+});
+
+$('#formulaResetCode').addEventListener('click', () => {
+  formulaCode.value = DEFAULT_FORMULA;
+  scheduleFormula();
+});
+
+function formulaModule() {
+  try {
+    compileFormula(formulaCode.value);
+  } catch (err) {
+    showFormula('error', err.message);
+    return null;
+  }
+  return formulaModuleSource(formulaCode.value);
+}
+
+$('#formulaDownload').addEventListener('click', () => {
+  const source = formulaModule();
+  if (source) downloadBlob(new Blob([source], { type: 'text/javascript' }), 'customFormula.js');
+});
+
+$('#formulaAdd').addEventListener('click', () => {
+  const source = formulaModule();
+  if (source) addAnimation({ file: new File([source], 'customFormula.js', { type: 'text/javascript' }) });
+});
+
+// ===== Audio: sound drives speed, the zoom pulse and params (audio.js) =====
+// Modulated values go straight to the animation, so state, the stored
+// params and the sliders keep the values they are modulated around.
+const audio = createAudioInput();
+const modulator = createModulator();
+const audioMeterEls = {};
+let audioRaf = null;
+let audioLast = 0;
+
+for (const band of AUDIO_BANDS) {
+  const label = document.createElement('span');
+  label.textContent = band;
+  const meter = document.createElement('meter');
+  meter.min = 0;
+  meter.max = 1;
+  meter.value = 0;
+  audioMeters.append(label, meter);
+  audioMeterEls[band] = meter;
+}
+
+// What a mapping can drive: the global controls plus the current
+// animation's range params, each with the value it is modulated around
+function audioTargets() {
+  const targets = {
+    speed: { label: 'Speed', min: parseFloat(speedRange.min), max: parseFloat(speedRange.max), base: state.speed },
+    zoom: { label: 'Zoom', min: parseFloat(zoomRange.min), max: parseFloat(zoomRange.max), base: state.zoom },
+    zoomPulse: { label: 'Zoom pulse', ...ZOOM_PULSE_RANGE, base: 0 }
+  };
+  for (const p of host.schema) {
+    if (p.type !== 'range') continue;
+    targets[p.name] = { label: p.label || p.name, min: p.min, max: p.max, base: host.params[p.name] ?? p.default };
+  }
+  return targets;
+}
+
+// Back to the unmodulated values
+function restoreAudioTargets() {
+  host.modulate({
+    speed: state.speed, zoom: state.zoom, zoomAuto: state.zoomAuto, zoomPulse: null, ...host.params
+  });
+}
+
+function showAudioError(message) {
+  audioError.textContent = message || '';
+  audioError.hidden = !message;
+}
+
+function audioFrame(now) {
+  const dt = Math.min(0.1, Math.max(0.001, (now - audioLast) / 1000));
+  audioLast = now;
+  const levels = audio.read(dt);
+  if (audioPop.open) {
+    for (const band of AUDIO_BANDS) audioMeterEls[band].value = levels[band];
+  }
+  const values = modulator.update(state.audio, levels, dt, audioTargets());
+  if (values.zoomPulse !== undefined) values.zoomAuto = true;
+  if (Object.keys(values).length) host.modulate(values);
+  audioRaf = requestAnimationFrame(audioFrame);
+}
+
+function showAudio(label) {
+  audioStatus.textContent = label;
+  btnAudioStop.disabled = !audio.source;
+}
+
+async function startAudio(start, label) {
+  showAudioError('');
+  try {
+    await start();
+  } catch (err) {
+    showAudioError(err.message);
+    showAudio(audio.source ? audioStatus.textContent : 'off');
+    return;
+  }
+  modulator.reset();
+  showAudio(label);
+  if (audioRaf == null) {
+    audioLast = performance.now();
+    audioRaf = requestAnimationFrame(audioFrame);
+  }
+}
+
+function stopAudio() {
+  audio.stop();
+  if (audioRaf != null) cancelAnimationFrame(audioRaf);
+  audioRaf = null;
+  for (const band of AUDIO_BANDS) audioMeterEls[band].value = 0;
+  restoreAudioTargets();
+  showAudio('off');
+}
+
+function audioSelect(options, value, label) {
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', label);
+  for (const [v, text] of options) {
+    const opt = document.createElement('option');
+    opt.value = v;
+    opt.textContent = text;
+    select.appendChild(opt);
+  }
+  select.value = value;
+  return select;
+}
+
+function audioSlider(text, min, max, step, value, onInput) {
+  const label = document.createElement('label');
+  const input = document.createElement('input');
+  Object.assign(input, { type: 'range', min, max, step, value });
+  const out = document.createElement('span');
+  out.className = 'kbd';
+  out.textContent = (+value).toFixed(2);
+  input.addEventListener('input', () => {
+    out.textContent = parseFloat(input.value).toFixed(2);
+    onInput(parseFloat(input.value));
+  });
+  label.append(text, input, out);
+  return label;
+}
+
+function saveAudioMappings({ restore = false } = {}) {
+  persist();
+  if (restore) restoreAudioTargets();
+}
+
+// One row per mapping; targets follow the current animation
+function renderAudioMappings() {
+  audioMappingsEl.innerHTML = '';
+  const targets = audioTargets();
+  state.audio.forEach((m, i) => {
+    const row = document.createElement('div');
+    row.className = 'mapping';
+
+    const band = audioSelect(AUDIO_BANDS.map((b) => [b, b]), m.band, 'Band');
+    band.addEventListener('change', () => {
+      m.band = band.value;
+      saveAudioMappings();
+    });
+
+    const options = Object.entries(targets).map(([name, t]) => [name, t.label]);
+    if (!targets[m.target]) options.push([m.target, m.target + ' (not in this animation)']);
+    const target = audioSelect(options, m.target, 'Target');
+    target.addEventListener('change', () => {
+      m.target = target.value;
+      saveAudioMappings({ restore: true });
+    });
+
+    const remove = document.createElement('button');
+    remove.textContent = '✕';
+    remove.title = 'Remove this mapping';
+    remove.addEventListener('click', () => {
+      state.audio.splice(i, 1);
+      modulator.reset();
+      saveAudioMappings({ restore: true });
+      renderAudioMappings();
+    });
+
+    const gain = audioSlider('Gain', -2, 2, 0.05, m.gain, (v) => {
+      m.gain = v;
+      saveAudioMappings();
+    });
+    const smoothing = audioSlider('Smoothing', 0, 0.99, 0.01, m.smoothing, (v) => {
+      m.smoothing = v;
+      saveAudioMappings();
+    });
+
+    row.append(band, target, remove, gain, smoothing);
+    audioMappingsEl.appendChild(row);
+  });
+}
+
+$('#audioMic').addEventListener('click', () => startAudio(() => audio.useMicrophone(), 'microphone'));
+$('#audioFileBtn').addEventListener('click', () => audioFile.click());
+audioFile.addEventListener('change', () => {
+  const file = audioFile.files[0];
+  audioFile.value = '';
+  if (file) startAudio(() => audio.useFile(file), file.name);
+});
+btnAudioStop.addEventListener('click', stopAudio);
+
+$('#audioOpen').addEventListener('click', () => {
+  renderAudioMappings();
+  if (!audioPop.open) audioPop.show();
+});
+
+$('#audioAddMapping').addEventListener('click', () => {
+  state.audio.push({ ...MAPPING_DEFAULTS });
+  modulator.reset();
+  saveAudioMappings();
+  renderAudioMappings();
+});
+
+// ===== Effects: post-processing over the animation (post.js, host.js) =====
+let teardownPost = null;
+
+// The pass draws over the base animation only: in a worker the main
+// thread can't read its canvas, and visible layers are blended on top of
+// it by the page. Either way the effects are off and their controls
+// disabled until that changes.
+function postBlockedBy() {
+  if (host.thread === 'worker') return 'not in a worker';
+  if (layerStack.layers.some((layer) => layer.config.visible)) return 'not with layers';
+  return null;
+}
+
+// Which renderer the pass runs on, or why it doesn't
+function showPost() {
+  const blocked = postBlockedBy();
+  for (const el of postRow.querySelectorAll('input, select, button')) el.disabled = !!blocked;
+  if (blocked) postStatus.textContent = blocked;
+  else if (!hasEffects(state.post)) postStatus.textContent = 'off';
+  else postStatus.textContent = host.postRenderer || 'on';
+}
+
+function syncPost() {
+  host.setPost(postBlockedBy() ? POST_DEFAULTS : state.post);
+  showPost();
+}
+
+function onPostChange(name, value) {
+  state.post[name] = value;
+  syncPost();
+  persist();
+}
+
+function buildPostControls() {
+  teardownPost?.();
+  teardownPost = buildParamControls(postParamsEl, POST_PARAMS, state.post, onPostChange);
+}
+
+function applyPost(config) {
+  state.post = normalizePost(config);
+  buildPostControls();
+  syncPost();
+  persist();
+}
+
+buildPostControls();
+showPost();
+
+$('#postOff').addEventListener('click', () => applyPost(POST_DEFAULTS));
+
 // ===== Controls wiring =====
 function updateZoomUI() {
   zoomVal.textContent = state.zoom.toFixed(2) + '×';
   zoomStatEl.textContent = 'zoom: ' + state.zoom.toFixed(2) + '×';
 }
 
+// Speed is signed: below 0 the animation plays backwards (RW)
+function showSpeed(s) {
+  const label = s.toFixed(2) + (s < 0 ? ' RW' : '');
+  spdEl.textContent = 'speed: ' + label;
+  speedVal.textContent = label;
+  if (parseFloat(speedRange.value) !== s) {
+    speedRange.value = s.toFixed(2);
+  }
+}
+
+function setSpeed(s) {
+  state.speed = Math.max(-5, Math.min(5, s));
+  showSpeed(state.speed);
+  setGlobals({ speed: state.speed });
+  persist();
+}
+
 // Speed slider
 speedRange.addEventListener('input', () => {
-  state.speed = parseFloat(speedRange.value);
-  spdEl.textContent = 'speed: ' + state.speed.toFixed(2);
-  speedVal.textContent = state.speed.toFixed(2);
-  currentAnimation?.setParams?.({ speed: state.speed });
+  setSpeed(parseFloat(speedRange.value));
+});
+
+btnNormalSpeed.addEventListener('click', () => setSpeed(NORMAL_SPEED));
+
+// ===== Transport: scrub bar over virtual time + frame steps =====
+// Animations report their virtual time (seconds of playback at speed 1,
+// see random.js / templateField.js) with every frame. The scrub bar spans
+// the time seen so far, growing in TIMELINE_SPAN steps either way.
+const TIMELINE_SPAN = 30;
+let timelineMin = 0;
+let timelineMax = TIMELINE_SPAN;
+let currentTime = 0; // the last time shown
+let scrubbing = false;
+let scrubResume = false;
+let scrubFrame = null;
+
+function showTime(time) {
+  currentTime = time;
+  if (time < timelineMin) timelineMin = Math.floor(time / TIMELINE_SPAN) * TIMELINE_SPAN;
+  if (time > timelineMax) timelineMax = Math.ceil(time / TIMELINE_SPAN) * TIMELINE_SPAN;
+  scrubRange.min = String(timelineMin);
+  scrubRange.max = String(timelineMax);
+  if (!scrubbing) scrubRange.value = String(time);
+  timeVal.textContent = time.toFixed(2) + ' s';
+}
+
+function resetTimeline() {
+  timelineMin = 0;
+  timelineMax = TIMELINE_SPAN;
+  showTime(0);
+}
+
+// Scrubbing pauses playback and renders the chosen time (at most once per
+// frame); letting go resumes if the animation was running.
+scrubRange.addEventListener('input', () => {
+  if (!scrubbing) {
+    scrubbing = true;
+    scrubResume = state.running;
+    host.pause();
+    layerStack.pause();
+  }
+  if (scrubFrame == null) {
+    scrubFrame = requestAnimationFrame(() => {
+      scrubFrame = null;
+      host.renderAt(parseFloat(scrubRange.value));
+      layerStack.renderAt(parseFloat(scrubRange.value));
+    });
+  }
 });
 
-// Density slider
-densRange.addEventListener('input', () => {
-  state.density = parseFloat(densRange.value);
-  densVal.textContent = state.density.toFixed(3);
-  currentAnimation?.setParams?.({ density: state.density });
+scrubRange.addEventListener('change', () => {
+  if (scrubFrame != null) {
+    cancelAnimationFrame(scrubFrame);
+    scrubFrame = null;
+  }
+  host.renderAt(parseFloat(scrubRange.value));
+  layerStack.renderAt(parseFloat(scrubRange.value));
+  scrubbing = false;
+  if (scrubResume) {
+    host.play();
+    layerStack.play();
+  }
 });
 
+// Frame steps pause, like a video player. One frame is 1/60 s of playback
+// at the current speed; "Frame ▶" moves time forward even while playing
+// in reverse.
+function setRunning(running) {
+  state.running = running;
+  btnToggle.textContent = state.running ? 'Pause' : 'Resume';
+  if (state.running) {
+    host.play();
+    layerStack.play();
+  } else {
+    host.pause();
+    layerStack.pause();
+  }
+  persist();
+}
+
+function stepFrame(direction) {
+  if (state.running) setRunning(false);
+  const sign = host.reversible && state.speed < 0 ? -1 : 1;
+  host.step((sign * direction) / 60);
+  layerStack.step((sign * direction) / 60);
+}
+
+btnFrameBack.addEventListener('click', () => stepFrame(-1));
+btnFrameFwd.addEventListener('click', () => stepFrame(1));
+
 // Zoom slider
 zoomRange.addEventListener('input', () => {
   state.zoom = parseFloat(zoomRange.value);
   updateZoomUI();
-  currentAnimation?.setParams?.({ zoom: state.zoom });
+  setGlobals({ zoom: state.zoom });
+  persist();
 });
 
 // Auto zoom
 zoomAutoCb.addEventListener('change', () => {
   state.zoomAuto = zoomAutoCb.checked;
-  currentAnimation?.setParams?.({ zoomAuto: state.zoomAuto });
+  setGlobals({ zoomAuto: state.zoomAuto });
+  persist();
+});
+
+// Pointer effect: hover attracts / repels, clicks always push
+pointerSelect.addEventListener('change', () => {
+  state.pointer = pointerSelect.value;
+  pointer.setMode(state.pointer);
+  persist();
+});
+
+// Target fps for the quality governor; 0 keeps full quality
+fpsTargetSelect.addEventListener('change', () => {
+  state.fpsTarget = parseInt(fpsTargetSelect.value, 10);
+  setSaving(saving);
+  persist();
+});
+
+// Motion: the host pauses hidden tabs and applies slow / still (host.js)
+function showMotion({ mode, motion, visible }) {
+  motionStatus.textContent = (visible ? motion : 'paused') + (mode === 'auto' && motion !== 'full' ? ' (system)' : '');
+}
+
+motionSelect.addEventListener('change', () => {
+  state.motion = motionSelect.value;
+  host.motion.setMode(state.motion);
+  layerStack.setMotion(state.motion);
+  persist();
+});
+
+host.motion.observe((motion) => {
+  showMotion(motion);
+  // Frames that were paused or slowed say nothing about load
+  governor.rest();
+});
+showMotion(host.motion.state);
+
+// GPU rendering: takes effect by reloading the current animation
+gpuCb.addEventListener('change', () => {
+  state.gpu = gpuCb.checked;
+  persist();
+  if (state.anim) loadAnimation(state.anim);
+  reloadLayers();
+});
+
+// Worker rendering: also a reload, onto a fresh canvas (see host.js)
+workerCb.addEventListener('change', () => {
+  state.worker = workerCb.checked;
+  persist();
+  if (state.anim) loadAnimation(state.anim);
+});
+
+// Seed: the field the current animation was built from. Typing one (or
+// "New") pins it, so reloads and shared links rebuild the same field;
+// clearing the box goes back to a random seed per load.
+function syncSeed() {
+  seedInput.value = host.seed ?? '';
+  seedMode.textContent = state.seed == null ? 'random' : 'pinned';
+}
+
+function applySeed(seed) {
+  state.seed = seed;
+  persist();
+  if (state.anim) loadAnimation(state.anim);
+  reloadLayers();
+}
+
+seedInput.addEventListener('change', () => {
+  applySeed(seedInput.value.trim() || null);
+});
+
+btnSeedNew.addEventListener('click', () => {
+  applySeed(String(randomSeed()));
+});
+
+btnSeedCopy.addEventListener('click', async () => {
+  try {
+    await navigator.clipboard.writeText(String(host.seed ?? seedInput.value));
+  } catch (e) {
+    seedInput.select();
+    document.execCommand?.('copy');
+  }
+  btnSeedCopy.textContent = 'Copied';
+  setTimeout(() => { btnSeedCopy.textContent = 'Copy'; }, 1200);
 });
 
 // Pause / resume
 btnToggle.addEventListener('click', () => {
-  state.running = !state.running;
-  btnToggle.textContent = state.running ? 'Pause' : 'Resume';
-  if (state.running) currentAnimation?.play?.();
-  else currentAnimation?.pause?.();
+  setRunning(!state.running);
 });
 
 // Reset
-btnReset.addEventListener('click', () => {
-  currentAnimation?.reset?.();
-});
+function resetAnimation() {
+  host.reset();
+  layerStack.reset();
+  resetTimeline();
+}
+btnReset.addEventListener('click', resetAnimation);
 
-// Wheel interactions for speed / zoom
-canvas.addEventListener(
-  'wheel',
-  (ev) => {
-    if (ev.shiftKey) {
-      ev.preventDefault();
-      state.zoom *= Math.pow(1.1, -ev.deltaY / 100);
-      state.zoom = Math.min(4, Math.max(0.5, state.zoom));
-      zoomRange.value = state.zoom.toFixed(2);
-      updateZoomUI();
-      currentAnimation?.setParams?.({ zoom: state.zoom });
-      return;
-    }
+function setZoom(z) {
+  state.zoom = Math.min(4, Math.max(0.5, z));
+  zoomRange.value = state.zoom.toFixed(2);
+  updateZoomUI();
+  setGlobals({ zoom: state.zoom });
+  persist();
+}
 
+// Wheel interactions for speed / zoom
+function onWheel(ev) {
+  if (ev.shiftKey) {
     ev.preventDefault();
-    state.speed *= Math.pow(1.1, -ev.deltaY / 100);
-    state.speed = Math.max(0.05, Math.min(5, state.speed));
-    speedRange.value = state.speed.toFixed(2);
-    spdEl.textContent = 'speed: ' + state.speed.toFixed(2);
-    speedVal.textContent = state.speed.toFixed(2);
-    currentAnimation?.setParams?.({ speed: state.speed });
-  },
-  { passive: false }
-);
-
-// Keyboard zoom
-window.addEventListener('keydown', (e) => {
-  if (e.key === '+' || e.key === '=') {
-    state.zoom = Math.min(4, state.zoom * 1.1);
-  } else if (e.key === '-' || e.key === '_') {
-    state.zoom = Math.max(0.5, state.zoom / 1.1);
-  } else {
+    setZoom(state.zoom * Math.pow(1.1, -ev.deltaY / 100));
     return;
   }
-  zoomRange.value = state.zoom.toFixed(2);
-  updateZoomUI();
-  currentAnimation?.setParams?.({ zoom: state.zoom });
+
+  // Scales the magnitude and keeps the direction
+  ev.preventDefault();
+  const sign = state.speed < 0 ? -1 : 1;
+  const magnitude = Math.abs(state.speed) * Math.pow(1.1, -ev.deltaY / 100);
+  setSpeed(sign * Math.max(0.05, Math.min(5, magnitude)));
+}
+canvas.addEventListener('wheel', onWheel, { passive: false });
+
+// ===== Keyboard shortcuts (keymap.js) =====
+// One table of actions with remappable keys; the shortcuts dialog is built
+// from it. Nothing fires while a form field has focus, so sliders and text
+// boxes keep their keys.
+const keymap = createKeymap();
+
+// Steps the current animation through the animation picker's order
+function cycleAnimation(direction) {
+  const ids = [...animSelect.options].map((o) => o.value);
+  if (!ids.length) return;
+  const at = ids.indexOf(state.anim);
+  loadAnimation(ids[(at + direction + ids.length) % ids.length]);
+}
+
+// Scales the current animation's `density` param, if it has one
+function nudgeDensity(factor) {
+  const input = paramsEl.querySelector('[data-param="density"]');
+  if (!input || input.type !== 'range') return;
+  const v = Math.min(parseFloat(input.max), Math.max(parseFloat(input.min), parseFloat(input.value) * factor));
+  input.value = String(v);
+  input.dispatchEvent(new Event('input'));
+}
+
+function toggleFullscreen() {
+  if (document.fullscreenElement) document.exitFullscreen?.();
+  else document.documentElement.requestFullscreen?.().catch((err) => console.warn('Fullscreen refused', err));
+}
+
+function toggleUi() {
+  const hide = !document.body.classList.contains('ui-hidden');
+  if (hide) {
+    setDrawer(false, controlsModal, tabControls);
+    setDrawer(false, infoDrawer, tabInfo);
+  }
+  document.body.classList.toggle('ui-hidden', hide);
+}
+
+const keyActions = {
+  togglePlay: () => setRunning(!state.running),
+  faster: () => setSpeed(state.speed + 0.05),
+  slower: () => setSpeed(state.speed - 0.05),
+  stopTime: () => setSpeed(0),
+  normalSpeed: () => setSpeed(NORMAL_SPEED),
+  stepBack: () => stepFrame(-1),
+  stepForward: () => stepFrame(1),
+  reset: () => resetAnimation(),
+  nextAnimation: () => cycleAnimation(1),
+  prevAnimation: () => cycleAnimation(-1),
+  densityUp: () => nudgeDensity(1.2),
+  densityDown: () => nudgeDensity(1 / 1.2),
+  zoomIn: () => setZoom(state.zoom * 1.1),
+  zoomOut: () => setZoom(state.zoom / 1.1),
+  fullscreen: toggleFullscreen,
+  hideUi: toggleUi,
+  shortcuts: () => openPop('shortcutsPop')
+};
+
+// Safe during an export; everything else would fight the recorder
+const EXPORT_SAFE_ACTIONS = ['fullscreen', 'hideUi', 'shortcuts'];
+
+window.addEventListener('keydown', (e) => {
+  if (e.defaultPrevented || isEditing(e)) return;
+  const action = keymap.actionFor(e);
+  if (!action || (exporting && !EXPORT_SAFE_ACTIONS.includes(action))) return;
+  e.preventDefault();
+  keyActions[action]();
 });
 
-// Initial zoom UI
-updateZoomUI();
+buildShortcutList($('#shortcutList'), keymap);
+$('#shortcutsReset').addEventListener('click', () => keymap.reset());
+
+// Export: PNG snapshot, or a fixed-step WebM / GIF recording (export.js)
+let exporting = false;
+
+function clampInput(input, fallback) {
+  const v = parseFloat(input.value);
+  if (!Number.isFinite(v)) return fallback;
+  return Math.min(parseFloat(input.max), Math.max(parseFloat(input.min), v));
+}
+
+// Anything that pauses, resumes or seeks would fight the recorder
+function transportLocks() {
+  return [...Object.values(exportButtons), btnToggle, scrubRange, btnFrameBack, btnFrameFwd];
+}
+
+async function runExport(kind) {
+  if (exporting) return;
+  exporting = true;
+  for (const el of transportLocks()) el.disabled = true;
+  applyQuality();
+
+  exportStatus.title = '';
+  const onProgress = (p) => {
+    exportStatus.textContent = Math.round(p * 100) + '%';
+  };
+  try {
+    // With layers showing, the recording is the flattened stack
+    const source = layerStack.layers.some((layer) => layer.config.visible) ? layerStack.flattened() : host;
+    let blob;
+    if (kind === 'png') {
+      blob = await snapshotPng(source, { width: parseInt(exportSize.value, 10) || undefined, time: currentTime });
+    } else {
+      const opts = {
+        seconds: clampInput(exportSeconds, 5),
+        fps: clampInput(exportFps, 30),
+        onProgress
+      };
+      blob = kind === 'webm' ? await recordWebm(source, opts) : await recordGif(source, opts);
+    }
+    downloadBlob(blob, `livebg-${state.anim}-${Date.now()}.${kind}`);
+    exportStatus.textContent = 'saved';
+  } catch (err) {
+    console.error('Export failed', err);
+    exportStatus.textContent = 'failed';
+    exportStatus.title = err.message;
+  } finally {
+    // Recordings leave the animation paused
+    if (kind !== 'png' && state.running) {
+      host.play();
+      layerStack.play();
+    }
+    for (const el of transportLocks()) el.disabled = false;
+    exporting = false;
+    applyQuality();
+    governor.rest();
+  }
+}
+
+for (const [kind, btn] of Object.entries(exportButtons)) {
+  btn.addEventListener('click', () => runExport(kind));
+}
+
+// Reflect restored settings in the controls
+function syncControls() {
+  showSpeed(state.speed);
+  zoomRange.value = state.zoom.toFixed(2);
+  zoomAutoCb.checked = state.zoomAuto;
+  pointerSelect.value = pointer.mode;
+  fpsTargetSelect.value = String(state.fpsTarget);
+  motionSelect.value = state.motion;
+  gpuCb.checked = state.gpu;
+  workerCb.checked = state.worker;
+  btnToggle.textContent = state.running ? 'Pause' : 'Resume';
+  updateZoomUI();
+}
+syncControls();
+watchBattery();
 
 // ===== Draggable controls modal =====
 const dragHandle = document.getElementById('dragHandle');
@@ -353,17 +1679,33 @@ document.querySelectorAll('[data-close]').forEach((btn) => {
 });
 
 // Themes
-const themeAccents = {
-  classic: 'rgba(255,255,255,0.12)',
-  neon: 'rgba(0,255,200,0.24)',
-  embers: 'rgba(255,120,0,0.24)'
-};
-document.querySelectorAll('[data-theme]').forEach((btn) => {
-  btn.addEventListener('click', () => {
-    const key = btn.getAttribute('data-theme');
-    const accent = themeAccents[key] || themeAccents.classic;
-    document.querySelectorAll('.pill, .link-card, .drawer-tab').forEach((el) => {
-      el.style.background = accent;
-    });
+// The Themes dialog is built from PALETTES, so a new palette only needs
+// an entry in palettes.js. "Original" hands control back to each module.
+const themeList = $('#themeList');
+
+function applyTheme(key, { save = true } = {}) {
+  state.theme = key && PALETTES[key] ? key : null;
+  const accent = (state.theme ? PALETTES[state.theme] : PALETTES.classic).accent;
+  document.querySelectorAll('.pill, .link-card, .drawer-tab').forEach((el) => {
+    el.style.background = state.theme ? accent : '';
   });
-});
+  themeList.querySelectorAll('[data-theme]').forEach((btn) => {
+    btn.setAttribute('aria-pressed', btn.getAttribute('data-theme') === (state.theme || '') ? 'true' : 'false');
+  });
+  setGlobals({ palette: currentPalette() });
+  if (save) persist();
+}
+
+function populateThemeList() {
+  themeList.innerHTML = '';
+  const entries = [['', 'Original'], ...Object.values(PALETTES).map((p) => [p.id, p.label])];
+  for (const [key, label] of entries) {
+    const btn = document.createElement('button');
+    btn.setAttribute('data-theme', key);
+    btn.textContent = label;
+    btn.addEventListener('click', () => applyTheme(key));
+    themeList.appendChild(btn);
+  }
+}
+populateThemeList();
+applyTheme(state.theme, { save: false });
@@ -0,0 +1,111 @@
+// motion.js
+//
+// One motion policy for everything that animates: LiveBG hosts (host.js,
+// so the page and every <live-bg> embed) and the standalone pages. It
+// combines
+//
+//   - the Motion setting: 'auto' (follow the system), 'full', 'slow', 'still'
+//   - prefers-reduced-motion, which 'auto' reads as 'slow'
+//   - document.hidden, and whether the watched element is on screen
+//
+// into one state:
+//
+//   { mode, reduced, visible, motion, running, speedScale }
+//
+// `motion` is what applies ('full' | 'slow' | 'still'). `running` is false
+// while the page is hidden, the element is scrolled away or motion is
+// 'still'; whoever drives the frames stops them then. `speedScale`
+// multiplies playback speed, and anything but 'full' also drops the
+// auto-zoom pulse.
+//
+//   const policy = createMotionPolicy({ mode: 'auto' });
+//   policy.watch(canvas);
+//   const stop = policy.observe((state) => { ... });
+//   policy.setMode('still');
+
+export const MOTION_MODES = ['auto', 'full', 'slow', 'still'];
+
+export const SLOW_SPEED = 0.2; // speedScale in 'slow'
+
+export function normalizeMotionMode(mode) {
+  return MOTION_MODES.includes(mode) ? mode : 'auto';
+}
+
+export function createMotionPolicy({ mode = 'auto' } = {}) {
+  mode = normalizeMotionMode(mode);
+  const listeners = new Set();
+  const query = globalThis.matchMedia?.('(prefers-reduced-motion: reduce)') ?? null;
+  const doc = globalThis.document ?? null;
+  let onScreen = true;
+  let observer = null;
+
+  function compute() {
+    const reduced = !!query?.matches;
+    const visible = !doc?.hidden && onScreen;
+    const motion = mode === 'auto' ? (reduced ? 'slow' : 'full') : mode;
+    return {
+      mode,
+      reduced,
+      visible,
+      motion,
+      running: visible && motion !== 'still',
+      speedScale: motion === 'slow' ? SLOW_SPEED : 1
+    };
+  }
+
+  let state = compute();
+
+  function update() {
+    const next = compute();
+    if (Object.keys(next).every((key) => next[key] === state[key])) return;
+    state = next;
+    for (const fn of listeners) fn(state);
+  }
+
+  query?.addEventListener?.('change', update);
+  doc?.addEventListener('visibilitychange', update);
+
+  // Pauses while `el` is entirely off screen (an embed scrolled away).
+  // One element at a time; null stops watching.
+  function watch(el) {
+    observer?.disconnect();
+    observer = null;
+    onScreen = true;
+    if (el && typeof IntersectionObserver === 'function') {
+      observer = new IntersectionObserver((entries) => {
+        onScreen = entries[entries.length - 1].isIntersecting;
+        update();
+      });
+      observer.observe(el);
+    }
+    update();
+  }
+
+  function setMode(next) {
+    mode = normalizeMotionMode(next);
+    update();
+  }
+
+  // Subscribes fn(state) to every change; returns the unsubscribe function.
+  function observe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  function destroy() {
+    observer?.disconnect();
+    observer = null;
+    query?.removeEventListener?.('change', update);
+    doc?.removeEventListener('visibilitychange', update);
+    listeners.clear();
+  }
+
+  return {
+    watch,
+    setMode,
+    observe,
+    destroy,
+    get mode() { return mode; },
+    get state() { return state; }
+  };
+}
@@ -0,0 +1,137 @@
+// palettes.js
+//
+// Shared color model for LiveBG animations.
+//
+// A palette is a plain object:
+//
+//   {
+//     id, label,        // used by the Themes dialog
+//     background,       // CSS color painted behind everything
+//     foreground,       // CSS color for points / strokes
+//     stops: [...],     // gradient stops (low -> high intensity)
+//     alpha,            // opacity multiplier applied on top of the module's own alpha
+//     accent            // UI accent for pills / cards / drawer tabs
+//   }
+//
+// Animations receive a palette through initialState.palette or
+// setParams({ palette }). A palette may be passed as an object or as an id
+// from PALETTES. null / undefined means "use the module's own look".
+//
+// To add a theme, add an entry to PALETTES; the Themes dialog is built from it.
+
+export const PALETTES = {
+  classic: {
+    id: 'classic',
+    label: 'Classic White',
+    background: '#0a0a0a',
+    foreground: '#ffffff',
+    stops: ['#1a1a1a', '#8c8c8c', '#ffffff'],
+    alpha: 1,
+    accent: 'rgba(255,255,255,0.12)'
+  },
+  neon: {
+    id: 'neon',
+    label: 'Neon Mist',
+    background: '#03020c',
+    foreground: '#6ffff0',
+    stops: ['#1b0f5c', '#7a2cff', '#00ffc8', '#e8fffb'],
+    alpha: 1,
+    accent: 'rgba(0,255,200,0.24)'
+  },
+  embers: {
+    id: 'embers',
+    label: 'Embers',
+    background: '#0a0402',
+    foreground: '#ffb36b',
+    stops: ['#2a0800', '#c83a00', '#ff8a00', '#ffe6a0'],
+    alpha: 1,
+    accent: 'rgba(255,120,0,0.24)'
+  }
+};
+
+// ===== Color parsing =====
+
+// Parses #rgb, #rrggbb, #rrggbbaa, rgb() and rgba() into { r, g, b, a }.
+// Unknown formats fall back to opaque white so a typo never kills a frame.
+export function parseColor(input) {
+  if (input && typeof input === 'object') {
+    return { r: input.r | 0, g: input.g | 0, b: input.b | 0, a: input.a ?? 1 };
+  }
+
+  const s = String(input || '').trim();
+
+  if (s[0] === '#') {
+    let hex = s.slice(1);
+    if (hex.length === 3 || hex.length === 4) {
+      hex = hex.split('').map((c) => c + c).join('');
+    }
+    const n = parseInt(hex.slice(0, 6), 16);
+    if (!Number.isNaN(n)) {
+      const a = hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1;
+      return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255, a };
+    }
+  }
+
+  const m = s.match(/^rgba?\(([^)]+)\)$/i);
+  if (m) {
+    const parts = m[1].split(',').map((p) => parseFloat(p));
+    return {
+      r: parts[0] | 0,
+      g: parts[1] | 0,
+      b: parts[2] | 0,
+      a: parts.length > 3 ? parts[3] : 1
+    };
+  }
+
+  return { r: 255, g: 255, b: 255, a: 1 };
+}
+
+// CSS rgba() string for a color with an explicit alpha.
+export function rgba(color, alpha = 1) {
+  const c = parseColor(color);
+  const a = Math.max(0, Math.min(1, alpha));
+  return `rgba(${c.r},${c.g},${c.b},${+a.toFixed(3)})`;
+}
+
+// ===== Palette helpers =====
+
+// Returns a complete palette: the requested one (id or object) layered over
+// the module's fallback, layered over Classic so every field exists.
+export function resolvePalette(input, fallback) {
+  const chosen = typeof input === 'string' ? PALETTES[input] : input;
+  const merged = { ...PALETTES.classic, ...(fallback || {}), ...(chosen || {}) };
+  if (!Array.isArray(merged.stops) || merged.stops.length === 0) {
+    merged.stops = [merged.background, merged.foreground];
+  }
+  merged.alpha = typeof merged.alpha === 'number' ? merged.alpha : 1;
+  return merged;
+}
+
+// Interpolates the palette's gradient stops at t in 0..1 -> { r, g, b }.
+export function sampleStops(palette, t) {
+  const stops = palette.stops.map(parseColor);
+  if (stops.length === 1) return stops[0];
+
+  const x = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(x));
+  const f = x - i;
+  const a = stops[i];
+  const b = stops[i + 1];
+  return {
+    r: a.r + (b.r - a.r) * f,
+    g: a.g + (b.g - a.g) * f,
+    b: a.b + (b.b - a.b) * f
+  };
+}
+
+// Precomputes `size` CSS color strings along the gradient, so per-cell
+// drawing can index into a table instead of building strings every frame.
+// alphaAt(t) gives the module's own opacity curve; palette.alpha scales it.
+export function buildRamp(palette, size, alphaAt = () => 1) {
+  const ramp = new Array(size);
+  for (let i = 0; i < size; i++) {
+    const t = size > 1 ? i / (size - 1) : 1;
+    ramp[i] = rgba(sampleStops(palette, t), alphaAt(t) * palette.alpha);
+  }
+  return ramp;
+}
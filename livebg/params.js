@@ -0,0 +1,201 @@
+// params.js
+//
+// Per-animation parameter schemas.
+//
+// An animation module may export a schema next to createAnimation():
+//
+//   export const params = [
+//     { name: 'density', type: 'range', min: 0.001, max: 0.06, step: 0.001,
+//       default: 0.005, label: 'Density' },
+//     { name: 'trails', type: 'checkbox', default: true, label: 'Trails' },
+//     { name: 'tint', type: 'color', default: '#ffffff', label: 'Tint' },
+//     { name: 'arms', type: 'select', default: 4, label: 'Arms',
+//       options: [{ value: 3, label: '3' }, { value: 4, label: '4' }] },
+//     { name: 'caption', type: 'text', default: 'LIVE', maxLength: 24, label: 'Caption' },
+//     { name: 'mask', type: 'image', default: '', maxSize: 256, label: 'Mask' }
+//   ];
+//
+// An image value is a URL ('' for none); the control picks a local file and
+// stores it as a PNG data: URL no larger than maxSize px on a side.
+//
+// main.js builds one control per entry when the animation loads, passes the
+// values in initialState and calls setParams({ [name]: value }) on change.
+
+export function schemaDefaults(schema = []) {
+  const out = {};
+  for (const p of schema) out[p.name] = p.default;
+  return out;
+}
+
+// Clamps / validates a raw value against its schema entry.
+// Returns undefined when the value can't be used.
+export function coerceParam(p, raw) {
+  switch (p.type) {
+    case 'range': {
+      const n = typeof raw === 'number' ? raw : parseFloat(raw);
+      if (!Number.isFinite(n)) return undefined;
+      return Math.max(p.min, Math.min(p.max, n));
+    }
+    case 'checkbox':
+      if (typeof raw === 'boolean') return raw;
+      if (raw === '1' || raw === 'true') return true;
+      if (raw === '0' || raw === 'false') return false;
+      return undefined;
+    case 'color':
+      return /^#[0-9a-f]{6}$/i.test(String(raw)) ? String(raw).toLowerCase() : undefined;
+    case 'select': {
+      const opt = (p.options || []).find((o) => String(o.value) === String(raw));
+      return opt ? opt.value : undefined;
+    }
+    case 'text':
+      if (typeof raw !== 'string' && typeof raw !== 'number') return undefined;
+      return String(raw).slice(0, p.maxLength ?? 200);
+    case 'image':
+      return typeof raw === 'string' ? raw.trim() : undefined;
+    default:
+      return undefined;
+  }
+}
+
+// defaults <- each source in order, keeping only valid values.
+export function resolveParams(schema = [], ...sources) {
+  const values = schemaDefaults(schema);
+  for (const src of sources) {
+    if (!src) continue;
+    for (const p of schema) {
+      if (src[p.name] === undefined) continue;
+      const v = coerceParam(p, src[p.name]);
+      if (v !== undefined) values[p.name] = v;
+    }
+  }
+  return values;
+}
+
+function decimalsOf(step) {
+  const s = String(step ?? 1);
+  return s.includes('.') ? s.split('.')[1].length : 0;
+}
+
+function formatValue(p, v) {
+  if (p.type === 'image') return v ? 'set' : 'none';
+  return p.type === 'range' ? Number(v).toFixed(decimalsOf(p.step)) : String(v);
+}
+
+// A picked image file as a PNG data: URL, scaled down to fit maxSize.
+async function imageFileToUrl(file, maxSize = 256) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL('image/png');
+}
+
+// ===== Control builder =====
+
+// Renders controls for `schema` into `container`, using the same .row /
+// label / .kbd markup as the static controls. onChange(name, value) fires
+// on every edit. Returns a teardown function that removes everything.
+export function buildParamControls(container, schema = [], values = {}, onChange) {
+  const rows = [];
+
+  for (const p of schema) {
+    const row = document.createElement('div');
+    row.className = 'row';
+    const label = document.createElement('label');
+    let input;
+
+    if (p.type === 'checkbox') {
+      label.className = 'right';
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = !!values[p.name];
+      label.append(input, ' ' + (p.label || p.name));
+      input.addEventListener('change', () => onChange(p.name, input.checked));
+      row.appendChild(label);
+    } else if (p.type === 'image') {
+      const val = document.createElement('span');
+      val.className = 'kbd';
+      val.textContent = formatValue(p, values[p.name]);
+      label.append((p.label || p.name) + ' ', val);
+
+      input = document.createElement('input');
+      input.type = 'file';
+      input.accept = 'image/*';
+      input.hidden = true;
+      const pick = document.createElement('button');
+      pick.textContent = 'Image…';
+      const clear = document.createElement('button');
+      clear.textContent = 'Clear';
+      const set = (v) => {
+        val.textContent = formatValue(p, v);
+        onChange(p.name, v);
+      };
+      pick.addEventListener('click', () => input.click());
+      clear.addEventListener('click', () => set(''));
+      input.addEventListener('change', async () => {
+        const file = input.files?.[0];
+        input.value = ''; // picking the same file again still fires change
+        if (!file) return;
+        try {
+          set(await imageFileToUrl(file, p.maxSize));
+        } catch (err) {
+          console.warn(`Couldn't read ${file.name}`, err);
+        }
+      });
+      const btns = document.createElement('div');
+      btns.className = 'inline';
+      btns.append(input, pick, clear);
+      row.append(label, btns);
+    } else {
+      const val = document.createElement('span');
+      val.className = 'kbd';
+      val.textContent = formatValue(p, values[p.name]);
+      label.append((p.label || p.name) + ' ', val);
+
+      if (p.type === 'select') {
+        input = document.createElement('select');
+        for (const o of p.options || []) {
+          const opt = document.createElement('option');
+          opt.value = String(o.value);
+          opt.textContent = o.label ?? String(o.value);
+          input.appendChild(opt);
+        }
+        input.value = String(values[p.name]);
+      } else if (p.type === 'text') {
+        input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = p.maxLength ?? 200;
+        input.value = String(values[p.name]);
+      } else {
+        input = document.createElement('input');
+        input.type = p.type === 'color' ? 'color' : 'range';
+        if (p.type === 'range') {
+          input.min = String(p.min);
+          input.max = String(p.max);
+          input.step = String(p.step ?? 'any');
+        }
+        input.value = String(values[p.name]);
+      }
+
+      const evt = p.type === 'select' ? 'change' : 'input';
+      input.addEventListener(evt, () => {
+        const v = coerceParam(p, input.value);
+        if (v === undefined) return;
+        val.textContent = formatValue(p, v);
+        onChange(p.name, v);
+      });
+      row.append(label, input);
+    }
+
+    input.dataset.param = p.name;
+    container.appendChild(row);
+    rows.push(row);
+  }
+
+  return function teardown() {
+    for (const row of rows) row.remove();
+  };
+}
@@ -0,0 +1,159 @@
+// playlist.js
+//
+// Cycles through a chosen set of animations on a timer:
+//
+//   const playlist = createPlaylist({ onAdvance: (id, transition) => load(id, transition) });
+//   playlist.start({ ids: ['cnidarian', 'fiya'], interval: 30, order: 'shuffle' }, currentId);
+//   playlist.next();   // advance now; the timer restarts from here
+//   playlist.stop();
+//
+// A playlist config is plain JSON (see normalizePlaylist), so it can live in
+// the page settings. Named playlists are kept in localStorage on their own
+// (savePlaylist / loadSavedPlaylists).
+
+import { animationDefs } from './registry.js';
+import { TRANSITION_TYPES } from './transition.js';
+
+const STORAGE_KEY = 'livebg:playlists';
+const ORDERS = ['sequence', 'shuffle'];
+
+export const PLAYLIST_DEFAULTS = {
+  ids: [], // animation ids; empty means every animation in the registry
+  interval: 30, // seconds on each animation
+  order: 'sequence', // 'sequence' | 'shuffle'
+  transition: 'crossfade', // see TRANSITION_TYPES
+  duration: 1.5 // transition length in seconds
+};
+
+function clamp(v, lo, hi, fallback) {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? Math.min(hi, Math.max(lo, n)) : fallback;
+}
+
+// Fills in defaults and drops anything unknown, e.g. ids of animations
+// that are no longer in the registry.
+export function normalizePlaylist(config = {}) {
+  const known = new Set(animationDefs.map((d) => d.id));
+  const ids = Array.isArray(config.ids) ? config.ids.filter((id) => known.has(id)) : [];
+  const out = {
+    ids: [...new Set(ids)],
+    interval: clamp(config.interval, 3, 3600, PLAYLIST_DEFAULTS.interval),
+    order: ORDERS.includes(config.order) ? config.order : PLAYLIST_DEFAULTS.order,
+    transition: TRANSITION_TYPES.includes(config.transition)
+      ? config.transition
+      : PLAYLIST_DEFAULTS.transition,
+    duration: clamp(config.duration, 0.1, 10, PLAYLIST_DEFAULTS.duration)
+  };
+  if (typeof config.name === 'string' && config.name.trim()) out.name = config.name.trim();
+  return out;
+}
+
+function playlistIds(config) {
+  return config.ids.length ? config.ids : animationDefs.map((d) => d.id);
+}
+
+function shuffled(ids) {
+  const out = ids.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+export function createPlaylist({ onAdvance }) {
+  let config = null;
+  let current = null;
+  let bag = []; // shuffle: what's left of this round
+  let timer = null;
+
+  function pickNext() {
+    const ids = playlistIds(config);
+    if (config.order === 'shuffle') {
+      if (!bag.length) {
+        bag = shuffled(ids);
+        // Don't play the same one twice in a row across rounds
+        if (bag.length > 1 && bag[bag.length - 1] === current) bag.unshift(bag.pop());
+      }
+      return bag.pop();
+    }
+    const i = ids.indexOf(current);
+    return ids[(i + 1) % ids.length];
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = config ? setTimeout(next, config.interval * 1000) : null;
+  }
+
+  async function next() {
+    if (!config) return;
+    const id = pickNext();
+    schedule();
+    if (id === current && playlistIds(config).length < 2) return;
+    current = id;
+    try {
+      await onAdvance(id, { type: config.transition, duration: config.duration });
+    } catch (err) {
+      console.error('Playlist: failed to advance to ' + id, err);
+    }
+  }
+
+  // `currentId` is what's showing now; it counts as the first entry.
+  function start(nextConfig, currentId = null) {
+    config = normalizePlaylist(nextConfig);
+    current = currentId;
+    bag = [];
+    schedule();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+    config = null;
+  }
+
+  return {
+    start,
+    stop,
+    next,
+    get running() { return config != null; },
+    get config() { return config; }
+  };
+}
+
+// ===== Saved playlists =====
+
+export function loadSavedPlaylists() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(raw) ? raw.map(normalizePlaylist).filter((p) => p.name) : [];
+  } catch (e) {
+    console.warn('Ignoring unreadable saved playlists', e);
+    return [];
+  }
+}
+
+function storePlaylists(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (e) {
+    console.warn('Could not save playlists', e);
+  }
+}
+
+// Saves under config.name, replacing a playlist of the same name.
+export function savePlaylist(config) {
+  const entry = normalizePlaylist(config);
+  if (!entry.name) throw new Error('A saved playlist needs a name');
+  const list = loadSavedPlaylists().filter((p) => p.name !== entry.name);
+  list.push(entry);
+  storePlaylists(list);
+  return list;
+}
+
+export function deleteSavedPlaylist(name) {
+  const list = loadSavedPlaylists().filter((p) => p.name !== name);
+  storePlaylists(list);
+  return list;
+}
@@ -0,0 +1,537 @@
+// post.js
+//
+// Post-processing between an animation's canvas and the page. The
+// animation draws into a canvas out of the document as usual, and the
+// pass draws that onto the visible one with effects on top (host.js
+// wires it up):
+//
+//   const post = createPostPass({ canvas: shown, source: frame, config: { trails: 0.8, grain: 0.3 } });
+//   post.play();                // redraw every frame
+//   post.pause(); post.render(); // or one frame, after step() / renderAt()
+//   post.set({ bloom: 0.5 });
+//   post.destroy();
+//
+// Effects, in order: trails (each frame keeps the brighter of itself and
+// the last output, faded), bloom, chromatic aberration, vignette and film
+// grain. WebGL2 runs them as shader passes. Without it, a cheaper Canvas2D
+// version gets close with composite operations: bloom without a
+// threshold, aberration along x only.
+//
+// The config is plain JSON with a `params`-style schema (POST_PARAMS), so
+// the page builds its controls with buildParamControls() like any
+// animation's.
+
+import { schemaDefaults, resolveParams } from './params.js';
+import { isWebGL2Supported } from './gl.js';
+
+export const POST_PARAMS = [
+  { name: 'trails', type: 'range', min: 0, max: 0.98, step: 0.01, default: 0, label: 'Trails' },
+  { name: 'bloom', type: 'range', min: 0, max: 1, step: 0.01, default: 0, label: 'Bloom' },
+  { name: 'bloomRadius', type: 'range', min: 0, max: 1, step: 0.01, default: 0.5, label: 'Bloom radius' },
+  { name: 'aberration', type: 'range', min: 0, max: 1, step: 0.01, default: 0, label: 'Chromatic aberration' },
+  { name: 'vignette', type: 'range', min: 0, max: 1, step: 0.01, default: 0, label: 'Vignette' },
+  { name: 'grain', type: 'range', min: 0, max: 1, step: 0.01, default: 0, label: 'Film grain' }
+];
+
+export const POST_DEFAULTS = schemaDefaults(POST_PARAMS);
+
+// Keys that switch an effect on; the rest only tune one
+const EFFECT_KEYS = ['trails', 'bloom', 'aberration', 'vignette', 'grain'];
+
+// Largest aberration offset, as a share of the width at the edges
+const ABERRATION_SPREAD = 0.006;
+
+export function normalizePost(config) {
+  return resolveParams(POST_PARAMS, config);
+}
+
+// True when `config` asks for anything at all
+export function hasEffects(config) {
+  return !!config && EFFECT_KEYS.some((key) => config[key] > 0);
+}
+
+// ===== WebGL2 =====
+
+// One triangle covering the viewport, no buffers needed
+const VERTEX = `#version 300 es
+out vec2 v_uv;
+void main() {
+  vec2 p = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+  v_uv = p;
+  gl_Position = vec4(p * 2.0 - 1.0, 0.0, 1.0);
+}
+`;
+
+const TRAILS = `#version 300 es
+precision mediump float;
+uniform sampler2D u_frame;
+uniform sampler2D u_last;
+uniform float u_keep;
+in vec2 v_uv;
+out vec4 outColor;
+void main() {
+  outColor = max(texture(u_frame, v_uv), texture(u_last, v_uv) * u_keep);
+}
+`;
+
+// Gaussian blur along u_dir; with u_threshold >= 0 only what's brighter
+// than it goes in (the first bloom pass)
+const BLUR = `#version 300 es
+precision mediump float;
+uniform sampler2D u_src;
+uniform vec2 u_step;
+uniform float u_threshold;
+in vec2 v_uv;
+out vec4 outColor;
+const float WEIGHTS[5] = float[](0.227027, 0.1945946, 0.1216216, 0.054054, 0.016216);
+vec4 pick(vec2 uv) {
+  vec4 c = texture(u_src, uv);
+  if (u_threshold < 0.0) return c;
+  float luma = dot(c.rgb, vec3(0.2126, 0.7152, 0.0722));
+  return c * smoothstep(u_threshold, u_threshold + 0.25, luma);
+}
+void main() {
+  vec4 sum = pick(v_uv) * WEIGHTS[0];
+  for (int i = 1; i < 5; i++) {
+    vec2 d = u_step * float(i);
+    sum += (pick(v_uv + d) + pick(v_uv - d)) * WEIGHTS[i];
+  }
+  outColor = sum;
+}
+`;
+
+// Everything else in one pass. Colors are premultiplied throughout.
+const COMPOSE = `#version 300 es
+precision mediump float;
+uniform sampler2D u_base;
+uniform sampler2D u_bloom;
+uniform vec2 u_res;
+uniform float u_bloomAmount;
+uniform float u_aberration;
+uniform float u_vignette;
+uniform float u_grain;
+uniform float u_seed;
+in vec2 v_uv;
+out vec4 outColor;
+float hash(vec2 p) {
+  p = fract(p * vec2(123.34, 456.21));
+  p += dot(p, p + 45.32);
+  return fract(p.x * p.y);
+}
+void main() {
+  vec4 c;
+  if (u_aberration > 0.0) {
+    vec2 d = (v_uv - 0.5) * 2.0 * u_aberration;
+    vec4 r = texture(u_base, v_uv + d);
+    vec4 g = texture(u_base, v_uv);
+    vec4 b = texture(u_base, v_uv - d);
+    c = vec4(r.r, g.g, b.b, max(g.a, max(r.a, b.a)));
+  } else {
+    c = texture(u_base, v_uv);
+  }
+  if (u_bloomAmount > 0.0) {
+    vec4 glow = texture(u_bloom, v_uv) * u_bloomAmount;
+    c = c + glow - c * glow; // screen
+  }
+  if (u_vignette > 0.0) {
+    vec2 px = (v_uv - 0.5) * u_res;
+    float v = u_vignette * smoothstep(0.3, 0.9, length(px) / (0.5 * length(u_res)));
+    c = vec4(c.rgb * (1.0 - v), c.a + v * (1.0 - c.a)); // black at alpha v, over c
+  }
+  if (u_grain > 0.0) {
+    float n = hash(gl_FragCoord.xy + u_seed) - 0.5;
+    c.rgb = clamp(c.rgb + n * u_grain * 0.25 * c.a, 0.0, c.a);
+  }
+  outColor = c;
+}
+`;
+
+function compile(gl, type, src) {
+  const sh = gl.createShader(type);
+  gl.shaderSource(sh, src);
+  gl.compileShader(sh);
+  if (!gl.getShaderParameter(sh, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(sh);
+    gl.deleteShader(sh);
+    throw new Error('Shader compile error: ' + log);
+  }
+  return sh;
+}
+
+function program(gl, fsSrc) {
+  const vs = compile(gl, gl.VERTEX_SHADER, VERTEX);
+  const fs = compile(gl, gl.FRAGMENT_SHADER, fsSrc);
+  const prog = gl.createProgram();
+  gl.attachShader(prog, vs);
+  gl.attachShader(prog, fs);
+  gl.linkProgram(prog);
+  gl.deleteShader(vs);
+  gl.deleteShader(fs);
+  if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) {
+    const log = gl.getProgramInfoLog(prog);
+    gl.deleteProgram(prog);
+    throw new Error('Program link error: ' + log);
+  }
+  const uniforms = new Map();
+  return {
+    prog,
+    uniform(name) {
+      if (!uniforms.has(name)) uniforms.set(name, gl.getUniformLocation(prog, name));
+      return uniforms.get(name);
+    }
+  };
+}
+
+// Throws if WebGL2 is unavailable or a shader doesn't compile
+function createGLEffects(canvas) {
+  const gl = canvas.getContext('webgl2', {
+    alpha: true,
+    antialias: false,
+    premultipliedAlpha: true,
+    preserveDrawingBuffer: true // exports read the last frame back
+  });
+  if (!gl) throw new Error('WebGL2 unavailable');
+
+  const trails = program(gl, TRAILS);
+  const blur = program(gl, BLUR);
+  const compose = program(gl, COMPOSE);
+  const vao = gl.createVertexArray();
+
+  function texture() {
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return tex;
+  }
+
+  // A texture to render into, { tex, fbo, width, height }
+  function target() {
+    const t = { tex: texture(), fbo: gl.createFramebuffer(), width: 0, height: 0 };
+    gl.bindFramebuffer(gl.FRAMEBUFFER, t.fbo);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, t.tex, 0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return t;
+  }
+
+  // Reallocating clears it
+  function fit(t, width, height) {
+    if (t.width === width && t.height === height) return;
+    t.width = width;
+    t.height = height;
+    gl.bindTexture(gl.TEXTURE_2D, t.tex);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+  }
+
+  function clear(t) {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, t.fbo);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+  }
+
+  const frameTex = texture();
+  const history = [target(), target()]; // trails ping-pong
+  const glowA = target();
+  const glowB = target();
+  let last = 0; // history[last] holds the previous output
+  let trailsOn = false;
+
+  function bindTexture(unit, tex) {
+    gl.activeTexture(gl.TEXTURE0 + unit);
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+  }
+
+  function pass(p, out, width, height) {
+    gl.useProgram(p.prog);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, out ? out.fbo : null);
+    gl.viewport(0, 0, width, height);
+    gl.bindVertexArray(vao);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+  }
+
+  function draw(source, cfg, seed) {
+    const w = source.width;
+    const h = source.height;
+    if (!w || !h) return;
+    if (canvas.width !== w) canvas.width = w;
+    if (canvas.height !== h) canvas.height = h;
+
+    // The frame, flipped to GL's bottom-up rows and premultiplied
+    bindTexture(0, frameTex);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+    let base = frameTex;
+
+    if (cfg.trails > 0) {
+      for (const t of history) fit(t, w, h);
+      if (!trailsOn) history.forEach(clear);
+      const next = 1 - last;
+      bindTexture(0, frameTex);
+      bindTexture(1, history[last].tex);
+      gl.useProgram(trails.prog);
+      gl.uniform1i(trails.uniform('u_frame'), 0);
+      gl.uniform1i(trails.uniform('u_last'), 1);
+      gl.uniform1f(trails.uniform('u_keep'), cfg.trails);
+      pass(trails, history[next], w, h);
+      last = next;
+      base = history[last].tex;
+    }
+    trailsOn = cfg.trails > 0;
+
+    // Bloom at a quarter size: bright parts blurred across, then down
+    if (cfg.bloom > 0) {
+      const bw = Math.max(1, Math.ceil(w / 4));
+      const bh = Math.max(1, Math.ceil(h / 4));
+      fit(glowA, bw, bh);
+      fit(glowB, bw, bh);
+      const spread = 1 + cfg.bloomRadius * 3;
+      gl.useProgram(blur.prog);
+      gl.uniform1i(blur.uniform('u_src'), 0);
+
+      bindTexture(0, base);
+      gl.uniform2f(blur.uniform('u_step'), spread / bw, 0);
+      gl.uniform1f(blur.uniform('u_threshold'), 0.35);
+      pass(blur, glowA, bw, bh);
+
+      bindTexture(0, glowA.tex);
+      gl.uniform2f(blur.uniform('u_step'), 0, spread / bh);
+      gl.uniform1f(blur.uniform('u_threshold'), -1);
+      pass(blur, glowB, bw, bh);
+    }
+
+    bindTexture(0, base);
+    bindTexture(1, glowB.tex);
+    gl.useProgram(compose.prog);
+    gl.uniform1i(compose.uniform('u_base'), 0);
+    gl.uniform1i(compose.uniform('u_bloom'), 1);
+    gl.uniform2f(compose.uniform('u_res'), w, h);
+    gl.uniform1f(compose.uniform('u_bloomAmount'), cfg.bloom * 1.5);
+    gl.uniform1f(compose.uniform('u_aberration'), cfg.aberration * ABERRATION_SPREAD);
+    gl.uniform1f(compose.uniform('u_vignette'), cfg.vignette);
+    gl.uniform1f(compose.uniform('u_grain'), cfg.grain);
+    gl.uniform1f(compose.uniform('u_seed'), seed % 1000);
+    pass(compose, null, w, h);
+  }
+
+  function destroy() {
+    gl.deleteTexture(frameTex);
+    for (const t of [...history, glowA, glowB]) {
+      gl.deleteTexture(t.tex);
+      gl.deleteFramebuffer(t.fbo);
+    }
+    for (const p of [trails, blur, compose]) gl.deleteProgram(p.prog);
+    gl.deleteVertexArray(vao);
+  }
+
+  return { draw, destroy };
+}
+
+// ===== Canvas2D fallback =====
+
+const GRAIN_TILE = 128; // px
+
+function grainTile() {
+  const tile = document.createElement('canvas');
+  tile.width = tile.height = GRAIN_TILE;
+  const tctx = tile.getContext('2d');
+  const image = tctx.createImageData(GRAIN_TILE, GRAIN_TILE);
+  const px = image.data;
+  for (let i = 0; i < px.length; i += 4) {
+    const v = Math.floor(Math.random() * 256);
+    px[i] = px[i + 1] = px[i + 2] = v;
+    px[i + 3] = 255;
+  }
+  tctx.putImageData(image, 0, 0);
+  return tile;
+}
+
+function createCanvasEffects(canvas) {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Canvas2D unavailable');
+
+  const scratch = () => {
+    const c = document.createElement('canvas');
+    return { canvas: c, ctx: c.getContext('2d') };
+  };
+  const history = scratch(); // trails
+  const channel = scratch(); // aberration, one color at a time
+  const glowMid = scratch();
+  const glow = scratch();
+  let grain = null;
+
+  function fit(s, w, h) {
+    if (s.canvas.width !== w) s.canvas.width = w;
+    if (s.canvas.height !== h) s.canvas.height = h;
+  }
+
+  function reset(c) {
+    c.setTransform(1, 0, 0, 1, 0, 0);
+    c.globalAlpha = 1;
+    c.globalCompositeOperation = 'source-over';
+  }
+
+  function draw(source, cfg, seed) {
+    const w = source.width;
+    const h = source.height;
+    if (!w || !h) return;
+    if (canvas.width !== w) canvas.width = w;
+    if (canvas.height !== h) canvas.height = h;
+    reset(ctx);
+    ctx.clearRect(0, 0, w, h);
+
+    // Fade the last output (destination-out scales alpha and color
+    // alike), then keep the lighter of it and the new frame
+    let base = source;
+    if (cfg.trails > 0) {
+      const hctx = history.ctx;
+      fit(history, w, h);
+      reset(hctx);
+      hctx.globalCompositeOperation = 'destination-out';
+      hctx.globalAlpha = 1 - cfg.trails;
+      hctx.fillRect(0, 0, w, h);
+      hctx.globalAlpha = 1;
+      hctx.globalCompositeOperation = 'lighten';
+      hctx.drawImage(source, 0, 0);
+      base = history.canvas;
+    } else if (history.canvas.width) {
+      history.canvas.width = 0; // drop the old trails
+    }
+
+    // Each channel on its own ('multiply' by pure red, green, blue, with
+    // the alpha put back), shifted and added up again
+    if (cfg.aberration > 0) {
+      const shift = cfg.aberration * ABERRATION_SPREAD * w;
+      const cctx = channel.ctx;
+      fit(channel, w, h);
+      ctx.globalCompositeOperation = 'lighter';
+      for (const [color, dx] of [['#f00', shift], ['#0f0', 0], ['#00f', -shift]]) {
+        reset(cctx);
+        cctx.clearRect(0, 0, w, h);
+        cctx.drawImage(base, 0, 0);
+        cctx.globalCompositeOperation = 'multiply';
+        cctx.fillStyle = color;
+        cctx.fillRect(0, 0, w, h);
+        cctx.globalCompositeOperation = 'destination-in';
+        cctx.drawImage(base, 0, 0);
+        ctx.drawImage(channel.canvas, dx, 0);
+      }
+      ctx.globalCompositeOperation = 'source-over';
+    } else {
+      ctx.drawImage(base, 0, 0);
+    }
+
+    // Scaled down in two steps (one big step aliases) and back up smooth
+    if (cfg.bloom > 0) {
+      const scale = 1 / (6 + cfg.bloomRadius * 18);
+      const mw = Math.max(1, Math.ceil(w / 3));
+      const mh = Math.max(1, Math.ceil(h / 3));
+      fit(glowMid, mw, mh);
+      fit(glow, Math.max(1, Math.ceil(w * scale)), Math.max(1, Math.ceil(h * scale)));
+      glowMid.ctx.clearRect(0, 0, mw, mh);
+      glowMid.ctx.drawImage(base, 0, 0, mw, mh);
+      glow.ctx.clearRect(0, 0, glow.canvas.width, glow.canvas.height);
+      glow.ctx.drawImage(glowMid.canvas, 0, 0, glow.canvas.width, glow.canvas.height);
+      ctx.imageSmoothingEnabled = true;
+      ctx.globalCompositeOperation = 'screen';
+      ctx.globalAlpha = Math.min(1, cfg.bloom * 1.5);
+      ctx.drawImage(glow.canvas, 0, 0, w, h);
+      reset(ctx);
+    }
+
+    if (cfg.vignette > 0) {
+      const r = Math.hypot(w, h) / 2;
+      const g = ctx.createRadialGradient(w / 2, h / 2, 0.3 * r, w / 2, h / 2, 0.9 * r);
+      g.addColorStop(0, 'rgba(0,0,0,0)');
+      g.addColorStop(1, `rgba(0,0,0,${cfg.vignette})`);
+      ctx.fillStyle = g;
+      ctx.fillRect(0, 0, w, h);
+    }
+
+    // A noise tile at a different offset each frame
+    if (cfg.grain > 0) {
+      grain ||= ctx.createPattern(grainTile(), 'repeat');
+      const ox = (seed * 37) % GRAIN_TILE;
+      const oy = (seed * 91) % GRAIN_TILE;
+      ctx.globalCompositeOperation = 'overlay';
+      ctx.globalAlpha = cfg.grain * 0.5;
+      ctx.translate(-ox, -oy);
+      ctx.fillStyle = grain;
+      ctx.fillRect(ox, oy, w, h);
+      reset(ctx);
+    }
+  }
+
+  function destroy() {
+    for (const s of [history, channel, glowMid, glow]) s.canvas.width = 0;
+  }
+
+  return { draw, destroy };
+}
+
+// ===== Post pass =====
+
+// Draws `source` onto `canvas` with the effects in `config`. `renderer`:
+// 'auto' (WebGL2 when possible) or '2d'. Throws if the WebGL2 setup
+// fails; `canvas` then holds a GL context, so retry on a fresh one.
+export function createPostPass({ canvas, source, config, renderer = 'auto' }) {
+  const kind = renderer !== '2d' && isWebGL2Supported() ? 'webgl2' : '2d';
+  const effects = kind === 'webgl2' ? createGLEffects(canvas) : createCanvasEffects(canvas);
+  let frame = source;
+  let cfg = normalizePost(config);
+  let running = false;
+  let raf = null;
+  let count = 0; // frames drawn; seeds the grain
+
+  function render() {
+    count++;
+    effects.draw(frame, cfg, count);
+  }
+
+  function loop() {
+    raf = null;
+    if (!running) return;
+    render();
+    raf = requestAnimationFrame(loop);
+  }
+
+  function play() {
+    if (running) return;
+    running = true;
+    raf = requestAnimationFrame(loop);
+  }
+
+  function pause() {
+    running = false;
+    if (raf != null) cancelAnimationFrame(raf);
+    raf = null;
+  }
+
+  // A paused pass redraws once, so changes show on a still frame
+  function set(config) {
+    cfg = normalizePost(config);
+    if (!running) render();
+  }
+
+  function setSource(next) {
+    frame = next;
+  }
+
+  function destroy() {
+    pause();
+    effects.destroy();
+  }
+
+  return {
+    render,
+    play,
+    pause,
+    set,
+    setSource,
+    destroy,
+    get kind() { return kind; },
+    get config() { return cfg; }
+  };
+}
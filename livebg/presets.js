@@ -0,0 +1,197 @@
+// presets.js
+//
+// Named looks for the LiveBG page: an animation with its params, plus
+// speed, zoom, theme, seed, the layer stack and the post effects.
+//
+//   savePreset({ name: 'Slow embers', anim: 'fiya', speed: 0.1, theme: 'embers', params: { decay: 0.99 } });
+//   loadSavedPresets();                // [{ name, anim, speed, ... }]
+//   starterPresets();                  // shipped with the animations
+//   downloadBlob(exportPresets(list), 'livebg-presets.json');
+//   importPresets(await file.text());  // merged into the saved ones
+//
+// A preset is plain JSON (see normalizePreset). Saved presets live in
+// localStorage; starter presets come from the `presets` of each manifest
+// entry (see registry.js), and an animation without any gets one with its
+// defaults. Viewer preferences (motion, pointer, target fps, GPU) are not
+// part of a look and stay out of presets.
+
+import { animationDefs } from './registry.js';
+import { PALETTES } from './palettes.js';
+import { normalizeLayers } from './layers.js';
+import { POST_DEFAULTS, normalizePost } from './post.js';
+
+const STORAGE_KEY = 'livebg:presets';
+
+// Marks an exported file; `presets` holds the list
+const FILE_FORMAT = 'livebg-presets';
+const FILE_VERSION = 1;
+
+export const PRESET_DEFAULTS = {
+  name: '',
+  anim: null, // animation id
+  speed: 1,
+  zoom: 1,
+  zoomAuto: false,
+  theme: null, // PALETTES key, or null for the animation's own colors
+  seed: null, // pinned seed, or null for a random one
+  params: {}, // schema values for `anim`
+  layers: [], // see layers.js
+  post: { ...POST_DEFAULTS } // see post.js
+};
+
+const isObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+function clamp(v, lo, hi, fallback) {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? Math.min(hi, Math.max(lo, n)) : fallback;
+}
+
+// Schema values are numbers, booleans or strings; anything else is dropped.
+function plainParams(params) {
+  if (!isObject(params)) return {};
+  const out = {};
+  for (const [key, v] of Object.entries(params)) {
+    if (['number', 'boolean', 'string'].includes(typeof v)) out[key] = v;
+  }
+  return out;
+}
+
+// Fills in defaults and drops anything unknown. The animation id is kept
+// even when it isn't listed (yet): it may be a module added later.
+export function normalizePreset(entry = {}) {
+  const seed = entry.seed;
+  return {
+    name: typeof entry.name === 'string' ? entry.name.trim() : '',
+    anim: typeof entry.anim === 'string' && entry.anim ? entry.anim : null,
+    speed: clamp(entry.speed, -5, 5, PRESET_DEFAULTS.speed),
+    zoom: clamp(entry.zoom, 0.5, 4, PRESET_DEFAULTS.zoom),
+    zoomAuto: !!entry.zoomAuto,
+    theme: typeof entry.theme === 'string' && PALETTES[entry.theme] ? entry.theme : null,
+    seed: typeof seed === 'number' || (typeof seed === 'string' && seed) ? seed : null,
+    params: plainParams(entry.params),
+    layers: normalizeLayers(entry.layers),
+    post: normalizePost(entry.post)
+  };
+}
+
+const isUsable = (preset) => !!(preset.name && preset.anim);
+
+// ===== Starter presets =====
+
+// Read-only, rebuilt from animationDefs on every call (modules can be
+// added at runtime). Named "<animation>: <preset>".
+export function starterPresets() {
+  const out = [];
+  for (const def of animationDefs) {
+    const entries = Array.isArray(def.presets) && def.presets.length ? def.presets : [{ name: 'Default' }];
+    for (const entry of entries) {
+      const preset = normalizePreset({
+        ...entry,
+        anim: def.id,
+        params: { ...def.params, ...entry.params },
+        name: `${def.label}: ${entry.name || 'Untitled'}`
+      });
+      out.push({ ...preset, starter: true });
+    }
+  }
+  return out;
+}
+
+// ===== Saved presets =====
+
+export function loadSavedPresets() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(raw) ? raw.map(normalizePreset).filter(isUsable) : [];
+  } catch (e) {
+    console.warn('Ignoring unreadable presets', e);
+    return [];
+  }
+}
+
+function storePresets(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (e) {
+    console.warn('Could not save presets', e);
+  }
+}
+
+// Saves under preset.name, replacing a preset of the same name.
+export function savePreset(entry) {
+  const preset = normalizePreset(entry);
+  if (!preset.name) throw new Error('A preset needs a name');
+  if (!preset.anim) throw new Error('A preset needs an animation');
+  const list = loadSavedPresets().filter((p) => p.name !== preset.name);
+  list.push(preset);
+  storePresets(list);
+  return list;
+}
+
+export function renamePreset(name, newName) {
+  newName = String(newName ?? '').trim();
+  if (!newName) throw new Error('A preset needs a name');
+  const list = loadSavedPresets();
+  if (newName !== name && list.some((p) => p.name === newName)) {
+    throw new Error(`There is already a preset called "${newName}"`);
+  }
+  const preset = list.find((p) => p.name === name);
+  if (preset) preset.name = newName;
+  storePresets(list);
+  return list;
+}
+
+export function deleteSavedPreset(name) {
+  const list = loadSavedPresets().filter((p) => p.name !== name);
+  storePresets(list);
+  return list;
+}
+
+// ===== JSON files =====
+
+export function exportPresets(list) {
+  const file = {
+    format: FILE_FORMAT,
+    version: FILE_VERSION,
+    presets: list.map(normalizePreset)
+  };
+  return new Blob([JSON.stringify(file, null, 2) + '\n'], { type: 'application/json' });
+}
+
+// The presets in an exported file's text. A bare array or a single preset
+// object is accepted too. Throws when there is nothing usable in it.
+export function parsePresets(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Not a JSON file');
+  }
+  let entries;
+  if (Array.isArray(data)) entries = data;
+  else if (isObject(data) && Array.isArray(data.presets)) entries = data.presets;
+  else if (isObject(data) && data.anim) entries = [data];
+  else throw new Error('Not a LiveBG presets file');
+
+  const presets = entries.filter(isObject).map(normalizePreset).filter(isUsable);
+  if (!presets.length) throw new Error('No presets in this file');
+  return presets;
+}
+
+// Adds the file's presets to the saved ones. Names that are taken get
+// " (2)", " (3)", ... rather than replacing what's there. Returns the
+// saved list and the presets added, under the names they got.
+export function importPresets(text) {
+  const list = loadSavedPresets();
+  const taken = new Set(list.map((p) => p.name));
+  const added = [];
+  for (const preset of parsePresets(text)) {
+    let name = preset.name;
+    for (let n = 2; taken.has(name); n++) name = `${preset.name} (${n})`;
+    taken.add(name);
+    added.push({ ...preset, name });
+  }
+  list.push(...added);
+  storePresets(list);
+  return { list, added };
+}
@@ -0,0 +1,126 @@
+// quality.js
+//
+// Adaptive quality: a governor that watches the fps animations report and
+// trades detail for frame rate when they can't keep up.
+//
+//   const governor = createGovernor({ target: 60, onChange: (quality) => ... });
+//   governor.sample(fps, now);   // on every fps report while playing
+//   governor.setTarget(30);      // 0 turns it off (full quality)
+//
+// Animations get the result as the global `quality` key:
+//
+//   setParams({ quality: { points, resolution } })   // both 0..1, 1 = full
+//
+// `points` scales the point count (or, for a grid, the number of cells) and
+// `resolution` the device pixel ratio the canvas renders at. Modules read
+// it through resolveQuality() so a missing or partial value means full.
+// Exports may push `resolution` past 1 (up to MAX_RESOLUTION) to render a
+// snapshot larger than the canvas (see export.js); the governor never does.
+//
+// Hysteresis: the governor steps down one level after fps has stayed below
+// 85% of the target for a while, and only steps back up after a longer run
+// at the target. A level that had to be left is held off for a while
+// before it is tried again, so it doesn't flip-flop at the edge.
+
+export const FULL_QUALITY = Object.freeze({ points: 1, resolution: 1 });
+
+// Cheapest last. Resolution goes first: it costs every module the same,
+// and fewer points change the look more.
+export const QUALITY_LEVELS = [
+  FULL_QUALITY,
+  { points: 1, resolution: 0.8 },
+  { points: 0.75, resolution: 0.7 },
+  { points: 0.55, resolution: 0.6 },
+  { points: 0.4, resolution: 0.5 },
+  { points: 0.25, resolution: 0.4 }
+];
+
+const DOWN_RATIO = 0.85; // below target * this counts as too slow
+const UP_RATIO = 0.95; // at or above target * this counts as keeping up
+const DOWN_AFTER = 1500; // ms too slow before stepping down
+const UP_AFTER = 5000; // ms keeping up before stepping up
+const RETRY_AFTER = 30000; // ms before a level that failed is tried again
+const SETTLE = 1000; // ms ignored after any change (fps is an average)
+
+export const MAX_RESOLUTION = 8;
+
+const clamp = (v, max, fallback) => (Number.isFinite(v) ? Math.min(max, Math.max(0.05, v)) : fallback);
+
+// { points, resolution } with anything missing at full quality
+export function resolveQuality(q) {
+  if (!q || typeof q !== 'object') return FULL_QUALITY;
+  return {
+    points: clamp(q.points, 1, 1),
+    resolution: clamp(q.resolution, MAX_RESOLUTION, 1)
+  };
+}
+
+export function createGovernor({ target = 60, floor = 0, onChange } = {}) {
+  let level = 0;
+  let slowSince = null;
+  let fastSince = null;
+  let settleUntil = 0;
+  const failedAt = new Map(); // level -> time it was stepped down from
+
+  function apply(next, now) {
+    next = Math.max(floor, Math.min(QUALITY_LEVELS.length - 1, next));
+    if (next === level) return;
+    if (next > level) failedAt.set(level, now);
+    level = next;
+    slowSince = null;
+    fastSince = null;
+    settleUntil = now + SETTLE;
+    onChange?.(QUALITY_LEVELS[level], level);
+  }
+
+  // One fps reading (frames per second, at time `now` in ms)
+  function sample(fps, now) {
+    if (!target || !Number.isFinite(fps) || now < settleUntil) return;
+
+    if (fps < target * DOWN_RATIO) {
+      fastSince = null;
+      slowSince ??= now;
+      if (now - slowSince >= DOWN_AFTER) apply(level + 1, now);
+    } else if (fps >= target * UP_RATIO && level > floor) {
+      slowSince = null;
+      fastSince ??= now;
+      const failed = failedAt.get(level - 1);
+      const mayRetry = failed == null || now - failed >= RETRY_AFTER;
+      if (mayRetry && now - fastSince >= UP_AFTER) apply(level - 1, now);
+    } else {
+      slowSince = null;
+      fastSince = null;
+    }
+  }
+
+  // 0 = off: back to full quality (or to `floor`)
+  function setTarget(fps, now = performance.now()) {
+    target = fps;
+    failedAt.clear();
+    if (!target) apply(floor, now);
+  }
+
+  // The cheapest level allowed to go above (battery saver and the like)
+  function setFloor(next, now = performance.now()) {
+    floor = Math.max(0, Math.min(QUALITY_LEVELS.length - 1, next));
+    if (level < floor) apply(floor, now);
+    else if (!target && level > floor) apply(floor, now);
+  }
+
+  // Forget timing after a pause, a hidden tab or a new animation
+  function rest(now = performance.now()) {
+    slowSince = null;
+    fastSince = null;
+    settleUntil = now + SETTLE;
+  }
+
+  return {
+    sample,
+    setTarget,
+    setFloor,
+    rest,
+    get level() { return level; },
+    get quality() { return QUALITY_LEVELS[level]; },
+    get target() { return target; }
+  };
+}
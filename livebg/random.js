@@ -0,0 +1,43 @@
+// random.js
+//
+// Seedable randomness for the animations, so a field can be rebuilt exactly:
+//
+//   const rand = createRandom(seed);   // like Math.random(), but repeatable
+//   rand();                            // 0 <= x < 1
+//   createRandom(rand.state());        // carries on from where rand is
+//
+// Seeds are unsigned 32-bit integers. normalizeSeed() also accepts numeric
+// strings and hashes any other string, so "sunset" works as a seed too.
+
+export function randomSeed() {
+  return (Math.random() * 0x100000000) >>> 0;
+}
+
+export function normalizeSeed(input) {
+  if (input == null || input === '') return null;
+  if (typeof input === 'number' && Number.isFinite(input)) return Math.floor(Math.abs(input)) >>> 0;
+  const s = String(input).trim();
+  if (/^\d+$/.test(s)) return Number(s) >>> 0;
+  // FNV-1a
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: tiny, fast and good enough for scattering points.
+// Without a usable seed it picks a random one.
+export function createRandom(seed) {
+  let a = normalizeSeed(seed) ?? randomSeed();
+  function rand() {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  // The position in the sequence, as a seed
+  rand.state = () => a >>> 0;
+  return rand;
+}
@@ -0,0 +1,127 @@
+// registry.js
+//
+// The list of animations shared by the LiveBG page (main.js) and the
+// embeddable entry point (livebg.js), read from animations/manifest.json:
+//
+//   { "animations": [
+//     { "id": "fiya", "label": "Fire Field", "module": "fireField.js",
+//       "author": "...", "description": "...", "thumbnail": "fire.jpg",
+//       "params": { "decay": 0.99 },
+//       "presets": [{ "name": "Embers", "speed": 0.1, "theme": "embers" }] }
+//   ] }
+//
+// Only `module` is required: the id defaults to the file name and the label
+// to the id. `module` and `thumbnail` are relative to the manifest,
+// `params` overrides the module's schema defaults and `presets` are its
+// starter presets (see presets.js). A module can also export
+// `meta` ({ label, author, description, thumbnail }) for anything its
+// manifest entry leaves out; that part is only known once it is imported.
+//
+// Adding an animation = dropping its file into animations/ and one line
+// into the manifest. Modules can also be added at runtime, for the session
+// (registerAnimation, used by userAnimations.js).
+
+const MANIFEST_URL = new URL('./animations/manifest.json', import.meta.url);
+
+// Filled in by loadRegistry(); the array itself never changes identity.
+export const animationDefs = [];
+
+let loading = null;
+
+function defFromEntry(entry) {
+  const module = typeof entry === 'string' ? entry : entry?.module;
+  if (!module) return null;
+  const id = entry.id || module.replace(/^.*\//, '').replace(/\.js$/, '');
+  const def = {
+    id,
+    label: entry.label || id,
+    module,
+    url: new URL(module, MANIFEST_URL).href
+  };
+  for (const key of ['author', 'description']) {
+    if (typeof entry[key] === 'string') def[key] = entry[key];
+  }
+  if (entry.thumbnail) def.thumbnail = new URL(entry.thumbnail, MANIFEST_URL).href;
+  if (entry.params && typeof entry.params === 'object') def.params = { ...entry.params };
+  if (Array.isArray(entry.presets)) def.presets = entry.presets.filter((p) => p && typeof p === 'object');
+  return def;
+}
+
+// Resolves to animationDefs once the manifest is in. Safe to call any
+// number of times; it is only fetched once (again after a failure).
+export function loadRegistry() {
+  loading ||= fetch(MANIFEST_URL)
+    .then((res) => {
+      if (!res.ok) throw new Error(`Animation manifest: HTTP ${res.status}`);
+      return res.json();
+    })
+    .then((manifest) => {
+      const entries = Array.isArray(manifest?.animations) ? manifest.animations : [];
+      const seen = new Set();
+      animationDefs.length = 0;
+      for (const entry of entries) {
+        const def = defFromEntry(entry);
+        if (!def || seen.has(def.id)) {
+          console.warn('Animation manifest: skipping entry', entry);
+          continue;
+        }
+        seen.add(def.id);
+        animationDefs.push(def);
+      }
+      if (!animationDefs.length) throw new Error('Animation manifest lists no animations');
+      return animationDefs;
+    })
+    .catch((err) => {
+      loading = null;
+      throw err;
+    });
+  return loading;
+}
+
+// Session-only additions (see userAnimations.js). Returns the def, with its
+// id made unique against what's already listed.
+export function registerAnimation(def) {
+  let id = def.id;
+  for (let n = 2; findAnimationDef(id); n++) id = `${def.id}-${n}`;
+  const entry = { ...def, id };
+  animationDefs.push(entry);
+  return entry;
+}
+
+export function unregisterAnimation(id) {
+  const i = animationDefs.findIndex((a) => a.id === id);
+  if (i >= 0) animationDefs.splice(i, 1);
+}
+
+export function findAnimationDef(id) {
+  return animationDefs.find((a) => a.id === id);
+}
+
+// `id` or, without one, the first animation in the manifest.
+export async function resolveAnimationDef(id) {
+  await loadRegistry();
+  return id ? findAnimationDef(id) : animationDefs[0];
+}
+
+// Defs from the manifest carry a resolved `url`; hand-made ones have their
+// module path resolved relative to this file.
+export function animationUrl(def) {
+  return def.url || new URL(def.module, import.meta.url).href;
+}
+
+export function importAnimation(def) {
+  return import(animationUrl(def));
+}
+
+// The def with the module's own `meta` filling in what the manifest left out.
+export function describeAnimation(def, mod) {
+  const meta = mod?.meta && typeof mod.meta === 'object' ? mod.meta : {};
+  const out = { ...def };
+  for (const key of ['label', 'author', 'description']) {
+    if (typeof meta[key] === 'string' && (!def[key] || (key === 'label' && def.label === def.id))) {
+      out[key] = meta[key];
+    }
+  }
+  if (!def.thumbnail && meta.thumbnail) out.thumbnail = new URL(meta.thumbnail, animationUrl(def)).href;
+  return out;
+}
@@ -0,0 +1,311 @@
+// runtime.js
+//
+// What every animation module used to repeat: canvas sizing (DPR clamp,
+// quality), the clock and rAF loop, fps stats, the auto-zoom pulse,
+// setParams for the global keys and for the module's `params` schema, and
+// play / pause / step / renderAt / destroy. A module keeps its own state
+// in createAnimation()'s closure and hands over two hooks:
+//
+//   export function createAnimation(options) {
+//     return runAnimation(options, {
+//       params,                        // the exported schema
+//       palette: DEFAULT_PALETTE,
+//       init(field) { ...; return count; },
+//       render(ctx, frame) { ... }
+//     });
+//   }
+//
+// init(field) (re)builds the field on every resize and density or quality
+// change, and returns the number of points (or cells) to report:
+//
+//   { width, height,       CSS px
+//     density, quality,    params.density; { points, resolution }
+//     params,              current values for the `params` schema
+//     seed, random,        the field seed and a fresh createRandom(seed)
+//     points(min, max),    density * area, clamped, scaled by quality
+//     gpu }                the WebGL2 point renderer, or null
+//
+// render(ctx, frame) draws one frame. ctx is the 2D context, or null when
+// the host picked WebGL2 (draw through frame.gpu then):
+//
+//   { dt, time,            seconds since the last frame; virtual seconds
+//     speed, zoom,         zoom includes the auto-zoom pulse
+//     width, height, palette,
+//     params,              current values for the `params` schema
+//     touch,               interaction.sample() for this frame, or null
+//     gpu, stepping }      stepping: step() or seeking, not the rAF loop
+//
+// Optional spec keys:
+//
+//   speed       initial speed when the host gives none (0.5)
+//   pulse       { amp, hz } of the auto-zoom sine ({ amp: 0.08, hz: 0.09 })
+//   glsl        pointPosition() source; opts in to ../gl.js on 'webgl2'
+//   trailFade   (params) => per-frame background alpha. Seeking then
+//               replays a short run-up so the trails are there.
+//   reversible  false: a negative step seeks back instead
+//   advance     (dt, frame) => time, for simulations that keep their own
+//               clock (the default is time += dt * speed)
+//   seek        (time, frame), to rebuild state before renderAt draws
+//   reset       () on reset(), after time and the zoom phase are zeroed
+//   rebuildOn   schema params whose changes call init() again
+//               (['density'])
+
+import { resolvePalette } from './palettes.js';
+import { createSurface } from './surface.js';
+import { createPointRenderer } from './gl.js';
+import { createRandom, randomSeed } from './random.js';
+import { schemaDefaults, coerceParam } from './params.js';
+import { resolveQuality } from './quality.js';
+
+const DEFAULT_PULSE = { amp: 0.08, hz: 0.09 };
+
+// Frame rate of the run-up replayed for trails when seeking
+const SEEK_FPS = 60;
+
+export function runAnimation(
+  { canvas, initialState, onStats, surface, renderer = '2d', seed, interaction },
+  spec
+) {
+  initialState = initialState || {};
+
+  const gpu = spec.glsl && renderer === 'webgl2'
+    ? createPointRenderer(canvas, { source: spec.glsl })
+    : null;
+  const ctx = gpu ? null : canvas.getContext('2d', { alpha: true });
+
+  // Size of the canvas's own CSS box (see surface.js). Hosts pass one in;
+  // standalone use tracks the canvas itself.
+  const ownSurface = !surface;
+  const view = surface || createSurface(canvas);
+
+  const schema = spec.params || [];
+  const rebuildOn = spec.rebuildOn || ['density'];
+  const pulse = { ...DEFAULT_PULSE, ...spec.pulse };
+  const fieldSeed = seed ?? randomSeed();
+
+  let W = 0;
+  let H = 0;
+  let DPR = 1;
+  // Set by the host's quality governor (see quality.js)
+  let quality = resolveQuality(initialState.quality);
+
+  const values = schemaDefaults(schema);
+  takeParams(initialState);
+
+  let speed = typeof initialState.speed === 'number' ? initialState.speed : spec.speed ?? 0.5;
+  let zoom = typeof initialState.zoom === 'number' ? initialState.zoom : 1.0;
+  let zoomAuto = !!initialState.zoomAuto;
+  let zoomPhase = 0;
+  let zoomPulse = initialState.zoomPulse ?? null; // audio envelope (see audio.js); null = the sine
+  let palette = resolvePalette(initialState.palette, spec.palette);
+
+  let time = 0; // virtual seconds
+  let running = false;
+  let rafId = null;
+  let last = performance.now();
+  let fpsEMA = 60;
+
+  // Handed to render() every frame; one object, updated in place
+  const frame = {
+    dt: 0,
+    time: 0,
+    speed,
+    zoom,
+    width: 0,
+    height: 0,
+    palette,
+    params: values,
+    touch: null,
+    gpu,
+    stepping: false
+  };
+
+  // Schema values from `params`; true when the field needs rebuilding.
+  // Text and image values are made strings (a number from setParams would
+  // otherwise reach string code), and dropped when they can't be.
+  function takeParams(params) {
+    for (const p of schema) {
+      const v = params[p.name];
+      if (v == null) continue;
+      if (p.type === 'text' || p.type === 'image') {
+        const s = coerceParam(p, v);
+        if (s !== undefined) values[p.name] = s;
+      } else {
+        values[p.name] = p.type === 'checkbox' ? !!v : v;
+      }
+    }
+    return rebuildOn.some((name) => params[name] != null);
+  }
+
+  function fitCanvas() {
+    const size = view.size();
+    DPR = Math.max(1, Math.min(3, size.dpr)) * quality.resolution;
+    W = Math.floor(size.width);
+    H = Math.floor(size.height);
+
+    // Assigning width/height clears the canvas; only do it on real changes.
+    const pw = Math.floor(W * DPR);
+    const ph = Math.floor(H * DPR);
+    if (canvas.width !== pw) canvas.width = pw;
+    if (canvas.height !== ph) canvas.height = ph;
+    if (gpu) gpu.resize(W, H, DPR);
+    else ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
+
+    rebuild();
+  }
+
+  function rebuild() {
+    const density = values.density;
+    const count = spec.init({
+      width: W,
+      height: H,
+      density,
+      quality,
+      params: values,
+      seed: fieldSeed,
+      random: createRandom(fieldSeed),
+      points: (min, max) => {
+        const full = Math.min(max, Math.max(min, Math.floor(density * W * H)));
+        return Math.max(1000, Math.floor(full * quality.points));
+      },
+      gpu
+    });
+    onStats?.({ points: count });
+  }
+
+  function loop(now) {
+    if (!running) return;
+
+    const dt = Math.max(0.0001, (now - last) / 1000);
+    last = now;
+
+    const fps = 1 / dt;
+    fpsEMA = fpsEMA * 0.9 + fps * 0.1;
+
+    draw(dt, false);
+    rafId = requestAnimationFrame(loop);
+  }
+
+  // Advance by dt seconds and draw (rAF loop, step() or seeking).
+  function draw(dt, stepping) {
+    frame.dt = dt;
+    frame.speed = speed;
+    frame.stepping = stepping;
+    time = spec.advance ? spec.advance(dt, frame) : time + dt * speed;
+
+    let z = zoom;
+    if (zoomAuto) {
+      zoomPhase += dt;
+      const wave = zoomPulse ?? Math.sin(2 * Math.PI * pulse.hz * zoomPhase);
+      z = zoom * (1 + pulse.amp * wave);
+    }
+
+    onStats?.({ fps: fpsEMA, speed, zoom: z, time });
+
+    frame.time = time;
+    frame.zoom = z;
+    frame.width = W;
+    frame.height = H;
+    frame.palette = palette;
+    frame.touch = interaction?.sample() ?? null;
+    spec.render(ctx, frame);
+  }
+
+  function play() {
+    if (running) return;
+    running = true;
+    last = performance.now();
+    rafId = requestAnimationFrame(loop);
+  }
+
+  function pause() {
+    running = false;
+    if (rafId != null) {
+      cancelAnimationFrame(rafId);
+      rafId = null;
+    }
+  }
+
+  function reset() {
+    time = 0;
+    zoomPhase = 0;
+    spec.reset?.();
+  }
+
+  // One frame at a caller-chosen dt, running or not (exports, frame
+  // stepping). A negative dt plays that frame backwards, or seeks back
+  // for modules that can't run in reverse.
+  function step(dt) {
+    if (dt < 0 && spec.reversible === false) renderAt(time + dt);
+    else draw(dt, true);
+  }
+
+  // Draws the frame at `time` virtual seconds. Trails are the last few
+  // frames fading out, so with trailFade a short run-up (until the oldest
+  // frame has faded below 1%) is replayed onto a cleared canvas first.
+  function renderAt(target) {
+    frame.speed = speed;
+    const fade = spec.trailFade?.(values);
+    if (ctx && fade > 0 && fade < 1) {
+      const runUp = Math.min(90, Math.ceil(Math.log(0.01) / Math.log(1 - fade)));
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.fillStyle = palette.background;
+      ctx.fillRect(0, 0, W, H);
+      for (let k = runUp; k > 0; k--) {
+        time = target - (k * speed) / SEEK_FPS;
+        draw(0, true);
+      }
+    }
+    time = target;
+    spec.seek?.(target, frame);
+    draw(0, true);
+  }
+
+  function setParams(params) {
+    if (!params) return;
+
+    if (params.speed != null) {
+      speed = params.speed;
+      onStats?.({ speed });
+    }
+
+    if (params.zoom != null) {
+      zoom = params.zoom;
+      onStats?.({ zoom });
+    }
+
+    if (params.zoomAuto != null) {
+      zoomAuto = !!params.zoomAuto;
+      if (!zoomAuto) zoomPhase = 0;
+    }
+    if (params.zoomPulse !== undefined) zoomPulse = params.zoomPulse;
+
+    if (params.palette !== undefined) {
+      palette = resolvePalette(params.palette, spec.palette);
+    }
+
+    const changed = takeParams(params);
+    if (params.quality !== undefined) {
+      quality = resolveQuality(params.quality);
+      fitCanvas();
+    } else if (changed) {
+      rebuild();
+    }
+  }
+
+  function destroy() {
+    pause();
+    gpu?.destroy();
+    stopObserving();
+    if (ownSurface) view.destroy();
+  }
+
+  const stopObserving = view.observe(fitCanvas);
+  fitCanvas();
+
+  if (initialState.running !== false) {
+    play();
+  }
+
+  return { play, pause, reset, step, renderAt, setParams, destroy };
+}
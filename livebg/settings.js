@@ -0,0 +1,141 @@
+// settings.js
+//
+// Persistence for the LiveBG page: settings are restored from localStorage,
+// then overridden by URL parameters so a link or iframe src can pin an exact
+// configuration, e.g.
+//
+//   index.html?anim=fiya&speed=0.4&density=0.01
+//   index.html#anim=swirl&theme=neon&running=0
+//
+// Only keys present in `defaults` are read; values are coerced to the type of
+// the default (number / boolean / string-or-null). Object defaults (such as
+// the per-animation params map) are kept in localStorage only; the URL
+// carries the current animation's params flat, as extra keys.
+
+const STORAGE_KEY = 'livebg:settings';
+
+function isObject(v) {
+  return v != null && typeof v === 'object';
+}
+
+function coerce(raw, def) {
+  if (isObject(def)) {
+    return isObject(raw) ? raw : undefined;
+  }
+  if (typeof def === 'number') {
+    const n = parseFloat(raw);
+    return Number.isFinite(n) ? n : undefined;
+  }
+  if (typeof def === 'boolean') {
+    if (typeof raw === 'boolean') return raw;
+    if (raw === '1' || raw === 'true' || raw === 'on') return true;
+    if (raw === '0' || raw === 'false' || raw === 'off') return false;
+    return undefined;
+  }
+  if (raw == null || raw === '') return null;
+  return String(raw);
+}
+
+function pick(source, defaults) {
+  const out = {};
+  for (const key of Object.keys(defaults)) {
+    if (source[key] === undefined) continue;
+    const v = coerce(source[key], defaults[key]);
+    if (v !== undefined) out[key] = v;
+  }
+  return out;
+}
+
+// Returns the URLSearchParams that carries settings: the hash if it holds
+// any known key, otherwise the query string.
+function urlParams(defaults) {
+  const hash = new URLSearchParams(location.hash.replace(/^#/, ''));
+  const inHash = Object.keys(defaults).some((k) => hash.has(k));
+  return {
+    params: inHash ? hash : new URLSearchParams(location.search),
+    inHash
+  };
+}
+
+export function loadStoredSettings(defaults) {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? pick(JSON.parse(raw), defaults) : {};
+  } catch (e) {
+    console.warn('Ignoring unreadable LiveBG settings', e);
+    return {};
+  }
+}
+
+// Every URL parameter as a raw string map (schema params are validated
+// later, against the animation's own schema).
+export function readUrlValues(defaults) {
+  return Object.fromEntries(urlParams(defaults).params);
+}
+
+export function readUrlSettings(defaults) {
+  return pick(readUrlValues(defaults), defaults);
+}
+
+// defaults <- localStorage <- URL
+export function resolveSettings(defaults) {
+  return {
+    ...defaults,
+    ...loadStoredSettings(defaults),
+    ...readUrlSettings(defaults)
+  };
+}
+
+function encode(v) {
+  if (typeof v === 'boolean') return v ? '1' : '0';
+  if (v == null) return '';
+  return String(v);
+}
+
+// Writes the settings to localStorage and rewrites the URL in place
+// (history.replaceState, so no history entries pile up while dragging).
+// `urlExtras` are written to the URL only; an undefined value removes the key.
+export function saveSettings(settings, defaults, urlExtras = {}) {
+  const values = pick(settings, defaults);
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(values));
+  } catch (e) {
+    // Private mode / storage full: the URL still carries the state.
+  }
+
+  const { params, inHash } = urlParams(defaults);
+  for (const key of Object.keys(defaults)) {
+    if (key in values && !isObject(values[key])) {
+      params.set(key, encode(values[key]));
+    }
+  }
+  for (const [key, v] of Object.entries(urlExtras)) {
+    if (v === undefined) params.delete(key);
+    else params.set(key, encode(v));
+  }
+
+  const url = new URL(location.href);
+  if (inHash) url.hash = params.toString();
+  else url.search = params.toString();
+  history.replaceState(history.state, '', url);
+}
+
+// Debounced saveSettings: sliders fire `input` continuously, and browsers
+// throttle rapid replaceState calls. Extra URL keys from the previous call
+// that are missing now (e.g. after switching animation) are removed.
+export function createSettingsSaver(defaults, delay = 250) {
+  let timer = null;
+  let lastExtraKeys = [];
+  return function save(settings, urlExtras = {}) {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const extras = { ...urlExtras };
+      for (const key of lastExtraKeys) {
+        if (!(key in extras)) extras[key] = undefined;
+      }
+      lastExtraKeys = Object.keys(urlExtras);
+      saveSettings(settings, defaults, extras);
+    }, delay);
+  };
+}
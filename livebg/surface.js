@@ -0,0 +1,105 @@
+// surface.js
+//
+// Tracks the size of a canvas's own CSS box and the devicePixelRatio, so
+// animations can live in a sidebar, a card or a split layout instead of
+// assuming the window.
+//
+//   const surface = createSurface(canvas);
+//   surface.size();                      // { width, height, dpr } in CSS px
+//   const stop = surface.observe(fit);   // fit(size) on every real change
+//   stop(); surface.destroy();
+//
+// Changes come from a ResizeObserver on the canvas and from a
+// `(resolution: Ndppx)` media query, which fires when the window moves to a
+// monitor with a different pixel ratio (or on browser zoom).
+
+function currentDpr() {
+  return window.devicePixelRatio || 1;
+}
+
+export function createSurface(canvas) {
+  const listeners = new Set();
+  let width = 0;
+  let height = 0;
+  let dpr = currentDpr();
+  let resizeObserver = null;
+  let dprQuery = null;
+
+  function measure() {
+    if (typeof ResizeObserver === 'undefined') {
+      // No observer means no reliable box either: size like the old modules.
+      width = window.innerWidth;
+      height = window.innerHeight;
+      return;
+    }
+    const r = canvas.getBoundingClientRect();
+    width = r.width;
+    height = r.height;
+  }
+
+  function size() {
+    return { width, height, dpr };
+  }
+
+  function notify() {
+    const s = size();
+    for (const fn of listeners) fn(s);
+  }
+
+  function update(nextW, nextH) {
+    const nextDpr = currentDpr();
+    if (nextW === width && nextH === height && nextDpr === dpr) return;
+    width = nextW;
+    height = nextH;
+    dpr = nextDpr;
+    notify();
+  }
+
+  function onDprChange() {
+    watchDpr();
+    update(width, height);
+  }
+
+  // A resolution query only matches one ratio, so re-arm it after each change.
+  function watchDpr() {
+    dprQuery?.removeEventListener?.('change', onDprChange);
+    dprQuery = null;
+    if (typeof window.matchMedia !== 'function') return;
+    dprQuery = window.matchMedia(`(resolution: ${currentDpr()}dppx)`);
+    dprQuery.addEventListener?.('change', onDprChange);
+  }
+
+  function onWindowResize() {
+    update(window.innerWidth, window.innerHeight);
+  }
+
+  measure();
+  watchDpr();
+
+  if (typeof ResizeObserver !== 'undefined') {
+    resizeObserver = new ResizeObserver((entries) => {
+      const box = entries[entries.length - 1].contentRect;
+      update(box.width, box.height);
+    });
+    resizeObserver.observe(canvas);
+  } else {
+    window.addEventListener('resize', onWindowResize);
+  }
+
+  // Subscribes fn(size); returns the unsubscribe function.
+  function observe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  function destroy() {
+    listeners.clear();
+    resizeObserver?.disconnect();
+    resizeObserver = null;
+    dprQuery?.removeEventListener?.('change', onDprChange);
+    dprQuery = null;
+    window.removeEventListener('resize', onWindowResize);
+  }
+
+  return { size, observe, destroy };
+}
@@ -0,0 +1,132 @@
+// transition.js
+//
+// Blends two canvases onto a third while one animation hands over to the
+// next (host.load(..., { transition })):
+//
+//   const fade = startTransition({ target, from, to, type: 'dissolve', duration: 1.5, onDone });
+//   fade.finish();   // jump to the end now (still calls onDone)
+//   fade.cancel();   // stop drawing, no onDone
+//
+// `from` and `to` are canvases the outgoing and incoming animations keep
+// rendering into; neither is in the document during the transition. The
+// target must be free to take a 2D context.
+
+export const TRANSITION_TYPES = ['cut', 'crossfade', 'dissolve'];
+
+const DISSOLVE_CELL = 8; // px of backing store per dissolve block
+
+// Blocks of `to` appear in random order, so each needs its own threshold.
+function createDissolve() {
+  const mask = document.createElement('canvas');
+  const scratch = document.createElement('canvas');
+  const mctx = mask.getContext('2d');
+  const sctx = scratch.getContext('2d');
+  let thresholds = null;
+  let image = null;
+
+  function fit(w, h) {
+    const mw = Math.ceil(w / DISSOLVE_CELL);
+    const mh = Math.ceil(h / DISSOLVE_CELL);
+    if (mask.width !== mw || mask.height !== mh || !thresholds) {
+      mask.width = mw;
+      mask.height = mh;
+      thresholds = new Float32Array(mw * mh);
+      for (let i = 0; i < thresholds.length; i++) thresholds[i] = Math.random();
+      image = mctx.createImageData(mw, mh);
+    }
+    if (scratch.width !== w) scratch.width = w;
+    if (scratch.height !== h) scratch.height = h;
+  }
+
+  return function draw(ctx, from, to, p, w, h) {
+    fit(w, h);
+    const px = image.data;
+    for (let i = 0; i < thresholds.length; i++) {
+      px[i * 4 + 3] = thresholds[i] < p ? 255 : 0;
+    }
+    mctx.putImageData(image, 0, 0);
+
+    // Incoming blocks only...
+    sctx.globalCompositeOperation = 'source-over';
+    sctx.clearRect(0, 0, w, h);
+    sctx.drawImage(to, 0, 0, w, h);
+    sctx.globalCompositeOperation = 'destination-in';
+    sctx.imageSmoothingEnabled = false;
+    sctx.drawImage(mask, 0, 0, w, h);
+
+    // ...over the outgoing frame with those blocks cut out
+    ctx.drawImage(from, 0, 0, w, h);
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(mask, 0, 0, w, h);
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.drawImage(scratch, 0, 0);
+  };
+}
+
+// 'lighter' adds the two premultiplied frames, so the mix stays right
+// where the animations leave the page background showing through.
+function drawCrossfade(ctx, from, to, p, w, h) {
+  ctx.globalCompositeOperation = 'lighter';
+  ctx.globalAlpha = 1 - p;
+  ctx.drawImage(from, 0, 0, w, h);
+  ctx.globalAlpha = p;
+  ctx.drawImage(to, 0, 0, w, h);
+}
+
+export function startTransition({ target, from, to, type = 'crossfade', duration = 1, onDone }) {
+  const ctx = target.getContext('2d');
+  const blend = type === 'dissolve' ? createDissolve() : drawCrossfade;
+  const ms = Math.max(0, duration) * 1000;
+  let start = null;
+  let raf = null;
+  let over = false;
+
+  function draw(p) {
+    // The incoming canvas follows the surface, so it sets the size
+    const w = to.width || from.width;
+    const h = to.height || from.height;
+    if (target.width !== w) target.width = w;
+    if (target.height !== h) target.height = h;
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.imageSmoothingEnabled = true;
+    ctx.clearRect(0, 0, w, h);
+    blend(ctx, from, to, p, w, h);
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = 'source-over';
+  }
+
+  function frame(now) {
+    raf = null;
+    if (start == null) start = now;
+    const p = ms > 0 ? Math.min(1, (now - start) / ms) : 1;
+    draw(p);
+    if (p >= 1) finish();
+    else raf = requestAnimationFrame(frame);
+  }
+
+  function stop() {
+    if (over) return false;
+    over = true;
+    if (raf != null) cancelAnimationFrame(raf);
+    raf = null;
+    return true;
+  }
+
+  function finish() {
+    if (stop()) onDone?.();
+  }
+
+  // The target starts out blank; don't show that for a frame
+  draw(0);
+  raf = requestAnimationFrame(frame);
+
+  return {
+    finish,
+    cancel: stop,
+    get done() { return over; }
+  };
+}
@@ -0,0 +1,140 @@
+// userAnimations.js
+//
+// Animations added at runtime from a local file or a module URL, so a new
+// module can be tried without touching the repo:
+//
+//   const def = await addUserAnimation({ file });             // a .js File
+//   const def = await addUserAnimation({ url, keep: true });  // kept across reloads
+//   await restoreUserAnimations();                            // on startup
+//   removeUserAnimation(def.id);
+//
+// A module is imported and put through the contract checks (contract.js)
+// before it is listed; the first failure is the error shown. It is then
+// registered for the session (see registry.js). With `keep`, files are
+// stored in localStorage by their source text and URLs by address.
+//
+// Files are imported from a Blob URL, where relative imports mean nothing,
+// so specifiers like '../palettes.js' are resolved as if the file sat in
+// animations/ next to the built-in modules. URLs from another origin need
+// CORS, like any module import.
+
+import { registerAnimation, unregisterAnimation, describeAnimation } from './registry.js';
+import { assertAnimationModule } from './contract.js';
+
+const STORAGE_KEY = 'livebg:userAnimations';
+const ANIMATIONS_URL = new URL('./animations/', import.meta.url);
+
+// import ... from './x.js', export ... from '../x.js', import('./x.js')
+const RELATIVE_IMPORT = /(\bfrom\s*|\bimport\s*\(?\s*)(['"])(\.{1,2}\/[^'"\n]*)\2/g;
+
+const blobUrls = new Map(); // def id -> Blob URL to revoke on removal
+
+function resolveImports(code) {
+  return code.replace(RELATIVE_IMPORT, (m, lead, quote, spec) =>
+    lead + quote + new URL(spec, ANIMATIONS_URL).href + quote);
+}
+
+function readStored() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(raw) ? raw : [];
+  } catch (e) {
+    console.warn('Ignoring unreadable user animations', e);
+    return [];
+  }
+}
+
+function writeStored(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+    return true;
+  } catch (e) {
+    console.warn('Could not store user animations', e);
+    return false;
+  }
+}
+
+function fileName(entry) {
+  if (entry.kind === 'file') return entry.name || 'animation.js';
+  return new URL(entry.url).pathname.split('/').pop() || 'animation.js';
+}
+
+// entry: { kind: 'file', name, code } | { kind: 'url', url }, plus the id it
+// was registered under last time, if any.
+async function registerEntry(entry) {
+  const name = fileName(entry);
+  const href = entry.kind === 'file'
+    ? URL.createObjectURL(new Blob([resolveImports(entry.code)], { type: 'text/javascript' }))
+    : entry.url;
+  const revoke = () => {
+    if (entry.kind === 'file') URL.revokeObjectURL(href);
+  };
+
+  let mod;
+  try {
+    mod = await import(href);
+  } catch (err) {
+    revoke();
+    throw new Error(`Couldn't import ${name}: ${err.message}`, { cause: err });
+  }
+  try {
+    assertAnimationModule(mod, { name });
+  } catch (err) {
+    revoke();
+    throw new Error(`${name} doesn't fit the animation contract: ${err.message}`, { cause: err });
+  }
+
+  const base = name.replace(/\.m?js$/i, '');
+  const id = entry.id || base.toLowerCase().replace(/[^a-z0-9_-]+/g, '-') || 'custom';
+  const def = registerAnimation(describeAnimation({
+    id, label: base, module: name, url: href, user: true
+  }, mod));
+  def.description ||= 'Added from ' + (entry.kind === 'file' ? name : entry.url);
+  if (entry.kind === 'file') blobUrls.set(def.id, href);
+  return def;
+}
+
+// Resolves to the registered def; `kept` on it says whether it was stored.
+export async function addUserAnimation({ file, url, keep = false }) {
+  let entry;
+  if (file) {
+    entry = { kind: 'file', name: file.name, code: await file.text() };
+  } else if (url && url.trim()) {
+    entry = { kind: 'url', url: new URL(url.trim(), location.href).href };
+  } else {
+    throw new Error('Choose a file or enter a module URL');
+  }
+
+  const def = await registerEntry(entry);
+  def.kept = keep && writeStored([...readStored(), { ...entry, id: def.id }]);
+  return def;
+}
+
+// Registers everything stored with `keep`. One broken module doesn't stop
+// the rest; its error is returned instead.
+export async function restoreUserAnimations() {
+  const defs = [];
+  const errors = [];
+  for (const entry of readStored()) {
+    try {
+      const def = await registerEntry(entry);
+      def.kept = true;
+      defs.push(def);
+    } catch (err) {
+      console.warn('Could not restore user animation', entry.name || entry.url, err);
+      errors.push(err);
+    }
+  }
+  return { defs, errors };
+}
+
+// Drops it from this session and from storage.
+export function removeUserAnimation(id) {
+  unregisterAnimation(id);
+  const href = blobUrls.get(id);
+  if (href) URL.revokeObjectURL(href);
+  blobUrls.delete(id);
+  const stored = readStored();
+  const rest = stored.filter((entry) => entry.id !== id);
+  if (rest.length !== stored.length) writeStored(rest);
+}
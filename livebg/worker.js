@@ -0,0 +1,89 @@
+// worker.js
+//
+// Runs one LiveBG animation inside a module Web Worker on an OffscreenCanvas
+// (see workerProxy.js for the main-thread side). The animation module is
+// imported here unchanged; the host's surface and the module's onStats are
+// bridged over postMessage.
+//
+// Messages in:   init { url, canvas, initialState, size, renderer, seed, pointer }
+//                call { method, args }     resize { size }     pointer { pointer }
+// Messages out:  ready   stats { stats }   error { message }
+
+import { createInteractionMirror } from './interaction.js';
+
+// Dedicated workers have rAF in most browsers; fall back to a 60 Hz timer.
+if (typeof self.requestAnimationFrame !== 'function') {
+  self.requestAnimationFrame = (cb) => setTimeout(() => cb(performance.now()), 1000 / 60);
+  self.cancelAnimationFrame = (id) => clearTimeout(id);
+}
+
+let animation = null;
+
+// Pointer snapshots from the main thread (see interaction.js)
+const interaction = createInteractionMirror();
+
+// Stand-in for surface.js: the real canvas box lives on the main thread,
+// which forwards every change as a `resize` message.
+const surface = (() => {
+  let size = { width: 0, height: 0, dpr: 1 };
+  const listeners = new Set();
+  return {
+    size: () => size,
+    observe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    destroy() {
+      listeners.clear();
+    },
+    update(next) {
+      size = next;
+      for (const fn of listeners) fn(size);
+    }
+  };
+})();
+
+function fail(err) {
+  self.postMessage({ type: 'error', message: String(err?.message || err) });
+}
+
+async function init({ url, canvas, initialState, size, renderer, seed, pointer }) {
+  surface.update(size);
+  interaction.update(pointer);
+  const mod = await import(url);
+  const factory = mod.createAnimation || mod.default;
+  if (typeof factory !== 'function') throw new Error(url + ' does not export createAnimation()');
+
+  animation = factory({
+    canvas,
+    initialState,
+    onStats: (stats) => self.postMessage({ type: 'stats', stats }),
+    surface,
+    renderer,
+    seed,
+    interaction
+  });
+  self.postMessage({ type: 'ready' });
+}
+
+self.addEventListener('message', (ev) => {
+  const msg = ev.data || {};
+  try {
+    switch (msg.type) {
+      case 'init':
+        init(msg).catch(fail);
+        break;
+      case 'resize':
+        surface.update(msg.size);
+        break;
+      case 'pointer':
+        interaction.update(msg.pointer);
+        break;
+      case 'call':
+        animation?.[msg.method]?.(...(msg.args || []));
+        break;
+    }
+  } catch (err) {
+    fail(err);
+  }
+});
@@ -0,0 +1,84 @@
+// workerProxy.js
+//
+// Main-thread side of worker rendering: transfers a canvas to worker.js with
+// transferControlToOffscreen() and returns an object with the usual
+// animation shape, whose calls are forwarded over postMessage. Stats come
+// back as messages and are handed to onStats. Pointer input is forwarded
+// as interaction.js snapshots.
+//
+// A transferred canvas can never get a context on the main thread again, so
+// the host replaces the element when it is done with it.
+
+// Methods of the animation contract forwarded to the worker.
+const PROXIED_METHODS = ['play', 'pause', 'reset', 'step', 'renderAt', 'setParams'];
+
+export function supportsOffscreenCanvas() {
+  return (
+    typeof Worker !== 'undefined' &&
+    typeof HTMLCanvasElement !== 'undefined' &&
+    'transferControlToOffscreen' in HTMLCanvasElement.prototype
+  );
+}
+
+// Resolves once the worker has created the animation; rejects if the module
+// fails to load or throws, so the caller can fall back to the main thread.
+export function createWorkerAnimation({ canvas, url, initialState, onStats, surface, renderer, seed, interaction }) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+    let ready = false;
+    let stopObserving = null;
+    let stopPointer = null;
+
+    function destroy() {
+      stopObserving?.();
+      stopPointer?.();
+      worker.terminate();
+    }
+
+    const proxy = { destroy };
+    for (const method of PROXIED_METHODS) {
+      proxy[method] = (...args) => worker.postMessage({ type: 'call', method, args });
+    }
+
+    worker.addEventListener('message', (ev) => {
+      const msg = ev.data || {};
+      if (msg.type === 'stats') {
+        onStats?.(msg.stats);
+      } else if (msg.type === 'ready') {
+        ready = true;
+        resolve(proxy);
+      } else if (msg.type === 'error') {
+        if (!ready) {
+          destroy();
+          reject(new Error(msg.message));
+        } else {
+          console.error('LiveBG worker error:', msg.message);
+        }
+      }
+    });
+    worker.addEventListener('error', (ev) => {
+      if (ready) return;
+      destroy();
+      reject(new Error(ev.message || 'Worker failed to start'));
+    });
+
+    let offscreen;
+    try {
+      offscreen = canvas.transferControlToOffscreen();
+    } catch (err) {
+      destroy();
+      reject(err);
+      return;
+    }
+
+    stopObserving = surface.observe((size) => worker.postMessage({ type: 'resize', size }));
+    stopPointer = interaction?.observe((pointer) => worker.postMessage({ type: 'pointer', pointer }));
+    worker.postMessage(
+      {
+        type: 'init', url, canvas: offscreen, initialState, size: surface.size(), renderer, seed,
+        pointer: interaction?.snapshot() ?? null
+      },
+      [offscreen]
+    );
+  });
+}